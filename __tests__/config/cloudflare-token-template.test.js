@@ -11,12 +11,14 @@ describe('Cloudflare API token template', () => {
       {
         key: 'page',
         type: 'edit',
-        label: 'Account > Pages > Write'
+        label: 'Account > Pages > Write',
+        permissionGroup: 'Pages Write'
       },
       {
         key: 'workers_scripts',
         type: 'edit',
-        label: 'Account > Workers Scripts > Write'
+        label: 'Account > Workers Scripts > Write',
+        permissionGroup: 'Workers Scripts Write'
       }
     ]);
   });
@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { chmodSync, mkdtempSync, readFileSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { defaultProfilesPath, ProfileStore } from '../../src/config/profile-store.js';
+import { ValidationError } from '../../src/lib/errors.js';
+
+describe('profile store', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cf-profiles-'));
+    store = new ProfileStore(join(dir, 'cf-bulk-delete', 'profiles.json'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.TEST_PROFILE_TOKEN;
+  });
+
+  test('should default to the XDG config directory', () => {
+    const previous = process.env.XDG_CONFIG_HOME;
+    process.env.XDG_CONFIG_HOME = dir;
+
+    try {
+      expect(defaultProfilesPath()).toBe(join(dir, 'cf-bulk-delete', 'profiles.json'));
+    } finally {
+      if (previous === undefined) {
+        delete process.env.XDG_CONFIG_HOME;
+      } else {
+        process.env.XDG_CONFIG_HOME = previous;
+      }
+    }
+  });
+
+  test('should be empty before the first profile is added', async () => {
+    expect(await store.list()).toEqual([]);
+    expect(await store.resolve()).toBeNull();
+  });
+
+  test('should save profiles readable only by their owner', async () => {
+    await store.add('prod', { accountId: 'account-1', token: 'secret-token' });
+
+    if (process.platform !== 'win32') {
+      expect(statSync(store.filePath).mode & 0o777).toBe(0o600);
+      expect(statSync(join(dir, 'cf-bulk-delete')).mode & 0o777).toBe(0o700);
+    }
+    expect(JSON.parse(readFileSync(store.filePath, 'utf8'))).toEqual({
+      current: 'prod',
+      profiles: { prod: { accountId: 'account-1', token: 'secret-token' } }
+    });
+  });
+
+  test('should make the first profile current and list profiles without tokens', async () => {
+    await store.add('staging', { accountId: 'account-2', tokenEnv: 'TEST_PROFILE_TOKEN' });
+    await store.add('prod', {
+      accountId: 'account-1',
+      token: 'secret-token',
+      description: 'Production'
+    });
+
+    const profiles = await store.list();
+
+    expect(profiles).toEqual([
+      {
+        name: 'prod',
+        accountId: 'account-1',
+        tokenSource: 'profile store',
+        description: 'Production',
+        current: false
+      },
+      {
+        name: 'staging',
+        accountId: 'account-2',
+        tokenSource: 'env:TEST_PROFILE_TOKEN',
+        description: null,
+        current: true
+      }
+    ]);
+    expect(JSON.stringify(profiles)).not.toContain('secret-token');
+  });
+
+  test('should reject invalid, incomplete and duplicate profiles', async () => {
+    await expect(store.add('../prod', { accountId: 'a', token: 't' })).rejects.toThrow(
+      ValidationError
+    );
+    await expect(store.add('prod', { token: 't' })).rejects.toThrow('needs an account ID');
+    await expect(store.add('prod', { accountId: 'a' })).rejects.toThrow(
+      'needs either a token or the environment variable'
+    );
+    await expect(
+      store.add('prod', { accountId: 'a', token: 't', tokenEnv: 'TEST_PROFILE_TOKEN' })
+    ).rejects.toThrow('needs either a token or the environment variable');
+
+    await store.add('prod', { accountId: 'a', token: 't' });
+    await expect(store.add('prod', { accountId: 'b', token: 'u' })).rejects.toThrow(
+      'already exists'
+    );
+  });
+
+  test('should resolve the named or current profile', async () => {
+    await store.add('prod', { accountId: 'account-1', token: 'prod-token' });
+    await store.add('staging', { accountId: 'account-2', tokenEnv: 'TEST_PROFILE_TOKEN' });
+    process.env.TEST_PROFILE_TOKEN = 'staging-token';
+
+    expect(await store.resolve()).toEqual({
+      name: 'prod',
+      apiToken: 'prod-token',
+      accountId: 'account-1'
+    });
+    expect(await store.resolve('staging')).toEqual({
+      name: 'staging',
+      apiToken: 'staging-token',
+      accountId: 'account-2'
+    });
+
+    await store.use('staging');
+    expect((await store.resolve()).name).toBe('staging');
+  });
+
+  test('should fail when a profile is missing or its token variable is unset', async () => {
+    await store.add('staging', { accountId: 'account-2', tokenEnv: 'TEST_PROFILE_TOKEN' });
+
+    await expect(store.resolve('prod')).rejects.toThrow('Profile "prod" not found');
+    await expect(store.resolve('staging')).rejects.toThrow(
+      'reads its token from TEST_PROFILE_TOKEN, which is not set'
+    );
+    await expect(store.use('prod')).rejects.toThrow(ValidationError);
+  });
+
+  test('should clear the current profile when it is removed', async () => {
+    await store.add('prod', { accountId: 'account-1', token: 'prod-token' });
+    await store.remove('prod');
+
+    expect(await store.list()).toEqual([]);
+    expect(await store.resolve()).toBeNull();
+    await expect(store.remove('prod')).rejects.toThrow('not found');
+  });
+
+  test('should refuse a profile store other users can read', async () => {
+    if (process.platform === 'win32') {
+      return;
+    }
+
+    await store.add('prod', { accountId: 'account-1', token: 'prod-token' });
+    chmodSync(store.filePath, 0o644);
+
+    await expect(store.resolve()).rejects.toThrow('chmod 600');
+  });
+});
@@ -28,7 +28,7 @@ const mockConfig = {
     baseUrl: 'https://api.cloudflare.com/client/v4',
     rateLimit: {
       concurrent: 5,
-      delay: 100
+      requestsPerSecond: 1000
     }
   },
   cli: {
@@ -141,6 +141,14 @@ describe('Integration Tests - Complete Workflows', () => {
         data: { success: false }
       });
 
+      // Mock project details used for live deployment protection
+      mockAxiosInstance.get.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: { name: 'test-project', canonical_deployment: { id: 'deploy-3' } }
+        }
+      });
+
       // Mock bulk delete responses
       mockAxiosInstance.delete.mockResolvedValue({
         data: { success: true }
@@ -193,30 +201,37 @@ describe('Integration Tests - Complete Workflows', () => {
         }
       });
 
-      // Mock list deployments (first call fails, second succeeds with versions)
-      mockAxiosInstance.get.mockRejectedValueOnce(new Error('Deployments endpoint not available'));
-      mockAxiosInstance.get.mockResolvedValueOnce({
+      // Mock list deployments; the newest one is active
+      const workerDeployments = {
         data: {
           success: true,
-          result: [
-            {
-              id: 'version-1',
-              number: '1',
-              created_on: '2024-01-01T00:00:00Z'
-            },
-            {
-              id: 'version-2',
-              number: '2',
-              created_on: '2024-01-02T00:00:00Z'
-            },
-            {
-              id: 'version-3',
-              number: '3',
-              created_on: '2024-01-03T00:00:00Z'
-            }
-          ]
+          result: {
+            deployments: [
+              {
+                id: 'deploy-1',
+                created_on: '2024-01-01T00:00:00Z',
+                versions: [{ version_id: 'version-1', percentage: 100 }]
+              },
+              {
+                id: 'deploy-2',
+                created_on: '2024-01-02T00:00:00Z',
+                versions: [{ version_id: 'version-2', percentage: 100 }]
+              },
+              {
+                id: 'deploy-3',
+                created_on: '2024-01-03T00:00:00Z',
+                versions: [
+                  { version_id: 'version-3', percentage: 90 },
+                  { version_id: 'version-2', percentage: 10 }
+                ]
+              }
+            ]
+          }
         }
-      });
+      };
+      mockAxiosInstance.get.mockResolvedValueOnce(workerDeployments);
+      // Mock the active deployment lookup made before deleting
+      mockAxiosInstance.get.mockResolvedValueOnce(workerDeployments);
 
       // Mock delete version responses
       mockAxiosInstance.delete.mockResolvedValue({
@@ -229,7 +244,10 @@ describe('Integration Tests - Complete Workflows', () => {
       const deployments = await serviceManager.listDeployments('workers', 'test-worker');
       expect(deployments).toHaveLength(3);
 
-      // Delete older versions with skipLatest=false to delete all
+      expect(deployments[0]).toMatchObject({ id: 'deploy-3', status: 'active' });
+
+      // Even with skipLatest=false the active deployment is kept, and so is deploy-2:
+      // its version still takes 10% of the traffic
       const deleteResult = await serviceManager.bulkDeleteDeployments(
         'workers',
         'test-worker',
@@ -237,8 +255,9 @@ describe('Integration Tests - Complete Workflows', () => {
         { skipLatest: false }
       );
 
-      expect(deleteResult.success).toBe(3);
+      expect(deleteResult.success).toBe(1);
       expect(deleteResult.failed).toBe(0);
+      expect(deleteResult.skipped).toBe(2);
       expect(deleteResult.total).toBe(3);
     });
   });
@@ -0,0 +1,70 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const mockListAccounts = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/cloudflare-client.js', () => ({
+  CloudflareClient: jest.fn(() => ({ listAccounts: mockListAccounts }))
+}));
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { discoverAccounts, selectAccount } = await import('../../src/lib/account-discovery.js');
+const { CloudflareClient } = await import('../../src/lib/cloudflare-client.js');
+const { ValidationError } = await import('../../src/lib/errors.js');
+
+describe('account discovery', () => {
+  const agency = { id: 'account-1', name: 'Agency' };
+  const client = { id: 'account-2', name: 'Client' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should list accounts with the token alone', async () => {
+    mockListAccounts.mockResolvedValue([
+      { ...agency, type: 'standard', settings: {} },
+      { id: 'account-3', name: '' }
+    ]);
+
+    expect(await discoverAccounts('test-token')).toEqual([agency, { id: 'account-3', name: null }]);
+    expect(CloudflareClient).toHaveBeenCalledWith('test-token', null);
+  });
+
+  test('should select the only account without asking', async () => {
+    const choose = jest.fn();
+
+    expect(await selectAccount([agency], { choose })).toBe(agency);
+    expect(choose).not.toHaveBeenCalled();
+  });
+
+  test('should ask which account to use when there are several', async () => {
+    const choose = jest.fn().mockResolvedValue(client);
+
+    expect(await selectAccount([agency, client], { choose })).toBe(client);
+    expect(choose).toHaveBeenCalledWith([agency, client]);
+  });
+
+  test('should list the candidates when it cannot ask', async () => {
+    const selection = selectAccount([agency, client]);
+
+    await expect(selection).rejects.toThrow(ValidationError);
+    await expect(selection).rejects.toThrow(
+      'The API token can access 2 accounts. Set CLOUDFLARE_ACCOUNT_ID to one of them:\n- account-1 (Agency)\n- account-2 (Client)'
+    );
+  });
+
+  test('should fail without accessible accounts or with an unknown choice', async () => {
+    await expect(selectAccount([])).rejects.toThrow('cannot access any Cloudflare account');
+    await expect(
+      selectAccount([agency, client], { choose: async () => ({ id: 'other' }) })
+    ).rejects.toThrow('Account other is not one the API token can access');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import dayjs from 'dayjs';
+import { AuditLog, pickAuditedOptions } from '../../src/lib/audit-log.js';
+
+describe('audit log', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cf-audit-'));
+    filePath = join(dir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeEntries(auditLog) {
+    auditLog.append({
+      operation: 'delete',
+      operator: { tokenId: 'token-a', user: 'alice' },
+      resourceType: 'pages',
+      resourceName: 'docs',
+      deployments: [{ id: 'deploy1', status: 'deleted' }],
+      outcome: { status: 'completed' }
+    });
+    auditLog.append({
+      operation: 'destroy',
+      operator: { tokenId: 'token-b', user: 'bob' },
+      resourceType: 'workers',
+      resourceName: 'api',
+      outcome: { status: 'completed' }
+    });
+  }
+
+  test('should chain every entry to the previous one', () => {
+    const auditLog = new AuditLog(filePath);
+    writeEntries(auditLog);
+
+    const [first, second] = auditLog.read();
+
+    expect(first.prevHash).toBe('0'.repeat(64));
+    expect(second.prevHash).toBe(first.hash);
+    expect(auditLog.verify()).toEqual({ valid: true, entries: 2, head: second.hash });
+  });
+
+  test('should continue the chain of an existing file', () => {
+    writeEntries(new AuditLog(filePath));
+    writeEntries(new AuditLog(filePath));
+
+    expect(new AuditLog(filePath).verify()).toMatchObject({ valid: true, entries: 4 });
+  });
+
+  test('should detect an edited entry', () => {
+    const auditLog = new AuditLog(filePath);
+    writeEntries(auditLog);
+    writeFileSync(filePath, readFileSync(filePath, 'utf8').replace('"docs"', '"blog"'));
+
+    expect(auditLog.verify()).toEqual({
+      valid: false,
+      entries: 2,
+      brokenAt: 1,
+      reason: 'content does not match its hash'
+    });
+  });
+
+  test('should detect a removed entry', () => {
+    const auditLog = new AuditLog(filePath);
+    writeEntries(auditLog);
+    const lines = readFileSync(filePath, 'utf8').split('\n');
+    writeFileSync(filePath, lines.slice(1).join('\n'));
+
+    expect(auditLog.verify()).toMatchObject({
+      valid: false,
+      brokenAt: 1,
+      reason: 'does not follow the previous entry'
+    });
+  });
+
+  test('should write plain entries without hash chaining', () => {
+    const auditLog = new AuditLog(filePath, { hashChain: false });
+    writeEntries(auditLog);
+
+    expect(auditLog.read()[0]).not.toHaveProperty('hash');
+  });
+
+  test('should query by resource, operator, operation and date', () => {
+    const auditLog = new AuditLog(filePath);
+    writeEntries(auditLog);
+
+    expect(auditLog.query({ resource: 'docs' }).map(entry => entry.operation)).toEqual(['delete']);
+    expect(auditLog.query({ operator: 'bob' }).map(entry => entry.resourceName)).toEqual(['api']);
+    expect(auditLog.query({ operator: 'token-a' })).toHaveLength(1);
+    expect(auditLog.query({ operation: 'destroy' })).toHaveLength(1);
+    expect(
+      auditLog.query({ since: '2000-01-01', until: new Date(Date.now() + 1000) })
+    ).toHaveLength(2);
+    expect(auditLog.query({ until: '2000-01-01' })).toEqual([]);
+  });
+
+  test('should include the whole day of a date-only until', () => {
+    const auditLog = new AuditLog(filePath);
+    writeEntries(auditLog);
+    const today = dayjs().format('YYYY-MM-DD');
+
+    expect(auditLog.query({ since: today, until: today })).toHaveLength(2);
+    expect(auditLog.query({ until: dayjs().subtract(1, 'day').format('YYYY-MM-DD') })).toEqual([]);
+  });
+
+  test('should list nothing before the first entry', () => {
+    expect(new AuditLog(filePath).read()).toEqual([]);
+  });
+
+  test('should keep only the options describing what a delete may do', () => {
+    expect(
+      pickAuditedOptions({ keepLatest: 2, allowLive: false, journal: {}, backup: true })
+    ).toEqual({ keepLatest: 2, allowLive: false });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BackupStore, buildSnapshot } from '../../src/lib/backup-store.js';
+import { ValidationError } from '../../src/lib/errors.js';
+
+describe('backup store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cf-backups-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should keep Pages configuration and env var names but drop their values', () => {
+    const snapshot = buildSnapshot({
+      operation: 'destroy',
+      accountId: 'test-account',
+      resourceType: 'pages',
+      resourceName: 'docs',
+      project: {
+        name: 'docs',
+        production_branch: 'main',
+        build_config: { build_command: 'npm run build', destination_dir: 'dist' },
+        deployment_configs: {
+          production: {
+            compatibility_date: '2024-01-01',
+            env_vars: { API_KEY: { type: 'secret_text', value: null }, MODE: { value: 'prod' } }
+          }
+        }
+      },
+      domains: [{ name: 'docs.example.com', status: 'active' }],
+      deployments: [{ id: 'deploy1', env_vars: { MODE: { value: 'prod' } } }]
+    });
+
+    expect(snapshot).toMatchObject({
+      version: 1,
+      operation: 'destroy',
+      resourceType: 'pages',
+      resourceName: 'docs',
+      domains: [{ name: 'docs.example.com', status: 'active' }]
+    });
+    expect(snapshot.id).toMatch(/^\d{4}-\d{2}-\d{2}T[\d-]+Z-pages-docs$/);
+    expect(snapshot.project.build_config.build_command).toBe('npm run build');
+    expect(snapshot.project.deployment_configs.production).toEqual({
+      compatibility_date: '2024-01-01',
+      env_vars: { API_KEY: { type: 'secret_text' }, MODE: { type: 'plain_text' } }
+    });
+    expect(snapshot.deployments[0].env_vars).toEqual({ MODE: { type: 'plain_text' } });
+  });
+
+  test('should drop the values of Worker text and json bindings', () => {
+    const snapshot = buildSnapshot({
+      operation: 'delete',
+      resourceType: 'workers',
+      resourceName: 'api',
+      settings: {
+        compatibility_date: '2024-01-01',
+        bindings: [
+          { name: 'TOKEN', type: 'plain_text', text: 'secret' },
+          { name: 'CACHE', type: 'kv_namespace', namespace_id: 'ns1' }
+        ]
+      }
+    });
+
+    expect(snapshot.settings.bindings).toEqual([
+      { name: 'TOKEN', type: 'plain_text' },
+      { name: 'CACHE', type: 'kv_namespace', namespace_id: 'ns1' }
+    ]);
+    expect(snapshot).not.toHaveProperty('project');
+  });
+
+  test('should save, list and load snapshots', async () => {
+    const store = new BackupStore(dir);
+    const snapshot = buildSnapshot({
+      operation: 'delete',
+      accountId: 'test-account',
+      resourceType: 'workers',
+      resourceName: 'api',
+      deployments: [{ id: 'deploy1' }, { id: 'deploy2' }]
+    });
+
+    const saved = await store.save(snapshot);
+    writeFileSync(join(dir, 'broken.json'), '{');
+
+    expect(saved).toEqual({ id: snapshot.id, filePath: join(dir, `${snapshot.id}.json`) });
+    expect(await store.list()).toEqual([
+      {
+        id: snapshot.id,
+        createdAt: snapshot.createdAt,
+        operation: 'delete',
+        accountId: 'test-account',
+        resourceType: 'workers',
+        resourceName: 'api',
+        deployments: 2,
+        filePath: saved.filePath
+      }
+    ]);
+    expect(await store.load(snapshot.id)).toEqual({ ...snapshot, filePath: saved.filePath });
+    expect(await store.load(saved.filePath)).toEqual({ ...snapshot, filePath: saved.filePath });
+  });
+
+  test('should list nothing before the first backup', async () => {
+    expect(await new BackupStore(join(dir, 'missing')).list()).toEqual([]);
+  });
+
+  test('should reject a missing backup', async () => {
+    await expect(new BackupStore(dir).load('nope')).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { appendFileSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+jest.unstable_mockModule('../../src/config/config.js', () => ({
+  config: {
+    state: { dir: '.cf-bulk-delete' }
+  }
+}));
+
+const mockLogger = {
+  warn: jest.fn()
+};
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+  logger: mockLogger
+}));
+
+// Import after mocking
+const { CheckpointJournal } = await import('../../src/lib/checkpoint-journal.js');
+
+describe('CheckpointJournal', () => {
+  let dir;
+  let filePath;
+
+  const plan = {
+    resourceType: 'pages',
+    resourceName: 'my-project',
+    skipped: 1,
+    deployments: [
+      { id: 'deploy1', environment: 'preview', created_on: '2023-01-03T00:00:00Z' },
+      { id: 'deploy2', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+      { id: 'deploy3', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'cf-journal-'));
+    filePath = join(dir, 'nested', 'run.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should append the plan and each outcome as JSON lines', () => {
+    const journal = new CheckpointJournal(filePath);
+
+    journal.recordPlan(plan);
+    journal.recordCompleted('deploy1');
+    journal.recordFailed('deploy2', Object.assign(new Error('Server error'), { status: 500 }));
+
+    const entries = readFileSync(filePath, 'utf8').trim().split('\n').map(JSON.parse);
+
+    expect(entries.map(entry => entry.type)).toEqual(['plan', 'completed', 'failed']);
+    expect(entries[0].deployments.map(deployment => deployment.id)).toEqual([
+      'deploy1',
+      'deploy2',
+      'deploy3'
+    ]);
+    expect(entries[2]).toMatchObject({ id: 'deploy2', error: 'Server error', status: 500 });
+  });
+
+  test('should resume with only deployments not confirmed deleted', () => {
+    const journal = new CheckpointJournal(filePath);
+    journal.recordPlan(plan);
+    journal.recordCompleted('deploy1');
+    journal.recordFailed('deploy2', new Error('Server error'));
+
+    const resumed = CheckpointJournal.load(filePath);
+
+    expect(resumed.getPendingDeployments().map(deployment => deployment.id)).toEqual([
+      'deploy2',
+      'deploy3'
+    ]);
+    expect(resumed.getSummary()).toEqual({
+      resourceType: 'pages',
+      resourceName: 'my-project',
+      planned: 3,
+      completed: 1,
+      failed: 1,
+      pending: 2
+    });
+  });
+
+  test('should clear a failure once the deployment is deleted on a later run', () => {
+    const journal = new CheckpointJournal(filePath);
+    journal.recordPlan(plan);
+    journal.recordFailed('deploy2', new Error('Server error'));
+    journal.recordCompleted('deploy2');
+
+    expect(CheckpointJournal.load(filePath).getSummary().failed).toBe(0);
+  });
+
+  test('should ignore a truncated last line left by a crash', () => {
+    const journal = new CheckpointJournal(filePath);
+    journal.recordPlan(plan);
+    journal.recordCompleted('deploy1');
+    appendFileSync(filePath, '{"type":"completed","id":"dep');
+
+    const resumed = CheckpointJournal.load(filePath);
+
+    expect(resumed.getSummary().completed).toBe(1);
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('Ignoring unreadable journal entry on line 3')
+    );
+  });
+
+  test('should reject missing files and journals without a plan', () => {
+    expect(() => CheckpointJournal.load(join(dir, 'missing.jsonl'))).toThrow(
+      'Journal file not found'
+    );
+
+    const journal = new CheckpointJournal(filePath);
+    journal.recordCompleted('deploy1');
+
+    expect(() => CheckpointJournal.load(filePath)).toThrow('does not contain a deletion plan');
+  });
+
+  test('should build a default path inside the journals directory', () => {
+    const path = CheckpointJournal.defaultPath('workers', 'my-script', 'journals');
+
+    expect(path).toMatch(/^journals[\\/]workers-my-script-.+\.jsonl$/);
+  });
+});
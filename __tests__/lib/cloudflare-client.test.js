@@ -30,7 +30,12 @@ jest.unstable_mockModule('../../src/config/config.js', () => ({
       baseUrl: 'https://api.cloudflare.com/client/v4',
       rateLimit: {
         concurrent: 5,
-        delay: 100
+        requestsPerSecond: 1000
+      },
+      retry: {
+        maxAttempts: 3,
+        baseDelay: 500,
+        maxDelay: 60000
       }
     },
     cli: {
@@ -44,12 +49,15 @@ jest.unstable_mockModule('../../src/utils/logger.js', () => ({
   logger: {
     error: jest.fn(),
     debug: jest.fn(),
-    info: jest.fn()
+    info: jest.fn(),
+    warn: jest.fn()
   }
 }));
 
 // Import after mocking
 const { CloudflareClient } = await import('../../src/lib/cloudflare-client.js');
+const { AdaptiveRateLimiter } = await import('../../src/lib/rate-limiter.js');
+const { CloudflareAuthError } = await import('../../src/lib/errors.js');
 
 describe('CloudflareClient', () => {
   let client;
@@ -73,11 +81,47 @@ describe('CloudflareClient', () => {
       );
     });
 
-    test('should throw error if account ID is missing', () => {
-      expect(() => new CloudflareClient(mockToken, null)).toThrow(
+    test('should throw error if account ID is missing for a service client', () => {
+      class ServiceClient extends CloudflareClient {}
+
+      expect(() => new ServiceClient(mockToken, null)).toThrow(
         'API Token and Account ID are required for Cloudflare Client'
       );
     });
+
+    test('should allow a missing account ID for account discovery', () => {
+      expect(new CloudflareClient(mockToken, null).accountId).toBeNull();
+    });
+  });
+
+  describe('listAccounts', () => {
+    test('should follow pagination across every page of accounts', async () => {
+      mockAxiosInstance.get
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: [{ id: 'account-1', name: 'Agency' }],
+            result_info: { page: 1, total_pages: 2 }
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: [{ id: 'account-2', name: 'Client' }],
+            result_info: { page: 2, total_pages: 2 }
+          }
+        });
+
+      const accounts = await new CloudflareClient(mockToken, null).listAccounts();
+
+      expect(accounts.map(account => account.id)).toEqual(['account-1', 'account-2']);
+      expect(mockAxiosInstance.get).toHaveBeenNthCalledWith(1, '/accounts', {
+        params: { page: 1, per_page: 50 }
+      });
+      expect(mockAxiosInstance.get).toHaveBeenNthCalledWith(2, '/accounts', {
+        params: { page: 2, per_page: 50 }
+      });
+    });
   });
 
   describe('get method', () => {
@@ -107,6 +151,122 @@ describe('CloudflareClient', () => {
     });
   });
 
+  describe('handleApiError', () => {
+    test('should throw a typed error with the Cloudflare error details', () => {
+      let thrown;
+
+      try {
+        client.handleApiError({
+          response: {
+            status: 403,
+            headers: { 'cf-ray': 'ray-123' },
+            data: { success: false, errors: [{ code: 10000, message: 'Authentication error' }] }
+          },
+          config: { url: '/accounts/test/workers/scripts', method: 'get' }
+        });
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(CloudflareAuthError);
+      expect(thrown).toMatchObject({
+        status: 403,
+        codes: [10000],
+        requestId: 'ray-123',
+        endpoint: '/accounts/test/workers/scripts',
+        method: 'GET',
+        message: 'Access denied. Check API Token permissions: Authentication error (code 10000)'
+      });
+    });
+  });
+
+  describe('makeRequest retries', () => {
+    const apiError = (status, headers = {}) => {
+      try {
+        client.handleApiError({
+          response: { status, headers, data: { success: false } },
+          config: { url: '/test', method: 'get' }
+        });
+      } catch (error) {
+        return error;
+      }
+    };
+
+    beforeEach(() => {
+      client = new CloudflareClient(mockToken, mockAccountId, {
+        rateLimiter: new AdaptiveRateLimiter({ requestsPerSecond: 1000 })
+      });
+      jest.spyOn(client, 'delay').mockResolvedValue();
+      jest.spyOn(client.rateLimiter, 'recordThrottle').mockImplementation(() => {});
+    });
+
+    test('should retry rate limited requests until they succeed', async () => {
+      mockAxiosInstance.get
+        .mockRejectedValueOnce(apiError(429))
+        .mockRejectedValueOnce(apiError(503))
+        .mockResolvedValueOnce({ data: { success: true, result: [] } });
+
+      const result = await client.get('/test');
+
+      expect(result).toEqual({ success: true, result: [] });
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(3);
+    });
+
+    test('should honor the Retry-After header', async () => {
+      mockAxiosInstance.get
+        .mockRejectedValueOnce(apiError(429, { 'retry-after': '7' }))
+        .mockResolvedValueOnce({ data: { success: true } });
+
+      await client.get('/test');
+
+      expect(client.delay).toHaveBeenCalledWith(7000);
+      expect(client.rateLimiter.recordThrottle).toHaveBeenCalledWith(7000);
+    });
+
+    test('should surface the attempt count when giving up', async () => {
+      mockAxiosInstance.get.mockRejectedValue(apiError(429));
+
+      await expect(client.get('/test')).rejects.toMatchObject({
+        status: 429,
+        attempts: 3,
+        message: 'Rate limit exceeded (gave up after 3 attempts)'
+      });
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry client errors', async () => {
+      mockAxiosInstance.get.mockRejectedValueOnce(apiError(404));
+
+      await expect(client.get('/test')).rejects.toMatchObject({ status: 404, attempts: 1 });
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry POST requests only when rate limited', async () => {
+      mockAxiosInstance.post
+        .mockRejectedValueOnce(apiError(429))
+        .mockRejectedValueOnce(apiError(502))
+        .mockResolvedValueOnce({ data: { success: true } });
+
+      await expect(client.post('/test', { name: 'docs' })).rejects.toMatchObject({
+        status: 502,
+        attempts: 2
+      });
+      expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('should back off exponentially with jitter', () => {
+      const options = { baseDelay: 500, maxDelay: 60000 };
+
+      const first = client.getRetryDelay({}, 1, options);
+      const third = client.getRetryDelay({}, 3, options);
+
+      expect(first).toBeGreaterThanOrEqual(250);
+      expect(first).toBeLessThanOrEqual(500);
+      expect(third).toBeGreaterThanOrEqual(1000);
+      expect(third).toBeLessThanOrEqual(2000);
+    });
+  });
+
   describe('validateConnection', () => {
     test('should validate successful connection', async () => {
       const mockResponse = {
@@ -0,0 +1,63 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  assertWithinDeletionLimits,
+  findDeletionLimitViolations,
+  hasDeletionLimits,
+  validateDeletionLimits
+} from '../../src/lib/deletion-limits.js';
+import { PolicyViolationError, ValidationError } from '../../src/lib/errors.js';
+
+describe('deletion limits', () => {
+  test('should treat unset limits as unlimited', () => {
+    expect(hasDeletionLimits({})).toBe(false);
+    expect(hasDeletionLimits({ maxDeletions: null, maxDeletionPercent: null })).toBe(false);
+    expect(hasDeletionLimits({ maxDeletions: 0 })).toBe(true);
+    expect(findDeletionLimitViolations({ toDelete: 1000, total: 1000 }, {})).toEqual([]);
+  });
+
+  test('should report every exceeded limit with the planned counts', () => {
+    expect(
+      findDeletionLimitViolations(
+        { toDelete: 30, total: 40 },
+        { maxDeletions: 25, maxDeletionPercent: 50 }
+      )
+    ).toEqual([
+      '30 deployments planned, more than maxDeletions 25',
+      '30 of 40 deployments planned (75%), more than maxDeletionPercent 50%'
+    ]);
+  });
+
+  test('should allow a plan exactly at the limits', () => {
+    expect(
+      findDeletionLimitViolations(
+        { toDelete: 5, total: 10 },
+        { maxDeletions: 5, maxDeletionPercent: 50 }
+      )
+    ).toEqual([]);
+  });
+
+  test('should skip the percentage when the total is unknown', () => {
+    expect(findDeletionLimitViolations({ toDelete: 5 }, { maxDeletionPercent: 10 })).toEqual([]);
+  });
+
+  test('should throw a policy violation naming what would be deleted', () => {
+    expect(() =>
+      assertWithinDeletionLimits(
+        { label: 'pages "docs"', toDelete: 3, total: 3 },
+        { maxDeletions: 0 }
+      )
+    ).toThrow(
+      new PolicyViolationError(
+        'Bulk delete of pages "docs" exceeds the deletion limits: 3 deployments planned, more than maxDeletions 0. Nothing was deleted'
+      )
+    );
+  });
+
+  test('should reject invalid limits', () => {
+    expect(() => validateDeletionLimits({ maxDeletions: -1 })).toThrow(ValidationError);
+    expect(() => validateDeletionLimits({ maxDeletions: 1.5 })).toThrow(ValidationError);
+    expect(() => validateDeletionLimits({ maxDeletionPercent: 101 })).toThrow(
+      'maxDeletionPercent must be a number between 0 and 100, got 101'
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  buildDeletionReport,
+  describeDeployment,
+  reportFormatFromPath,
+  writeDeletionReport
+} from '../../src/lib/deletion-report.js';
+
+describe('deletion report', () => {
+  const deployments = [
+    {
+      id: 'deploy1',
+      environment: 'production',
+      created_on: '2023-01-04T00:00:00Z',
+      deployment_trigger: {
+        type: 'github:push',
+        metadata: { branch: 'main', commit_hash: 'abc123', commit_message: 'Release, v2' }
+      }
+    },
+    { id: 'deploy2', environment: 'preview', created_on: '2023-01-03T00:00:00Z' },
+    { id: 'deploy3', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+    { id: 'deploy4', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+  ];
+
+  const result = {
+    skippedDeployments: [
+      { id: 'deploy1', decision: 'skipped-production', reason: 'Production deployment' }
+    ],
+    results: [
+      { id: 'deploy2', status: 'deleted' },
+      { id: 'deploy3', status: 'failed', error: 'Server error', httpStatus: 500 }
+    ]
+  };
+
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cf-report-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should flatten Pages git metadata', () => {
+    expect(describeDeployment(deployments[0])).toMatchObject({
+      id: 'deploy1',
+      branch: 'main',
+      commit: 'abc123',
+      commit_message: 'Release, v2'
+    });
+    expect(describeDeployment(deployments[1]).branch).toBeUndefined();
+  });
+
+  test('should record a decision and reason for every candidate', () => {
+    const rows = buildDeletionReport(deployments, result);
+
+    expect(rows.map(row => [row.id, row.decision, row.reason])).toEqual([
+      ['deploy1', 'skipped-production', 'Production deployment'],
+      ['deploy2', 'deleted', 'Matched deletion filters'],
+      ['deploy3', 'failed', 'Server error'],
+      ['deploy4', 'not-deleted', 'Not processed']
+    ]);
+  });
+
+  test('should report deployments that were already gone', () => {
+    const rows = buildDeletionReport([deployments[3]], {
+      results: [{ id: 'deploy4', status: 'already-absent' }]
+    });
+
+    expect(rows[0]).toMatchObject({
+      decision: 'already-absent',
+      reason: 'Already deleted (not found)'
+    });
+  });
+
+  test('should mark dry runs and deployments deleted by an earlier run', () => {
+    const rows = buildDeletionReport(
+      deployments.slice(1),
+      {},
+      {
+        dryRun: true,
+        isCompleted: id => id === 'deploy2'
+      }
+    );
+
+    expect(rows.map(row => row.decision)).toEqual(['deleted', 'would-delete', 'would-delete']);
+  });
+
+  test('should pick the format from the file extension', () => {
+    expect(reportFormatFromPath('report.md')).toBe('markdown');
+    expect(reportFormatFromPath('report.MARKDOWN')).toBe('markdown');
+    expect(reportFormatFromPath('report.csv')).toBe('csv');
+    expect(reportFormatFromPath('report')).toBe('csv');
+  });
+
+  test('should write a CSV report', async () => {
+    const filePath = join(dir, 'nested', 'report.csv');
+
+    const written = await writeDeletionReport(filePath, buildDeletionReport(deployments, result));
+    const lines = readFileSync(filePath, 'utf8').trim().split('\r\n');
+
+    expect(written).toEqual({ filePath, format: 'csv', rows: 4 });
+    expect(lines[0]).toBe(
+      'Deployment ID,Created,Environment,Version,Branch,Commit,Commit Message,Decision,Group,Reason'
+    );
+    expect(lines[1]).toBe(
+      'deploy1,2023-01-04T00:00:00Z,production,,main,abc123,"Release, v2",skipped-production,,Production deployment'
+    );
+  });
+
+  test('should write a Markdown report', async () => {
+    const filePath = join(dir, 'report.md');
+
+    await writeDeletionReport(filePath, buildDeletionReport(deployments, result));
+    const lines = readFileSync(filePath, 'utf8').trim().split('\n');
+
+    expect(lines).toHaveLength(6);
+    expect(lines[1]).toBe('| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |');
+    expect(lines[4]).toContain('| failed |  | Server error |');
+  });
+});
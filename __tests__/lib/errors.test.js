@@ -0,0 +1,57 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  CloudflareApiError,
+  CloudflareAuthError,
+  CloudflareConflictError,
+  CloudflareNotFoundError,
+  CloudflareRateLimitError,
+  CloudflareServerError,
+  createApiError
+} from '../../src/lib/errors.js';
+
+describe('createApiError', () => {
+  test.each([
+    [401, CloudflareAuthError],
+    [403, CloudflareAuthError],
+    [404, CloudflareNotFoundError],
+    [409, CloudflareConflictError],
+    [429, CloudflareRateLimitError],
+    [503, CloudflareServerError],
+    [400, CloudflareApiError],
+    [null, CloudflareApiError]
+  ])('should map status %s to %p', (status, ErrorClass) => {
+    const error = createApiError({ status });
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(CloudflareApiError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe(ErrorClass.name);
+  });
+
+  test('should keep Cloudflare error codes and the failed request', () => {
+    const error = createApiError({
+      status: 404,
+      errors: [{ code: 8000007, message: 'Deployment not found' }],
+      requestId: '8f1a2b3c4d5e6f70-SIN',
+      endpoint: '/accounts/acc/pages/projects/site/deployments/abc',
+      method: 'DELETE'
+    });
+
+    expect(error.message).toBe('Resource not found: Deployment not found (code 8000007)');
+    expect(error).toMatchObject({
+      status: 404,
+      codes: [8000007],
+      requestId: '8f1a2b3c4d5e6f70-SIN',
+      endpoint: '/accounts/acc/pages/projects/site/deployments/abc',
+      method: 'DELETE'
+    });
+  });
+
+  test('should fall back to the status message without Cloudflare errors', () => {
+    const error = createApiError({ status: 429, errors: undefined, retryAfter: 5000 });
+
+    expect(error.message).toBe('Rate limit exceeded');
+    expect(error.codes).toEqual([]);
+    expect(error.retryAfter).toBe(5000);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  buildFailureReport,
+  readFailureReport,
+  writeFailureReport
+} from '../../src/lib/failure-report.js';
+
+describe('failure report', () => {
+  let dir;
+
+  const result = {
+    resourceType: 'pages',
+    resourceName: 'my-project',
+    success: 40,
+    failed: 2,
+    failures: [
+      { id: 'deploy1', httpStatus: 429, message: 'Rate limit exceeded' },
+      { id: 'deploy2', httpStatus: 500, message: 'Server error from Cloudflare. Try again later' }
+    ]
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cf-failure-report-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should keep only what a retry needs from the result', () => {
+    const report = buildFailureReport(result);
+
+    expect(report).toEqual({
+      version: 1,
+      createdAt: expect.any(String),
+      resourceType: 'pages',
+      resourceName: 'my-project',
+      failures: result.failures
+    });
+  });
+
+  test('should round-trip through a file', async () => {
+    const filePath = join(dir, 'reports', 'failures.json');
+
+    await writeFailureReport(filePath, result);
+    const report = await readFailureReport(filePath);
+
+    expect(report.resourceName).toBe('my-project');
+    expect(report.failures.map(failure => failure.id)).toEqual(['deploy1', 'deploy2']);
+  });
+
+  test('should reject unreadable or malformed reports', async () => {
+    await expect(readFailureReport(join(dir, 'missing.json'))).rejects.toThrow(
+      'Cannot read failure report'
+    );
+
+    const wrongType = join(dir, 'wrong-type.json');
+    writeFileSync(wrongType, JSON.stringify({ resourceType: 'zones', failures: [] }));
+    await expect(readFailureReport(wrongType)).rejects.toThrow(
+      'does not name a Pages or Workers resource'
+    );
+
+    const missingIds = join(dir, 'missing-ids.json');
+    writeFileSync(
+      missingIds,
+      JSON.stringify({ resourceType: 'workers', resourceName: 'script', failures: [{}] })
+    );
+    await expect(readFailureReport(missingIds)).rejects.toThrow('invalid failures list');
+  });
+});
@@ -0,0 +1,308 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+// One mock ServiceManager per account ID
+const mockServiceManagers = new Map();
+
+function createMockServiceManager(accountId) {
+  return {
+    accountId,
+    listAllResources: jest.fn(),
+    selectResources: jest.fn(),
+    bulkDeleteMultipleResources: jest.fn(),
+    planPolicy: jest.fn(),
+    applyPolicy: jest.fn()
+  };
+}
+
+const mockListAccounts = jest.fn();
+const mockCheckMultiResourceOptions = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/service-manager.js', () => ({
+  ServiceManager: Object.assign(
+    jest.fn((apiToken, accountId) => {
+      if (!mockServiceManagers.has(accountId)) {
+        mockServiceManagers.set(accountId, createMockServiceManager(accountId));
+      }
+      return mockServiceManagers.get(accountId);
+    }),
+    { checkMultiResourceOptions: mockCheckMultiResourceOptions }
+  )
+}));
+
+jest.unstable_mockModule('../../src/lib/cloudflare-client.js', () => ({
+  CloudflareClient: jest.fn(() => ({ listAccounts: mockListAccounts }))
+}));
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { MultiAccountManager } = await import('../../src/lib/multi-account-manager.js');
+const { ServiceManager } = await import('../../src/lib/service-manager.js');
+const { CloudflareClient } = await import('../../src/lib/cloudflare-client.js');
+const { ValidationError } = await import('../../src/lib/errors.js');
+
+function deleteSummary(totalDeleted, totalErrors = 0) {
+  return {
+    totalResources: 1,
+    totalDeleted,
+    totalAlreadyAbsent: 0,
+    totalErrors,
+    results: [],
+    dryRun: false
+  };
+}
+
+describe('MultiAccountManager', () => {
+  const mockToken = 'test-token';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockServiceManagers.clear();
+  });
+
+  describe('constructor', () => {
+    test('should require a token and a positive concurrency', () => {
+      expect(() => new MultiAccountManager(null)).toThrow(ValidationError);
+      expect(() => new MultiAccountManager(mockToken, { concurrency: 0 })).toThrow(
+        'concurrency must be a positive integer'
+      );
+    });
+  });
+
+  describe('resolveAccounts', () => {
+    test('should use the given account IDs without discovery', async () => {
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', { id: 'account-2', name: 'Client' }]
+      });
+
+      expect(await manager.resolveAccounts()).toEqual([
+        { id: 'account-1', name: null },
+        { id: 'account-2', name: 'Client' }
+      ]);
+      expect(CloudflareClient).not.toHaveBeenCalled();
+    });
+
+    test('should discover every account the token can access once', async () => {
+      mockListAccounts.mockResolvedValue([
+        { id: 'account-1', name: 'Agency', type: 'standard' },
+        { id: 'account-2', name: 'Client', type: 'standard' }
+      ]);
+      const manager = new MultiAccountManager(mockToken);
+
+      await manager.resolveAccounts();
+      const accounts = await manager.resolveAccounts();
+
+      expect(accounts).toEqual([
+        { id: 'account-1', name: 'Agency' },
+        { id: 'account-2', name: 'Client' }
+      ]);
+      expect(CloudflareClient).toHaveBeenCalledWith(mockToken, null);
+      expect(mockListAccounts).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail when the token cannot access any account', async () => {
+      mockListAccounts.mockResolvedValue([]);
+
+      await expect(new MultiAccountManager(mockToken).resolveAccounts()).rejects.toThrow(
+        'cannot access any Cloudflare account'
+      );
+    });
+  });
+
+  describe('forEachAccount', () => {
+    test('should give every account its own ServiceManager and options', async () => {
+      const auditLog = { append: jest.fn() };
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', 'account-2'],
+        serviceManagerOptions: { auditLog }
+      });
+
+      const results = await manager.forEachAccount(async (serviceManager, account) => {
+        expect(serviceManager.accountId).toBe(account.id);
+        return account.id;
+      });
+
+      expect(results.map(entry => entry.result)).toEqual(['account-1', 'account-2']);
+      expect(ServiceManager).toHaveBeenCalledWith(mockToken, 'account-1', { auditLog });
+      expect(ServiceManager).toHaveBeenCalledWith(mockToken, 'account-2', { auditLog });
+    });
+
+    test('should keep going after an account fails', async () => {
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', 'account-2']
+      });
+
+      const results = await manager.forEachAccount(async (serviceManager, account) => {
+        if (account.id === 'account-1') {
+          throw new Error('Authentication error');
+        }
+        return 'done';
+      });
+
+      expect(results).toEqual([
+        {
+          accountId: 'account-1',
+          accountName: null,
+          success: false,
+          error: 'Authentication error'
+        },
+        { accountId: 'account-2', accountName: null, success: true, result: 'done' }
+      ]);
+    });
+
+    test('should process no more accounts at once than the concurrency', async () => {
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', 'account-2', 'account-3'],
+        concurrency: 2
+      });
+      let running = 0;
+      let maxRunning = 0;
+
+      await manager.forEachAccount(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+      });
+
+      expect(maxRunning).toBe(2);
+    });
+  });
+
+  describe('listAllResources', () => {
+    test('should return resources per account with a combined summary', async () => {
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', 'account-2', 'account-3']
+      });
+      await manager.resolveAccounts();
+      manager.getServiceManager({ id: 'account-1' }).listAllResources.mockResolvedValue({
+        pages: [{ name: 'site' }],
+        workers: [{ name: 'api' }, { name: 'cron' }]
+      });
+      manager.getServiceManager({ id: 'account-2' }).listAllResources.mockResolvedValue({
+        pages: [{ name: 'docs' }],
+        workers: []
+      });
+      manager
+        .getServiceManager({ id: 'account-3' })
+        .listAllResources.mockRejectedValue(new Error('Forbidden'));
+
+      const { accounts, summary } = await manager.listAllResources();
+
+      expect(accounts.map(entry => entry.success)).toEqual([true, true, false]);
+      expect(summary).toEqual({
+        totalAccounts: 3,
+        failedAccounts: 1,
+        totalPages: 2,
+        totalWorkers: 2
+      });
+    });
+  });
+
+  describe('bulkDelete', () => {
+    test('should select resources by pattern in every account and sum the results', async () => {
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', 'account-2']
+      });
+      const first = manager.getServiceManager({ id: 'account-1' });
+      const second = manager.getServiceManager({ id: 'account-2' });
+      first.selectResources.mockResolvedValue([{ type: 'pages', name: 'preview-a' }]);
+      first.bulkDeleteMultipleResources.mockResolvedValue(deleteSummary(3, 1));
+      second.selectResources.mockResolvedValue([]);
+
+      const { accounts, summary } = await manager.bulkDelete('pages', {
+        include: ['preview-*'],
+        exclude: ['preview-keep'],
+        maxDeletions: 10
+      });
+
+      expect(first.selectResources).toHaveBeenCalledWith('pages', {
+        include: ['preview-*'],
+        exclude: ['preview-keep'],
+        deploymentOptions: undefined
+      });
+      expect(first.bulkDeleteMultipleResources).toHaveBeenCalledWith(
+        [{ type: 'pages', name: 'preview-a' }],
+        { maxDeletions: 10 }
+      );
+      expect(second.bulkDeleteMultipleResources).not.toHaveBeenCalled();
+      expect(accounts[1].result.totalResources).toBe(0);
+      expect(summary).toEqual({
+        totalAccounts: 2,
+        failedAccounts: 0,
+        totalResources: 1,
+        totalDeleted: 3,
+        totalAlreadyAbsent: 0,
+        totalErrors: 1,
+        failedResources: 0,
+        dryRun: false
+      });
+    });
+
+    test('should pass allowLive through to every account', async () => {
+      const manager = new MultiAccountManager(mockToken, { accounts: ['account-1'] });
+      const first = manager.getServiceManager({ id: 'account-1' });
+      first.selectResources.mockResolvedValue([{ type: 'workers', name: 'api' }]);
+      first.bulkDeleteMultipleResources.mockResolvedValue(deleteSummary(1));
+
+      await manager.bulkDelete('workers', { include: ['api'], allowLive: true });
+
+      expect(mockCheckMultiResourceOptions).toHaveBeenCalledWith({ allowLive: true });
+      expect(first.bulkDeleteMultipleResources).toHaveBeenCalledWith(
+        [{ type: 'workers', name: 'api' }],
+        { allowLive: true }
+      );
+    });
+
+    test('should reject options that only work for one resource before any account', async () => {
+      mockCheckMultiResourceOptions.mockImplementationOnce(() => {
+        throw new ValidationError('journal cannot be used when deleting from several resources');
+      });
+      const manager = new MultiAccountManager(mockToken, { accounts: ['account-1'] });
+      const first = manager.getServiceManager({ id: 'account-1' });
+
+      await expect(manager.bulkDelete('pages', { include: ['*'], journal: {} })).rejects.toThrow(
+        ValidationError
+      );
+      expect(first.selectResources).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyPolicy', () => {
+    test('should execute reviewed plans and skip accounts whose planning failed', async () => {
+      const policy = { rules: [] };
+      const manager = new MultiAccountManager(mockToken, {
+        accounts: ['account-1', 'account-2']
+      });
+      const first = manager.getServiceManager({ id: 'account-1' });
+      const second = manager.getServiceManager({ id: 'account-2' });
+      const plan = [{ resourceType: 'pages', resourceName: 'site', deployments: [], total: 2 }];
+      first.planPolicy.mockResolvedValue(plan);
+      second.planPolicy.mockRejectedValue(new Error('Forbidden'));
+      first.applyPolicy.mockResolvedValue(deleteSummary(2));
+
+      const plans = await manager.planPolicy(policy);
+      const { accounts, summary } = await manager.applyPolicy(policy, {
+        plans,
+        dryRun: false,
+        backup: true
+      });
+
+      expect(first.applyPolicy).toHaveBeenCalledWith(policy, {
+        dryRun: false,
+        backup: true,
+        plan
+      });
+      expect(second.applyPolicy).not.toHaveBeenCalled();
+      expect(accounts[1]).toMatchObject({ success: false, error: 'Planning failed: Forbidden' });
+      expect(summary).toMatchObject({ totalAccounts: 2, failedAccounts: 1, totalDeleted: 2 });
+    });
+  });
+});
@@ -29,7 +29,7 @@ jest.unstable_mockModule('../../src/config/config.js', () => ({
       baseUrl: 'https://api.cloudflare.com/client/v4',
       rateLimit: {
         concurrent: 5,
-        delay: 100
+        requestsPerSecond: 1000
       }
     },
     cli: {
@@ -69,6 +69,7 @@ jest.unstable_mockModule('dayjs', () => ({
 
 // Import after mocking
 const { PagesClient } = await import('../../src/lib/pages-client.js');
+const { createApiError } = await import('../../src/lib/errors.js');
 
 describe('PagesClient', () => {
   let pagesClient;
@@ -149,6 +150,77 @@ describe('PagesClient', () => {
     });
   });
 
+  describe('listDomains', () => {
+    test('should fetch the custom domains of a project', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: { success: true, result: [{ name: 'docs.example.com', status: 'active' }] }
+      });
+
+      const result = await pagesClient.listDomains('test-project');
+
+      expect(result).toEqual([{ name: 'docs.example.com', status: 'active' }]);
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/pages/projects/test-project/domains`,
+        { params: {} }
+      );
+    });
+  });
+
+  describe('createProject', () => {
+    test('should create a project from a stored configuration without env vars', async () => {
+      mockAxiosInstance.post.mockResolvedValue({
+        data: { success: true, result: { name: 'docs' } }
+      });
+
+      await pagesClient.createProject(
+        {
+          name: 'docs',
+          id: 'old-id',
+          production_branch: 'main',
+          build_config: { build_command: 'npm run build', destination_dir: 'dist' },
+          deployment_configs: {
+            production: {
+              compatibility_date: '2024-01-01',
+              kv_namespaces: { CACHE: { namespace_id: 'ns1' } },
+              env_vars: { API_KEY: { type: 'secret_text' } }
+            }
+          }
+        },
+        { name: 'docs-restored' }
+      );
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/pages/projects`,
+        {
+          name: 'docs-restored',
+          production_branch: 'main',
+          build_config: { build_command: 'npm run build', destination_dir: 'dist' },
+          deployment_configs: {
+            production: {
+              compatibility_date: '2024-01-01',
+              kv_namespaces: { CACHE: { namespace_id: 'ns1' } }
+            }
+          }
+        }
+      );
+    });
+  });
+
+  describe('addDomain', () => {
+    test('should attach a custom domain', async () => {
+      mockAxiosInstance.post.mockResolvedValue({
+        data: { success: true, result: { name: 'docs.example.com', status: 'pending' } }
+      });
+
+      await pagesClient.addDomain('docs', 'docs.example.com');
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/pages/projects/docs/domains`,
+        { name: 'docs.example.com' }
+      );
+    });
+  });
+
   describe('listAllDeployments', () => {
     test('should fetch all deployments for project', async () => {
       const mockResponse = {
@@ -223,6 +295,57 @@ describe('PagesClient', () => {
     });
   });
 
+  describe('filterByGitSource', () => {
+    const fromBranch = (id, branch, commitHash) => ({
+      id,
+      environment: 'preview',
+      deployment_trigger: { metadata: { branch, commit_hash: commitHash } }
+    });
+    const deployments = [
+      fromBranch('d1', 'main', 'aaa111'),
+      fromBranch('d2', 'staging', 'bbb222'),
+      fromBranch('d3', 'feature/login', 'ccc333'),
+      fromBranch('d4', 'feature/search', 'ddd444'),
+      { id: 'd5', environment: 'preview' }
+    ];
+    const ids = list => list.map(deployment => deployment.id);
+
+    test('should select branches by pattern and leave out excluded branches', () => {
+      expect(ids(pagesClient.filterByGitSource(deployments, { branch: ['feature/*'] }))).toEqual([
+        'd3',
+        'd4'
+      ]);
+      expect(
+        ids(pagesClient.filterByGitSource(deployments, { excludeBranch: ['main', 'staging'] }))
+      ).toEqual(['d3', 'd4', 'd5']);
+    });
+
+    test('should match commits by SHA prefix', () => {
+      expect(ids(pagesClient.filterByGitSource(deployments, { commit: ['CCC3'] }))).toEqual(['d3']);
+    });
+
+    test('should select deployments from branches that no longer exist', () => {
+      expect(
+        ids(
+          pagesClient.filterByGitSource(deployments, {
+            activeBranches: ['main', 'staging', 'feature/search']
+          })
+        )
+      ).toEqual(['d3']);
+    });
+
+    test('should apply git filters when listing all deployments', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: { success: true, result: deployments } });
+
+      const result = await pagesClient.listAllDeployments('test-project', {
+        branch: '/^feature\\//',
+        excludeBranch: 'feature/search'
+      });
+
+      expect(ids(result)).toEqual(['d3']);
+    });
+  });
+
   describe('deleteDeployment', () => {
     test('should delete deployment successfully with force=true by default', async () => {
       const mockResponse = { data: { success: true } };
@@ -269,6 +392,163 @@ describe('PagesClient', () => {
   });
 
   describe('bulkDeleteDeployments', () => {
+    beforeEach(() => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          success: true,
+          result: { name: 'test-project', canonical_deployment: { id: 'live-production' } }
+        }
+      });
+    });
+
+    test('should never delete the live or aliased deployments', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          success: true,
+          result: {
+            name: 'test-project',
+            canonical_deployment: { id: 'canonical' },
+            latest_deployment: { id: 'latest' }
+          }
+        }
+      });
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+      const deployments = [
+        { id: 'latest', environment: 'preview', created_on: '2023-01-04T00:00:00Z' },
+        { id: 'canonical', environment: 'production', created_on: '2023-01-03T00:00:00Z' },
+        {
+          id: 'aliased',
+          environment: 'preview',
+          created_on: '2023-01-02T00:00:00Z',
+          aliases: ['https://staging.test-project.pages.dev']
+        },
+        { id: 'old', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+      ];
+
+      const result = await pagesClient.bulkDeleteDeployments('test-project', deployments, {
+        skipProduction: false,
+        keepLatest: 0
+      });
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/pages/projects/test-project`,
+        { params: {} }
+      );
+      expect(result.success).toBe(1);
+      expect(result.skippedDeployments).toEqual([
+        {
+          id: 'latest',
+          decision: 'live-protected',
+          reason: 'Latest deployment of the project (--allow-live to include)'
+        },
+        {
+          id: 'canonical',
+          decision: 'live-protected',
+          reason: 'Serves production (canonical deployment) (--allow-live to include)'
+        },
+        {
+          id: 'aliased',
+          decision: 'live-protected',
+          reason: 'Holds alias https://staging.test-project.pages.dev (--allow-live to include)'
+        }
+      ]);
+      expect(mockAxiosInstance.delete).toHaveBeenCalledTimes(1);
+    });
+
+    test('should count deployments deleted by someone else as already absent', async () => {
+      mockAxiosInstance.delete
+        .mockResolvedValueOnce({ data: { success: true } })
+        .mockRejectedValueOnce(createApiError({ status: 404 }));
+
+      const result = await pagesClient.bulkDeleteDeployments(
+        'test-project',
+        [
+          { id: 'present', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+          { id: 'gone', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+        ],
+        { keepLatest: 0, batchSize: 1 }
+      );
+
+      expect(result).toMatchObject({ success: 1, alreadyAbsent: 1, failed: 0, failures: [] });
+      expect(result.results).toEqual([
+        { id: 'present', status: 'deleted' },
+        { id: 'gone', status: 'already-absent' }
+      ]);
+    });
+
+    test('should abort before deleting when the plan exceeds maxDeletionPercent', async () => {
+      const deployments = [
+        { id: 'd3', environment: 'preview', created_on: '2023-01-03T00:00:00Z' },
+        { id: 'd2', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+        { id: 'd1', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+      ];
+
+      await expect(
+        pagesClient.bulkDeleteDeployments('test-project', deployments, {
+          keepLatest: 1,
+          maxDeletionPercent: 50
+        })
+      ).rejects.toThrow(
+        'Bulk delete of pages "test-project" exceeds the deletion limits: 2 of 3 deployments planned (66.7%), more than maxDeletionPercent 50%. Nothing was deleted'
+      );
+      expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+    });
+
+    test('should only warn about exceeded limits in a dry run', async () => {
+      const result = await pagesClient.bulkDeleteDeployments(
+        'test-project',
+        [
+          { id: 'd2', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+          { id: 'd1', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+        ],
+        { keepLatest: 0, maxDeletions: 1, dryRun: true }
+      );
+
+      expect(result.dryRun).toBe(true);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        '[DRY RUN] Deletion limit exceeded for pages "test-project": 2 deployments planned, more than maxDeletions 1; a real run would abort'
+      );
+    });
+
+    test('should include live deployments with allowLive', async () => {
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+
+      const result = await pagesClient.bulkDeleteDeployments(
+        'test-project',
+        [{ id: 'live-production', environment: 'production', created_on: '2023-01-01' }],
+        { skipProduction: false, keepLatest: 0, allowLive: true }
+      );
+
+      expect(mockAxiosInstance.get).not.toHaveBeenCalled();
+      expect(result.success).toBe(1);
+    });
+
+    test('should refuse to delete when the live deployment cannot be determined', async () => {
+      mockAxiosInstance.get.mockRejectedValue(new Error('Network Error'));
+
+      await expect(
+        pagesClient.bulkDeleteDeployments('test-project', [{ id: 'deploy1' }], {
+          keepLatest: 0
+        })
+      ).rejects.toThrow('Cannot determine the live deployment of test-project');
+      expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+    });
+
+    test('should label live deployments in dry run output', async () => {
+      await pagesClient.bulkDeleteDeployments(
+        'test-project',
+        [
+          { id: 'live-production', environment: 'production', created_on: '2023-01-02' },
+          { id: 'old', environment: 'preview', created_on: '2023-01-01' }
+        ],
+        { dryRun: true, skipProduction: false, keepLatest: 0 }
+      );
+
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        '[DRY RUN] Keeping live-production [live-protected]'
+      );
+    });
+
     test('should delete multiple deployments', async () => {
       const deployments = [
         { id: 'deploy1', environment: 'preview', created_on: '2023-01-01T00:00:00Z' },
@@ -289,6 +569,98 @@ describe('PagesClient', () => {
       expect(mockAxiosInstance.delete).toHaveBeenCalledTimes(2);
     });
 
+    test('should delete concurrently and keep results in plan order', async () => {
+      const deployments = [
+        { id: 'deploy1', environment: 'preview', created_on: '2023-01-03T00:00:00Z' },
+        { id: 'deploy2', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+        { id: 'deploy3', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+      ];
+
+      mockAxiosInstance.delete.mockImplementation(async url => {
+        // The first deployment finishes last to prove ordering does not follow completion
+        await new Promise(resolve => setTimeout(resolve, url.endsWith('deploy1') ? 20 : 1));
+        if (url.endsWith('deploy2')) {
+          throw new Error('Deployment locked');
+        }
+        return { data: { success: true } };
+      });
+
+      const result = await pagesClient.bulkDeleteDeployments('test-project', deployments, {
+        skipProduction: false,
+        keepLatest: 0,
+        batchSize: 3
+      });
+
+      expect(result.success).toBe(2);
+      expect(result.failed).toBe(1);
+      expect(result.results).toEqual([
+        { id: 'deploy1', status: 'deleted' },
+        { id: 'deploy2', status: 'failed', error: 'Deployment locked', httpStatus: null },
+        { id: 'deploy3', status: 'deleted' }
+      ]);
+      expect(result.failures).toEqual([
+        { id: 'deploy2', httpStatus: null, message: 'Deployment locked' }
+      ]);
+      expect(mockProgressLogger.increment).toHaveBeenCalledTimes(3);
+      expect(mockProgressLogger.increment).toHaveBeenCalledWith('deploy2', expect.any(Error));
+    });
+
+    test('should record the plan and outcomes in the checkpoint journal', async () => {
+      const deployments = [
+        { id: 'deploy1', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+        { id: 'deploy2', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+      ];
+      const journal = {
+        plan: null,
+        recordPlan: jest.fn(),
+        recordCompleted: jest.fn(),
+        recordFailed: jest.fn()
+      };
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+
+      await pagesClient.bulkDeleteDeployments('test-project', deployments, {
+        keepLatest: 1,
+        journal
+      });
+
+      expect(journal.recordPlan).toHaveBeenCalledWith({
+        resourceType: 'pages',
+        resourceName: 'test-project',
+        deployments: [deployments[1]],
+        skipped: 1
+      });
+      expect(journal.recordCompleted).toHaveBeenCalledWith('deploy2');
+    });
+
+    test('should resume from a journal without re-deleting confirmed deployments', async () => {
+      const planned = [
+        { id: 'deploy1', environment: 'preview', created_on: '2023-01-02T00:00:00Z' },
+        { id: 'deploy2', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+      ];
+      const journal = {
+        filePath: 'run.jsonl',
+        plan: { skipped: 3, deployments: planned },
+        isCompleted: id => id === 'deploy1',
+        recordPlan: jest.fn(),
+        recordCompleted: jest.fn(),
+        recordFailed: jest.fn()
+      };
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+
+      const result = await pagesClient.bulkDeleteDeployments('test-project', planned, {
+        journal
+      });
+
+      expect(result.success).toBe(1);
+      expect(result.skipped).toBe(3);
+      expect(journal.recordPlan).not.toHaveBeenCalled();
+      expect(mockAxiosInstance.delete).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstance.delete).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/pages/projects/test-project/deployments/deploy2`,
+        { params: { force: true } }
+      );
+    });
+
     test('should handle dry run mode', async () => {
       const deployments = [
         { id: 'deploy1', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
@@ -321,6 +693,46 @@ describe('PagesClient', () => {
       );
     });
 
+    test('should keep the newest deployment of every branch', async () => {
+      const fromBranch = (id, branch, createdOn) => ({
+        id,
+        environment: 'preview',
+        created_on: createdOn,
+        deployment_trigger: { metadata: { branch } }
+      });
+      const deployments = [
+        fromBranch('a-old', 'feature/a', '2023-01-01T00:00:00Z'),
+        fromBranch('b-new', 'feature/b', '2023-01-04T00:00:00Z'),
+        fromBranch('a-new', 'feature/a', '2023-01-03T00:00:00Z'),
+        fromBranch('b-old', 'feature/b', '2023-01-02T00:00:00Z')
+      ];
+
+      const result = await pagesClient.bulkDeleteDeployments('test-project', deployments, {
+        dryRun: true,
+        keepLatest: 0,
+        keepLatestPerBranch: 1
+      });
+
+      expect(result.skippedDeployments).toEqual([
+        {
+          id: 'b-new',
+          decision: 'skipped-latest-branch',
+          group: 'branch:feature/b',
+          reason: 'Newest 1 of branch feature/b kept (--keep-latest-per-branch)'
+        },
+        {
+          id: 'a-new',
+          decision: 'skipped-latest-branch',
+          group: 'branch:feature/a',
+          reason: 'Newest 1 of branch feature/a kept (--keep-latest-per-branch)'
+        }
+      ]);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        '[DRY RUN] 1. b-old (preview) - 2023-01-02T00:00:00Z'
+      );
+      expect(mockLogger.info).toHaveBeenCalledWith('[DRY RUN] Keeping a-new [branch:feature/a]');
+    });
+
     test('should protect both latest and production deployments by default', async () => {
       const deployments = [
         { id: 'latest-preview', environment: 'preview', created_on: '2023-01-03T00:00:00Z' },
@@ -333,6 +745,18 @@ describe('PagesClient', () => {
       });
 
       expect(result.skipped).toBe(2);
+      expect(result.skippedDeployments).toEqual([
+        {
+          id: 'latest-preview',
+          decision: 'skipped-latest',
+          reason: 'Newest 1 deployment kept (--keep-latest)'
+        },
+        {
+          id: 'old-production',
+          decision: 'skipped-production',
+          reason: 'Production deployment (--skip-production)'
+        }
+      ]);
       expect(mockLogger.info).toHaveBeenCalledWith(
         '[DRY RUN] 1. old-preview (preview) - 2023-01-01T00:00:00Z'
       );
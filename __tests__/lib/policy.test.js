@@ -0,0 +1,204 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import dayjs from 'dayjs';
+import {
+  findRule,
+  loadPolicy,
+  normalizePolicy,
+  parsePolicy,
+  planDeployments
+} from '../../src/lib/policy.js';
+
+describe('cleanup policy', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cf-policy-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parsing', () => {
+    test('should load a YAML policy and apply defaults to every rule', async () => {
+      const filePath = join(dir, '.cf-bulk-delete.yml');
+      writeFileSync(
+        filePath,
+        [
+          'defaults:',
+          '  keepLatest: 5',
+          'rules:',
+          '  - name: previews',
+          '    type: pages',
+          "    match: 'customer-*'",
+          '    environments: [preview]',
+          '  - type: workers',
+          '    match: [test-*]',
+          '    keepLatest: 2'
+        ].join('\n')
+      );
+
+      const policy = await loadPolicy(filePath);
+
+      expect(policy.rules[0]).toMatchObject({
+        name: 'previews',
+        match: ['customer-*'],
+        keepLatest: 5,
+        environments: ['preview'],
+        skipProduction: true,
+        enabled: true
+      });
+      expect(policy.rules[1]).toMatchObject({
+        name: 'rules[1]',
+        keepLatest: 2,
+        skipProduction: false
+      });
+    });
+
+    test('should parse JSON policies', () => {
+      const policy = parsePolicy(
+        JSON.stringify({ rules: [{ type: 'pages', match: '*', maxAge: 30 }] }),
+        'policy.json'
+      );
+
+      expect(policy.rules[0].maxAge).toBe(30);
+    });
+
+    test('should reject invalid rules with their location', () => {
+      expect(() => normalizePolicy({})).toThrow('Policy must contain a "rules" list');
+      expect(() => normalizePolicy({ rules: [{ type: 'zones', match: '*' }] })).toThrow(
+        'rules[0].type must be "pages" or "workers"'
+      );
+      expect(() => normalizePolicy({ rules: [{ type: 'pages' }] })).toThrow(
+        'rules[0].match must list at least one resource name pattern'
+      );
+      expect(() => normalizePolicy({ rules: [{ type: 'pages', match: '*', keep: 3 }] })).toThrow(
+        'rules[0] has unknown field(s): keep'
+      );
+      expect(() =>
+        normalizePolicy({ rules: [{ type: 'pages', match: '*', keepLatest: -1 }] })
+      ).toThrow('rules[0].keepLatest must be a non-negative integer');
+    });
+
+    test('should name the file when it cannot be read or parsed', async () => {
+      await expect(loadPolicy(join(dir, 'missing.yml'))).rejects.toThrow('Cannot read policy file');
+
+      const filePath = join(dir, 'bad.yml');
+      writeFileSync(filePath, 'rules: [{ type: pages }]');
+
+      await expect(loadPolicy(filePath)).rejects.toThrow(`Invalid policy file ${filePath}`);
+    });
+  });
+
+  describe('findRule', () => {
+    const policy = normalizePolicy({
+      rules: [
+        { name: 'disabled', type: 'pages', match: 'legacy-*', enabled: false },
+        { name: 'customers', type: 'pages', match: 'customer-*', exclude: 'customer-vip' },
+        { name: 'catch-all', type: 'pages', match: '*' }
+      ]
+    });
+
+    test('should return the first rule that selects the resource', () => {
+      expect(findRule(policy, 'pages', 'customer-a').name).toBe('customers');
+      expect(findRule(policy, 'pages', 'customer-vip').name).toBe('catch-all');
+      expect(findRule(policy, 'workers', 'customer-a')).toBeNull();
+    });
+
+    test('should let a disabled rule shadow later rules', () => {
+      expect(findRule(policy, 'pages', 'legacy-site')).toMatchObject({
+        name: 'disabled',
+        enabled: false
+      });
+    });
+  });
+
+  describe('planDeployments', () => {
+    const daysAgo = days => dayjs().subtract(days, 'day').toISOString();
+    const deployments = [
+      { id: 'd1', environment: 'preview', created_on: daysAgo(1) },
+      { id: 'd2', environment: 'production', created_on: daysAgo(40) },
+      {
+        id: 'd3',
+        environment: 'preview',
+        created_on: daysAgo(41),
+        deployment_trigger: { metadata: { branch: 'feature/login' } }
+      },
+      {
+        id: 'd4',
+        environment: 'preview',
+        created_on: daysAgo(42),
+        deployment_trigger: { metadata: { branch: 'main' } }
+      },
+      { id: 'd5', environment: 'preview', created_on: daysAgo(43) },
+      { id: 'd6', environment: 'preview', created_on: daysAgo(5) }
+    ];
+
+    const rule = overrides =>
+      normalizePolicy({ rules: [{ name: 'r', type: 'pages', match: '*', ...overrides }] }).rules[0];
+
+    test('should keep the newest deployments, protected IDs and production', () => {
+      const { deploymentsToDelete, skippedDeployments } = planDeployments(
+        deployments,
+        rule({ keepLatest: 1, protect: ['d5'] })
+      );
+
+      expect(deploymentsToDelete.map(deployment => deployment.id)).toEqual(['d6', 'd3', 'd4']);
+      expect(skippedDeployments).toEqual([
+        { id: 'd1', decision: 'skipped-latest', reason: 'Newest 1 kept by policy rule r' },
+        {
+          id: 'd2',
+          decision: 'skipped-production',
+          reason: 'Production deployment kept by policy rule r'
+        },
+        { id: 'd5', decision: 'skipped-protected', reason: 'Protected by policy rule r' }
+      ]);
+    });
+
+    test('should only select deployments matching age, environment and branch filters', () => {
+      const { deploymentsToDelete } = planDeployments(
+        deployments,
+        rule({
+          keepLatest: 0,
+          skipProduction: false,
+          maxAge: 30,
+          environments: ['preview'],
+          branches: ['feature/*']
+        })
+      );
+
+      expect(deploymentsToDelete.map(deployment => deployment.id)).toEqual(['d3']);
+    });
+
+    test('should keep the newest deployments of every branch', () => {
+      const { deploymentsToDelete, skippedDeployments } = planDeployments(
+        deployments,
+        rule({ keepLatest: 0, keepLatestPerBranch: 1, skipProduction: false })
+      );
+
+      expect(deploymentsToDelete.map(deployment => deployment.id)).toEqual(['d6', 'd2', 'd5']);
+      expect(skippedDeployments.map(entry => [entry.id, entry.group])).toEqual([
+        ['d1', 'branch:(no branch)'],
+        ['d3', 'branch:feature/login'],
+        ['d4', 'branch:main']
+      ]);
+    });
+
+    test('should leave out excluded branches', () => {
+      const { deploymentsToDelete } = planDeployments(
+        deployments,
+        rule({ keepLatest: 0, excludeBranches: ['main', 'staging'] })
+      );
+
+      expect(deploymentsToDelete.map(deployment => deployment.id)).toEqual([
+        'd1',
+        'd6',
+        'd3',
+        'd5'
+      ]);
+    });
+  });
+});
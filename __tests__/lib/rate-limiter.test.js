@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/config/config.js', () => ({
+  config: {
+    cloudflare: {
+      rateLimit: {
+        concurrent: 2,
+        requestsPerSecond: 1000
+      }
+    }
+  }
+}));
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+  logger: {
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { AdaptiveRateLimiter, getAccountRateLimiter } =
+  await import('../../src/lib/rate-limiter.js');
+
+describe('AdaptiveRateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new AdaptiveRateLimiter({
+      concurrent: 2,
+      requestsPerSecond: 4,
+      minRequestsPerSecond: 1,
+      maxRequestsPerSecond: 5,
+      recoveryWindow: 3
+    });
+  });
+
+  test('should halve the rate after throttling, down to the floor', () => {
+    limiter.recordThrottle();
+    expect(limiter.currentRate).toBe(2);
+
+    limiter.lastSlowdown = 0;
+    limiter.recordThrottle();
+    limiter.lastSlowdown = 0;
+    limiter.recordThrottle();
+
+    expect(limiter.currentRate).toBe(1);
+  });
+
+  test('should treat a burst of 429s as a single throttling signal', () => {
+    limiter.recordThrottle();
+    limiter.recordThrottle();
+    limiter.recordThrottle();
+
+    expect(limiter.currentRate).toBe(2);
+  });
+
+  test('should pause for Retry-After', () => {
+    const before = Date.now();
+    limiter.recordThrottle(5000);
+
+    expect(limiter.pausedUntil).toBeGreaterThanOrEqual(before + 5000);
+  });
+
+  test('should speed up after a window of clean responses, up to the ceiling', () => {
+    limiter.recordSuccess();
+    limiter.recordSuccess();
+    expect(limiter.currentRate).toBe(4);
+
+    limiter.recordSuccess();
+    expect(limiter.currentRate).toBe(5);
+
+    for (let i = 0; i < 6; i++) {
+      limiter.recordSuccess();
+    }
+    expect(limiter.currentRate).toBe(5);
+  });
+
+  test('should reset the clean window when throttled', () => {
+    limiter.recordSuccess();
+    limiter.recordSuccess();
+    limiter.recordThrottle();
+    limiter.recordSuccess();
+
+    expect(limiter.currentRate).toBe(2);
+  });
+
+  test('should cap concurrent requests', async () => {
+    const fast = new AdaptiveRateLimiter({ concurrent: 2, requestsPerSecond: 1000 });
+    let active = 0;
+    let peak = 0;
+
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return 'done';
+    };
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(() => fast.schedule(task)));
+
+    expect(results).toEqual(['done', 'done', 'done', 'done', 'done']);
+    expect(peak).toBe(2);
+  });
+
+  test('should share one limiter per account', () => {
+    expect(getAccountRateLimiter('account-a')).toBe(getAccountRateLimiter('account-a'));
+    expect(getAccountRateLimiter('account-a')).not.toBe(getAccountRateLimiter('account-b'));
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  branchOf,
+  groupRetention,
+  NO_BRANCH,
+  rankDeployments,
+  rankWithinGroups
+} from '../../src/lib/retention.js';
+
+describe('retention', () => {
+  const preview = (id, branch) => ({
+    id,
+    environment: 'preview',
+    ...(branch && { deployment_trigger: { metadata: { branch } } })
+  });
+
+  // Newest first, as the clients sort them
+  const deployments = [
+    preview('d1', 'feature/a'),
+    preview('d2', 'feature/b'),
+    preview('d3', 'feature/a'),
+    { id: 'd4', environment: 'production', deployment_trigger: { metadata: { branch: 'main' } } },
+    preview('d5'),
+    preview('d6', 'feature/b')
+  ];
+
+  test('should group deployments without git metadata together', () => {
+    expect(branchOf(deployments[4])).toBe(NO_BRANCH);
+  });
+
+  test('should rank deployments within each group', () => {
+    const ranks = rankWithinGroups(deployments, branchOf);
+
+    expect(ranks.get('d1')).toEqual({ group: 'feature/a', rank: 0 });
+    expect(ranks.get('d3')).toEqual({ group: 'feature/a', rank: 1 });
+    expect(ranks.get('d6')).toEqual({ group: 'feature/b', rank: 1 });
+  });
+
+  test('should keep the newest deployments of every branch', () => {
+    const ranks = rankDeployments(deployments);
+    const kept = deployments
+      .map(deployment => [
+        deployment.id,
+        groupRetention(deployment, ranks, { keepLatestPerBranch: 1 })
+      ])
+      .filter(([, retention]) => retention);
+
+    expect(kept).toEqual([
+      [
+        'd1',
+        {
+          decision: 'skipped-latest-branch',
+          group: 'branch:feature/a',
+          reason: 'Newest 1 of branch feature/a kept'
+        }
+      ],
+      [
+        'd2',
+        {
+          decision: 'skipped-latest-branch',
+          group: 'branch:feature/b',
+          reason: 'Newest 1 of branch feature/b kept'
+        }
+      ],
+      [
+        'd4',
+        {
+          decision: 'skipped-latest-branch',
+          group: 'branch:main',
+          reason: 'Newest 1 of branch main kept'
+        }
+      ],
+      [
+        'd5',
+        {
+          decision: 'skipped-latest-branch',
+          group: `branch:${NO_BRANCH}`,
+          reason: `Newest 1 of branch ${NO_BRANCH} kept`
+        }
+      ]
+    ]);
+  });
+
+  test('should keep the newest deployments of every environment', () => {
+    const ranks = rankDeployments(deployments);
+
+    expect(groupRetention(deployments[1], ranks, { keepLatestPerEnvironment: 2 })).toMatchObject({
+      decision: 'skipped-latest-environment',
+      group: 'environment:preview'
+    });
+    expect(groupRetention(deployments[2], ranks, { keepLatestPerEnvironment: 2 })).toBeNull();
+    expect(groupRetention(deployments[3], ranks, { keepLatestPerEnvironment: 2 })).toMatchObject({
+      group: 'environment:production'
+    });
+  });
+});
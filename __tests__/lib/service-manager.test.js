@@ -1,4 +1,7 @@
-import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // Mock PagesClient
 const mockPagesClient = {
@@ -6,8 +9,13 @@ const mockPagesClient = {
   listAllDeployments: jest.fn(),
   bulkDeleteDeployments: jest.fn(),
   deleteProject: jest.fn(),
+  getProject: jest.fn(),
+  listDomains: jest.fn(),
+  createProject: jest.fn(),
+  addDomain: jest.fn(),
   validateConnection: jest.fn(),
   getDeploymentStats: jest.fn(),
+  getLiveDeployments: jest.fn(),
   get: jest.fn(),
   accountId: 'test-account'
 };
@@ -16,8 +24,12 @@ const mockPagesClient = {
 const mockWorkersClient = {
   listScripts: jest.fn(),
   listAllDeployments: jest.fn(),
+  listAllVersions: jest.fn(),
+  getLiveDeployments: jest.fn(),
+  applyProtection: jest.fn(),
   bulkDeleteDeployments: jest.fn(),
   deleteScript: jest.fn(),
+  getScriptSettings: jest.fn(),
   validateConnection: jest.fn(),
   getDeploymentStats: jest.fn()
 };
@@ -27,7 +39,8 @@ const mockConfig = {
   cloudflare: {
     apiToken: 'default-token',
     accountId: 'default-account'
-  }
+  },
+  cli: {}
 };
 
 const mockValidateConfig = jest.fn();
@@ -55,7 +68,15 @@ jest.unstable_mockModule('../../src/utils/logger.js', () => ({
 }));
 
 // Import after mocking
+const { normalizePolicy } = await import('../../src/lib/policy.js');
 const { ServiceManager } = await import('../../src/lib/service-manager.js');
+const { PagesClient } = await import('../../src/lib/pages-client.js');
+const { WorkersClient } = await import('../../src/lib/workers-client.js');
+const { createApiError, PolicyViolationError, ValidationError } =
+  await import('../../src/lib/errors.js');
+const { BackupStore } = await import('../../src/lib/backup-store.js');
+const { AuditLog } = await import('../../src/lib/audit-log.js');
+const { CheckpointJournal } = await import('../../src/lib/checkpoint-journal.js');
 
 describe('ServiceManager', () => {
   let serviceManager;
@@ -74,6 +95,14 @@ describe('ServiceManager', () => {
       expect(serviceManager.pagesClient).toBeDefined();
       expect(serviceManager.workersClient).toBeDefined();
     });
+
+    test('should share one account rate limiter between Pages and Workers clients', () => {
+      const pagesOptions = PagesClient.mock.calls[0][2];
+      const workersOptions = WorkersClient.mock.calls[0][2];
+
+      expect(pagesOptions.rateLimiter).toBe(serviceManager.rateLimiter);
+      expect(workersOptions.rateLimiter).toBe(serviceManager.rateLimiter);
+    });
   });
 
   describe('listAllResources', () => {
@@ -103,6 +132,220 @@ describe('ServiceManager', () => {
     });
   });
 
+  describe('selectResources', () => {
+    beforeEach(() => {
+      mockPagesClient.listProjects.mockResolvedValue([
+        { name: 'preview-a' },
+        { name: 'preview-b' },
+        { name: 'feature-login' },
+        { name: 'marketing' }
+      ]);
+      mockWorkersClient.listScripts.mockResolvedValue([{ id: 'preview-worker' }]);
+    });
+
+    test('should select resources of one type by glob and regex patterns', async () => {
+      const resources = await serviceManager.selectResources('pages', {
+        include: ['preview-*', '/^feature-/'],
+        exclude: ['preview-b']
+      });
+
+      expect(resources).toEqual([
+        { type: 'pages', name: 'preview-a', deploymentOptions: {} },
+        { type: 'pages', name: 'feature-login', deploymentOptions: {} }
+      ]);
+    });
+
+    test('should refuse an invalid pattern before listing anything', async () => {
+      await expect(
+        serviceManager.selectResources('pages', { include: ['preview-*'], exclude: ['/[/'] })
+      ).rejects.toThrow(ValidationError);
+      expect(mockPagesClient.listProjects).not.toHaveBeenCalled();
+    });
+
+    test('should require at least one pattern', async () => {
+      await expect(serviceManager.selectResources('pages', {})).rejects.toThrow(
+        'At least one resource name pattern is required'
+      );
+    });
+  });
+
+  describe('bulkDeleteMultipleResources', () => {
+    test('should use deployments already fetched for a selected resource', async () => {
+      const deployments = [{ id: 'deploy1' }];
+      mockPagesClient.bulkDeleteDeployments.mockResolvedValue({ success: 1, failed: 0 });
+
+      const result = await serviceManager.bulkDeleteMultipleResources(
+        [{ type: 'pages', name: 'preview-a', deployments }],
+        { keepLatest: 0 }
+      );
+
+      expect(mockPagesClient.listAllDeployments).not.toHaveBeenCalled();
+      expect(mockPagesClient.bulkDeleteDeployments).toHaveBeenCalledWith(
+        'preview-a',
+        deployments,
+        expect.objectContaining({ keepLatest: 0, skipProduction: true })
+      );
+      expect(result.totalDeleted).toBe(1);
+    });
+
+    test('should count a resource that fails as a whole apart from failed deployments', async () => {
+      mockPagesClient.bulkDeleteDeployments
+        .mockRejectedValueOnce(new Error('Server error'))
+        .mockResolvedValueOnce({ success: 1, failed: 2 });
+
+      const result = await serviceManager.bulkDeleteMultipleResources(
+        [
+          { type: 'pages', name: 'preview-a', deployments: [{ id: 'a1' }] },
+          { type: 'pages', name: 'preview-b', deployments: [{ id: 'b1' }] }
+        ],
+        { maxDeletions: null, maxDeletionPercent: null }
+      );
+
+      expect(result.results.map(entry => entry.failed)).toEqual([0, 2]);
+      expect(result).toMatchObject({ totalDeleted: 1, totalErrors: 2, failedResources: 1 });
+      expect(result.results[0].error).toBe('Server error');
+    });
+
+    test('should abort before deleting anything when the combined plan exceeds maxDeletions', async () => {
+      mockWorkersClient.getLiveDeployments.mockResolvedValue(new Map());
+      mockWorkersClient.applyProtection.mockImplementation(deployments => ({
+        deploymentsToDelete: deployments.slice(1)
+      }));
+      const resources = [
+        { type: 'workers', name: 'script-a', deployments: [{ id: 'a1' }, { id: 'a2' }] },
+        {
+          type: 'workers',
+          name: 'script-b',
+          deployments: [{ id: 'b1' }, { id: 'b2' }, { id: 'b3' }]
+        }
+      ];
+
+      const error = await serviceManager
+        .bulkDeleteMultipleResources(resources, { maxDeletions: 2 })
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(PolicyViolationError);
+      expect(error.message).toBe(
+        'Bulk delete of 2 resources exceeds the deletion limits: 3 deployments planned, more than maxDeletions 2. Nothing was deleted'
+      );
+      expect(mockWorkersClient.bulkDeleteDeployments).not.toHaveBeenCalled();
+    });
+
+    test('should abort when a resource cannot be planned for the limit check', async () => {
+      mockWorkersClient.getLiveDeployments.mockResolvedValue(new Map());
+      mockWorkersClient.applyProtection.mockImplementation(deployments => ({
+        deploymentsToDelete: deployments.slice(1)
+      }));
+      mockWorkersClient.listAllDeployments
+        .mockRejectedValueOnce(new Error('Server error'))
+        .mockResolvedValue([{ id: 'b1' }, { id: 'b2' }, { id: 'b3' }]);
+      const resources = [
+        { type: 'workers', name: 'script-a', deployments: [{ id: 'a1' }, { id: 'a2' }] },
+        { type: 'workers', name: 'script-b' }
+      ];
+
+      const error = await serviceManager
+        .bulkDeleteMultipleResources(resources, { maxDeletions: 2 })
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(PolicyViolationError);
+      expect(error.message).toBe(
+        'Cannot check the deletion limits: planning workers "script-b" failed: Server error. Nothing was deleted'
+      );
+      expect(mockWorkersClient.listAllDeployments).toHaveBeenCalledTimes(1);
+      expect(mockWorkersClient.bulkDeleteDeployments).not.toHaveBeenCalled();
+    });
+
+    test('should check the limits once for the combined plan, not per resource', async () => {
+      mockWorkersClient.getLiveDeployments.mockResolvedValue(new Map());
+      mockWorkersClient.applyProtection.mockImplementation(deployments => ({
+        deploymentsToDelete: deployments.slice(1)
+      }));
+      mockWorkersClient.bulkDeleteDeployments.mockResolvedValue({ success: 1, failed: 0 });
+
+      const result = await serviceManager.bulkDeleteMultipleResources(
+        [{ type: 'workers', name: 'script-a', deployments: [{ id: 'a1' }, { id: 'a2' }] }],
+        { maxDeletions: 1, maxDeletionPercent: 50 }
+      );
+
+      expect(mockWorkersClient.bulkDeleteDeployments).toHaveBeenCalledWith(
+        'script-a',
+        [{ id: 'a1' }, { id: 'a2' }],
+        expect.objectContaining({ maxDeletions: null, maxDeletionPercent: null })
+      );
+      expect(result.totalDeleted).toBe(1);
+    });
+
+    test('should forward allowLive to the limit check and every resource', async () => {
+      mockWorkersClient.applyProtection.mockImplementation(deployments => ({
+        deploymentsToDelete: deployments
+      }));
+      mockWorkersClient.bulkDeleteDeployments.mockResolvedValue({ success: 2, failed: 0 });
+      const deployments = [{ id: 'active' }, { id: 'old' }];
+
+      await serviceManager.bulkDeleteMultipleResources(
+        [{ type: 'workers', name: 'script-a', deployments }],
+        { allowLive: true, maxDeletions: 5 }
+      );
+
+      expect(mockWorkersClient.getLiveDeployments).not.toHaveBeenCalled();
+      expect(mockWorkersClient.applyProtection).toHaveBeenCalledWith(
+        deployments,
+        expect.objectContaining({ allowLive: true })
+      );
+      expect(mockWorkersClient.bulkDeleteDeployments).toHaveBeenCalledWith(
+        'script-a',
+        deployments,
+        expect.objectContaining({ allowLive: true })
+      );
+    });
+
+    test('should reject a journal or failure report, which only cover one resource', async () => {
+      const error = await serviceManager
+        .bulkDeleteMultipleResources([{ type: 'pages', name: 'preview-a', deployments: [] }], {
+          journal: {},
+          failuresFile: 'failures.json'
+        })
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(/^journal and failuresFile cannot be used/);
+      expect(mockPagesClient.bulkDeleteDeployments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('planBulkDelete', () => {
+    test('should pass the Worker deployments serving traffic to the protection rules', async () => {
+      const deployments = [{ id: 'active' }, { id: 'old' }];
+      const liveDeployments = new Map([['active', 'Active deployment (version1 100%)']]);
+      mockWorkersClient.getLiveDeployments.mockResolvedValue(liveDeployments);
+      mockWorkersClient.applyProtection.mockReturnValue({ deploymentsToDelete: [{ id: 'old' }] });
+
+      await serviceManager.planBulkDelete('workers', 'test-script', deployments, {
+        skipLatest: false
+      });
+
+      expect(mockWorkersClient.getLiveDeployments).toHaveBeenCalledWith('test-script', deployments);
+      expect(mockWorkersClient.applyProtection).toHaveBeenCalledWith(deployments, {
+        skipLatest: false,
+        liveDeployments
+      });
+    });
+  });
+
+  describe('listWorkerVersions', () => {
+    test('should tag versions with their script', async () => {
+      mockWorkersClient.listAllVersions.mockResolvedValue([{ id: 'version1', traffic: 100 }]);
+
+      const result = await serviceManager.listWorkerVersions('test-script', { maxAge: 30 });
+
+      expect(result).toEqual([
+        { id: 'version1', traffic: 100, resourceType: 'workers', resourceName: 'test-script' }
+      ]);
+      expect(mockWorkersClient.listAllVersions).toHaveBeenCalledWith('test-script', { maxAge: 30 });
+    });
+  });
+
   describe('listDeployments', () => {
     test('should fetch deployments for pages resource', async () => {
       const mockDeployments = [{ id: 'deploy1' }];
@@ -176,6 +419,186 @@ describe('ServiceManager', () => {
         {}
       );
     });
+
+    test('should write failed deployment IDs to the failures file', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cf-failures-'));
+      const failuresFile = join(dir, 'failures.json');
+      const failures = [{ id: 'deploy2', httpStatus: 500, message: 'Server error' }];
+
+      mockPagesClient.bulkDeleteDeployments.mockResolvedValue({
+        success: 1,
+        failed: 1,
+        failures
+      });
+
+      try {
+        const result = await serviceManager.bulkDeleteDeployments(
+          'pages',
+          'test-project',
+          [{ id: 'deploy1' }, { id: 'deploy2' }],
+          { failuresFile }
+        );
+
+        const report = JSON.parse(readFileSync(failuresFile, 'utf8'));
+        expect(result.failuresFile).toBe(failuresFile);
+        expect(report).toMatchObject({
+          version: 1,
+          resourceType: 'pages',
+          resourceName: 'test-project',
+          failures
+        });
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('retryFailures', () => {
+    test('should retry only the listed deployments without protection rules', async () => {
+      mockWorkersClient.bulkDeleteDeployments.mockResolvedValue({ success: 2, failed: 0 });
+      // deploy2 was deleted since the report was written
+      mockWorkersClient.listAllDeployments.mockResolvedValue([
+        { id: 'deploy1', versions: [{ version_id: 'version2', percentage: 100 }] },
+        { id: 'deploy3', versions: [{ version_id: 'version3', percentage: 100 }] }
+      ]);
+
+      await serviceManager.retryFailures(
+        {
+          resourceType: 'workers',
+          resourceName: 'test-script',
+          failures: [
+            { id: 'deploy1', httpStatus: 429, message: 'Rate limit exceeded' },
+            { id: 'deploy2', httpStatus: 500, message: 'Server error' }
+          ]
+        },
+        { batchSize: 5 }
+      );
+
+      // Listed again so the live check sees the versions each deployment points at
+      expect(mockWorkersClient.bulkDeleteDeployments).toHaveBeenCalledWith(
+        'test-script',
+        [
+          expect.objectContaining({
+            id: 'deploy1',
+            versions: [{ version_id: 'version2', percentage: 100 }]
+          }),
+          { id: 'deploy2' }
+        ],
+        {
+          batchSize: 5,
+          skipProduction: false,
+          skipLatest: false,
+          keepLatest: 0,
+          maxDeletionPercent: null
+        }
+      );
+    });
+  });
+
+  describe('applyPolicy', () => {
+    const policy = normalizePolicy({
+      rules: [
+        { type: 'pages', match: 'customer-*', exclude: 'customer-internal', keepLatest: 1 },
+        { type: 'workers', match: '/^sandbox-/', keepLatest: 0 }
+      ]
+    });
+
+    beforeEach(() => {
+      mockPagesClient.listProjects.mockResolvedValue([
+        { name: 'customer-a' },
+        { name: 'customer-internal' },
+        { name: 'marketing' }
+      ]);
+      mockWorkersClient.listScripts.mockResolvedValue([{ id: 'sandbox-api' }, { id: 'prod-api' }]);
+      mockPagesClient.get.mockResolvedValue({ success: true });
+      mockPagesClient.listAllDeployments.mockResolvedValue([
+        { id: 'p1', environment: 'preview', created_on: '2023-01-03T00:00:00Z' },
+        { id: 'p2', environment: 'production', created_on: '2023-01-02T00:00:00Z' },
+        { id: 'p3', environment: 'preview', created_on: '2023-01-01T00:00:00Z' }
+      ]);
+      mockWorkersClient.listAllDeployments.mockResolvedValue([
+        { id: 'w1', created_on: '2023-01-02T00:00:00Z' }
+      ]);
+      mockPagesClient.getLiveDeployments.mockResolvedValue(new Map());
+      mockWorkersClient.getLiveDeployments.mockResolvedValue(new Map());
+    });
+
+    test('should plan only resources selected by a rule', async () => {
+      const plan = await serviceManager.planPolicy(policy);
+
+      expect(plan.map(entry => [entry.resourceName, entry.rule])).toEqual([
+        ['customer-a', 'rules[0]'],
+        ['sandbox-api', 'rules[1]']
+      ]);
+      expect(plan[0].deployments.map(deployment => deployment.id)).toEqual(['p3']);
+      expect(plan[0].skippedDeployments.map(entry => entry.decision)).toEqual([
+        'skipped-latest',
+        'skipped-production'
+      ]);
+    });
+
+    test('should plan live deployments as protected so the count matches the delete', async () => {
+      mockWorkersClient.getLiveDeployments.mockResolvedValue(
+        new Map([['w1', 'Active deployment (a1b2c3d4 100%)']])
+      );
+
+      const plan = await serviceManager.planPolicy(policy);
+
+      expect(mockWorkersClient.getLiveDeployments).toHaveBeenCalledWith('sandbox-api', [
+        expect.objectContaining({ id: 'w1' })
+      ]);
+      expect(plan[1]).toMatchObject({
+        resourceName: 'sandbox-api',
+        deployments: [],
+        skippedDeployments: [
+          { id: 'w1', decision: 'live-protected', reason: 'Active deployment (a1b2c3d4 100%)' }
+        ]
+      });
+
+      const allowed = await serviceManager.planPolicy(policy, { allowLive: true });
+      expect(allowed[1].deployments.map(deployment => deployment.id)).toEqual(['w1']);
+    });
+
+    test('should execute the plan without applying client-side protection again', async () => {
+      mockPagesClient.bulkDeleteDeployments.mockResolvedValue({ success: 1, failed: 0 });
+      mockWorkersClient.bulkDeleteDeployments.mockResolvedValue({ success: 1, failed: 0 });
+
+      const result = await serviceManager.applyPolicy(policy, { batchSize: 3 });
+
+      expect(mockPagesClient.bulkDeleteDeployments).toHaveBeenCalledWith(
+        'customer-a',
+        [expect.objectContaining({ id: 'p3' })],
+        {
+          batchSize: 3,
+          dryRun: false,
+          skipProduction: false,
+          skipLatest: false,
+          keepLatest: 0,
+          maxDeletions: null,
+          maxDeletionPercent: null
+        }
+      );
+      expect(result).toMatchObject({ totalResources: 2, totalDeleted: 2, totalErrors: 0 });
+      expect(result.results[0]).toMatchObject({ rule: 'rules[0]', skipped: 2, total: 3 });
+    });
+
+    test('should count failed deployments and failed resources separately', async () => {
+      mockPagesClient.bulkDeleteDeployments.mockRejectedValue(new Error('Server error'));
+      mockWorkersClient.bulkDeleteDeployments.mockResolvedValue({ success: 0, failed: 1 });
+
+      const result = await serviceManager.applyPolicy(policy);
+
+      expect(result.results.map(entry => entry.failed)).toEqual([1, 1]);
+      expect(result).toMatchObject({ totalDeleted: 0, totalErrors: 2, failedResources: 1 });
+    });
+
+    test('should refuse a plan that deletes too large a share of the deployments', async () => {
+      await expect(serviceManager.applyPolicy(policy, { maxDeletionPercent: 40 })).rejects.toThrow(
+        'Bulk delete of the policy plan (2 resources) exceeds the deletion limits: 2 of 4 deployments planned (50%), more than maxDeletionPercent 40%. Nothing was deleted'
+      );
+      expect(mockPagesClient.bulkDeleteDeployments).not.toHaveBeenCalled();
+      expect(mockWorkersClient.bulkDeleteDeployments).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteResource', () => {
@@ -208,6 +631,296 @@ describe('ServiceManager', () => {
     });
   });
 
+  describe('backups', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'cf-backups-'));
+      store = new BackupStore(dir);
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should snapshot a Pages project before destroying it', async () => {
+      mockPagesClient.listAllDeployments.mockResolvedValue([{ id: 'deploy1' }]);
+      mockPagesClient.get.mockResolvedValue({ success: false });
+      mockPagesClient.getProject.mockResolvedValue({ name: 'docs', production_branch: 'main' });
+      mockPagesClient.listDomains.mockResolvedValue([{ name: 'docs.example.com' }]);
+      mockPagesClient.deleteProject.mockResolvedValue({ success: true });
+
+      const result = await serviceManager.deleteResource('pages', 'docs', { backup: store });
+      const backup = await store.load(result.backup.id);
+
+      expect(backup).toMatchObject({
+        operation: 'destroy',
+        accountId: mockAccountId,
+        resourceName: 'docs',
+        project: { production_branch: 'main' },
+        domains: [{ name: 'docs.example.com' }],
+        deployments: [{ id: 'deploy1' }]
+      });
+      expect(mockPagesClient.getProject.mock.invocationCallOrder[0]).toBeLessThan(
+        mockPagesClient.deleteProject.mock.invocationCallOrder[0]
+      );
+    });
+
+    test('should snapshot Worker settings with the deployments about to be deleted', async () => {
+      mockWorkersClient.getScriptSettings.mockResolvedValue({ compatibility_date: '2024-01-01' });
+      mockWorkersClient.bulkDeleteDeployments.mockResolvedValue({ success: 1, failed: 0 });
+
+      const result = await serviceManager.bulkDeleteDeployments(
+        'workers',
+        'api',
+        [{ id: 'deploy1' }],
+        { backup: store }
+      );
+
+      expect(await store.list()).toEqual([
+        expect.objectContaining({ id: result.backup.id, operation: 'delete', deployments: 1 })
+      ]);
+      expect(mockWorkersClient.listAllDeployments).not.toHaveBeenCalled();
+    });
+
+    test('should not delete anything when the backup fails', async () => {
+      mockWorkersClient.getScriptSettings.mockRejectedValue(new Error('Server error'));
+
+      await expect(
+        serviceManager.bulkDeleteDeployments('workers', 'api', [{ id: 'deploy1' }], {
+          backup: store
+        })
+      ).rejects.toThrow('Backup of workers "api" failed, nothing was deleted: Server error');
+      expect(mockWorkersClient.bulkDeleteDeployments).not.toHaveBeenCalled();
+    });
+
+    test('should skip the backup of a resource that no longer exists', async () => {
+      mockWorkersClient.listAllDeployments.mockResolvedValue([]);
+      mockWorkersClient.getScriptSettings.mockRejectedValue(createApiError({ status: 404 }));
+      mockWorkersClient.deleteScript.mockResolvedValue({ success: true, alreadyAbsent: true });
+
+      const result = await serviceManager.deleteResource('workers', 'api', { backup: store });
+
+      expect(result.backup).toBeUndefined();
+      expect(result.alreadyAbsent).toBe(true);
+    });
+
+    test('should not write backups in a dry run', async () => {
+      mockPagesClient.deleteProject.mockResolvedValue({ success: true, dryRun: true });
+
+      await serviceManager.deleteResource('pages', 'docs', { backup: store, dryRun: true });
+
+      expect(mockPagesClient.getProject).not.toHaveBeenCalled();
+      expect(await store.list()).toEqual([]);
+    });
+  });
+
+  describe('audit log', () => {
+    let dir;
+    let auditLog;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'cf-audit-'));
+      auditLog = new AuditLog(join(dir, 'audit.jsonl'));
+      serviceManager = new ServiceManager(mockToken, mockAccountId, { auditLog });
+      mockPagesClient.validateConnection.mockResolvedValue({
+        valid: true,
+        tokenInfo: { id: 'token-123' }
+      });
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should record who deleted which deployments with the outcome', async () => {
+      mockPagesClient.bulkDeleteDeployments.mockResolvedValue({
+        success: 1,
+        failed: 1,
+        skipped: 1,
+        results: [
+          { id: 'deploy1', status: 'deleted' },
+          { id: 'deploy2', status: 'failed', error: 'Server error' }
+        ]
+      });
+
+      await serviceManager.bulkDeleteDeployments('pages', 'docs', [], {
+        keepLatest: 1,
+        journal: {}
+      });
+      await serviceManager.bulkDeleteDeployments('pages', 'docs', [], { dryRun: true });
+
+      const entries = auditLog.read();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        operation: 'delete',
+        operator: { tokenId: 'token-123' },
+        accountId: mockAccountId,
+        resourceType: 'pages',
+        resourceName: 'docs',
+        deployments: [
+          { id: 'deploy1', status: 'deleted' },
+          { id: 'deploy2', status: 'failed' }
+        ],
+        options: { keepLatest: 1 },
+        outcome: { status: 'partial', success: 1, alreadyAbsent: 0, failed: 1, skipped: 1 }
+      });
+    });
+
+    test('should record the real results when the failure report cannot be written', async () => {
+      mockPagesClient.bulkDeleteDeployments.mockResolvedValue({
+        success: 1,
+        failed: 1,
+        failures: [{ id: 'deploy2', httpStatus: 500, message: 'Server error' }],
+        results: [
+          { id: 'deploy1', status: 'deleted' },
+          { id: 'deploy2', status: 'failed', error: 'Server error' }
+        ]
+      });
+
+      // A directory cannot be written as a file
+      const result = await serviceManager.bulkDeleteDeployments('pages', 'docs', [], {
+        failuresFile: dir
+      });
+
+      expect(result.failuresFile).toBeUndefined();
+      expect(auditLog.read()).toEqual([
+        expect.objectContaining({
+          deployments: [
+            { id: 'deploy1', status: 'deleted' },
+            { id: 'deploy2', status: 'failed' }
+          ],
+          outcome: expect.objectContaining({ status: 'partial' })
+        })
+      ]);
+    });
+
+    test('should record an interrupted delete from its checkpoint journal', async () => {
+      const journal = new CheckpointJournal(join(dir, 'journal.jsonl'));
+      journal.recordPlan({
+        resourceType: 'pages',
+        resourceName: 'docs',
+        deployments: [{ id: 'deploy1' }, { id: 'deploy2' }, { id: 'deploy3' }]
+      });
+      journal.recordCompleted('deploy1');
+      journal.recordFailed('deploy2', new Error('Server error'));
+
+      await serviceManager.recordInterruptedDelete(journal);
+
+      const entries = auditLog.read();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        operation: 'delete',
+        operator: { tokenId: 'token-123' },
+        resourceName: 'docs',
+        deployments: [
+          { id: 'deploy1', status: 'deleted' },
+          { id: 'deploy2', status: 'failed' },
+          { id: 'deploy3', status: 'not-deleted' }
+        ],
+        outcome: { status: 'interrupted', success: 1, failed: 1, notAttempted: 1 }
+      });
+    });
+
+    test('should record refused and failed destroys', async () => {
+      mockWorkersClient.deleteScript.mockRejectedValue(new Error('Access denied'));
+
+      await expect(serviceManager.deleteResource('workers', 'api')).rejects.toThrow(
+        'Access denied'
+      );
+
+      expect(auditLog.read()[0]).toMatchObject({
+        operation: 'destroy',
+        resourceName: 'api',
+        outcome: { status: 'error', error: 'Access denied' }
+      });
+      expect(auditLog.verify().valid).toBe(true);
+    });
+
+    test('should resolve the operator once', async () => {
+      mockPagesClient.deleteProject.mockResolvedValue({ success: true });
+
+      await serviceManager.deleteResource('pages', 'a');
+      await serviceManager.deleteResource('pages', 'b');
+
+      expect(mockPagesClient.validateConnection).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('restorePagesProject', () => {
+    const snapshot = {
+      id: 'backup-1',
+      resourceType: 'pages',
+      resourceName: 'docs',
+      project: {
+        name: 'docs',
+        production_branch: 'main',
+        deployment_configs: {
+          production: { env_vars: { API_KEY: { type: 'secret_text' } } },
+          preview: { env_vars: {} }
+        }
+      },
+      domains: [{ name: 'docs.example.com' }, { name: 'www.example.com' }]
+    };
+
+    test('should recreate the project and re-attach every domain it can', async () => {
+      mockPagesClient.getProject.mockRejectedValue(createApiError({ status: 404 }));
+      mockPagesClient.createProject.mockResolvedValue({ name: 'docs' });
+      mockPagesClient.addDomain
+        .mockResolvedValueOnce({ name: 'docs.example.com' })
+        .mockRejectedValueOnce(new Error('Domain is already in use'));
+
+      const result = await serviceManager.restorePagesProject(snapshot);
+
+      expect(mockPagesClient.createProject).toHaveBeenCalledWith(snapshot.project, {
+        name: 'docs'
+      });
+      expect(result).toEqual({
+        resourceType: 'pages',
+        resourceName: 'docs',
+        backupId: 'backup-1',
+        created: true,
+        domains: [
+          { name: 'docs.example.com', status: 'added' },
+          { name: 'www.example.com', status: 'failed', error: 'Domain is already in use' }
+        ],
+        envVars: { production: ['API_KEY'], preview: [] },
+        dryRun: false
+      });
+    });
+
+    test('should refuse to overwrite a project that exists', async () => {
+      mockPagesClient.getProject.mockResolvedValue({ name: 'docs' });
+
+      await expect(serviceManager.restorePagesProject(snapshot)).rejects.toThrow(
+        new ValidationError(
+          'Pages project "docs" already exists. Restore under another name with --name'
+        )
+      );
+      expect(mockPagesClient.createProject).not.toHaveBeenCalled();
+    });
+
+    test('should only describe the restore in a dry run', async () => {
+      mockPagesClient.getProject.mockRejectedValue(createApiError({ status: 404 }));
+
+      const result = await serviceManager.restorePagesProject(snapshot, {
+        name: 'docs-copy',
+        dryRun: true
+      });
+
+      expect(result).toMatchObject({ resourceName: 'docs-copy', created: false, dryRun: true });
+      expect(result.domains.map(domain => domain.status)).toEqual(['would-add', 'would-add']);
+      expect(mockPagesClient.createProject).not.toHaveBeenCalled();
+    });
+
+    test('should reject a Worker backup', async () => {
+      await expect(
+        serviceManager.restorePagesProject({ id: 'backup-2', resourceType: 'workers' })
+      ).rejects.toThrow(ValidationError);
+    });
+  });
+
   describe('validateConnections', () => {
     test('should validate both pages and workers connections', async () => {
       mockPagesClient.validateConnection.mockResolvedValue({ valid: true });
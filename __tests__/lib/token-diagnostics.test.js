@@ -0,0 +1,233 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+  checkIpRestrictions,
+  checkTokenValidity,
+  diagnoseToken,
+  findMissingPermissions
+} from '../../src/lib/token-diagnostics.js';
+import { createApiError } from '../../src/lib/errors.js';
+import { REQUIRED_TOKEN_PERMISSIONS } from '../../src/config/cloudflare-token-template.js';
+
+const accountId = 'test-account';
+const now = new Date('2025-06-01T00:00:00Z');
+
+const forbidden = () =>
+  createApiError({ status: 403, errors: [{ code: 10000, message: 'Authentication error' }] });
+const notFound = () => createApiError({ status: 404 });
+
+function allowPolicy(groups, resources = { [`com.cloudflare.api.account.${accountId}`]: '*' }) {
+  return {
+    effect: 'allow',
+    resources,
+    permission_groups: groups.map(name => ({ id: name, name }))
+  };
+}
+
+/**
+ * Clients of one account; every request is answered by `respond(method, endpoint)`
+ */
+function createClients(respond, verification) {
+  const client = {
+    accountId,
+    validateConnection: jest.fn().mockResolvedValue(
+      verification || {
+        valid: true,
+        method: 'account-specific',
+        tokenInfo: { id: 'token-1', status: 'active' }
+      }
+    ),
+    get: jest.fn(endpoint => respond('GET', endpoint)),
+    delete: jest.fn(endpoint => respond('DELETE', endpoint))
+  };
+
+  return { pagesClient: client, workersClient: client };
+}
+
+describe('token diagnostics', () => {
+  describe('checkTokenValidity', () => {
+    test('should accept an active token without expiry', () => {
+      expect(checkTokenValidity({ status: 'active' }, now)).toEqual([
+        { name: 'status', status: 'ok', message: 'Token is active' },
+        { name: 'expiry', status: 'ok', message: 'Token does not expire' }
+      ]);
+    });
+
+    test('should fail expired, disabled and not yet valid tokens', () => {
+      const checks = checkTokenValidity(
+        {
+          status: 'disabled',
+          not_before: '2025-07-01T00:00:00Z',
+          expires_on: '2025-05-01T00:00:00Z'
+        },
+        now
+      );
+
+      expect(checks.map(check => [check.name, check.status])).toEqual([
+        ['status', 'fail'],
+        ['not-before', 'fail'],
+        ['expiry', 'fail']
+      ]);
+    });
+
+    test('should warn about a token that expires soon', () => {
+      const [, expiry] = checkTokenValidity(
+        { status: 'active', expires_on: '2025-06-03T00:00:00Z' },
+        now
+      );
+
+      expect(expiry).toEqual({
+        name: 'expiry',
+        status: 'warn',
+        message: 'Token expires on 2025-06-03T00:00:00Z, in 2 days'
+      });
+    });
+  });
+
+  describe('findMissingPermissions', () => {
+    test('should find permissions no allow policy grants on the account', () => {
+      expect(findMissingPermissions([allowPolicy(['Pages Write'])], accountId)).toEqual([
+        REQUIRED_TOKEN_PERMISSIONS[1]
+      ]);
+    });
+
+    test('should accept policies for every account and honor deny policies', () => {
+      const policies = [
+        allowPolicy(['Pages Write', 'Workers Scripts Write'], {
+          'com.cloudflare.api.account.*': '*'
+        }),
+        { ...allowPolicy(['Workers Scripts Write']), effect: 'deny' }
+      ];
+
+      expect(findMissingPermissions(policies, accountId)).toEqual([REQUIRED_TOKEN_PERMISSIONS[1]]);
+    });
+
+    test('should ignore policies for other accounts', () => {
+      const policies = [
+        allowPolicy(['Pages Write', 'Workers Scripts Write'], {
+          'com.cloudflare.api.account.other-account': '*'
+        })
+      ];
+
+      expect(findMissingPermissions(policies, accountId)).toEqual(REQUIRED_TOKEN_PERMISSIONS);
+    });
+  });
+
+  describe('checkIpRestrictions', () => {
+    test('should describe allowed and blocked client addresses', () => {
+      expect(checkIpRestrictions()).toMatchObject({ status: 'ok' });
+      expect(
+        checkIpRestrictions({ request_ip: { in: ['192.0.2.0/24'], not_in: ['192.0.2.1/32'] } })
+      ).toMatchObject({
+        status: 'warn',
+        message: expect.stringContaining('only from 192.0.2.0/24 and never from 192.0.2.1/32')
+      });
+    });
+  });
+
+  describe('diagnoseToken', () => {
+    test('should report a healthy token from its policies and probes', async () => {
+      const clients = createClients(async (method, endpoint) => {
+        if (endpoint === `/accounts/${accountId}/tokens/token-1`) {
+          return {
+            result: {
+              policies: [allowPolicy(['Pages Write', 'Workers Scripts Write'])],
+              condition: {}
+            }
+          };
+        }
+        if (method === 'DELETE') {
+          throw notFound();
+        }
+        return { success: true, result: [] };
+      });
+
+      const diagnosis = await diagnoseToken(clients, { now });
+
+      expect(diagnosis).toMatchObject({
+        healthy: true,
+        accountId,
+        tokenId: 'token-1',
+        missingPermissions: [],
+        fixUrl: null
+      });
+      expect(diagnosis.checks.every(check => check.status === 'ok')).toBe(true);
+    });
+
+    test('should probe writes with deletes of deployments that cannot exist', async () => {
+      const clients = createClients(async method => {
+        if (method === 'DELETE') {
+          throw notFound();
+        }
+        return { success: true, result: [] };
+      });
+
+      await diagnoseToken(clients, { now });
+
+      const deletes = clients.pagesClient.delete.mock.calls.map(([endpoint]) => endpoint);
+      expect(deletes).toEqual([
+        expect.stringMatching(
+          new RegExp(
+            `^/accounts/${accountId}/pages/projects/cf-bulk-delete-doctor-[0-9a-f]{16}/deployments/`
+          )
+        ),
+        expect.stringMatching(
+          new RegExp(
+            `^/accounts/${accountId}/workers/scripts/cf-bulk-delete-doctor-[0-9a-f]{16}/deployments/`
+          )
+        )
+      ]);
+    });
+
+    test('should name the missing permission when a probe is denied', async () => {
+      const clients = createClients(async (method, endpoint) => {
+        if (endpoint.includes('/tokens/')) {
+          throw forbidden();
+        }
+        if (method === 'DELETE' && endpoint.includes('/workers/')) {
+          throw forbidden();
+        }
+        if (method === 'DELETE') {
+          throw notFound();
+        }
+        return { success: true, result: [] };
+      });
+
+      const diagnosis = await diagnoseToken(clients, { now });
+      const byName = Object.fromEntries(diagnosis.checks.map(check => [check.name, check]));
+
+      expect(diagnosis.healthy).toBe(false);
+      expect(diagnosis.missingPermissions).toEqual([REQUIRED_TOKEN_PERMISSIONS[1]]);
+      expect(byName.policies.status).toBe('skip');
+      expect(byName['pages-write'].status).toBe('ok');
+      expect(byName['workers-read'].status).toBe('ok');
+      expect(byName['workers-write']).toMatchObject({
+        status: 'fail',
+        message: expect.stringContaining('Cannot write workers')
+      });
+      expect(new URL(diagnosis.fixUrl).searchParams.get('accountId')).toBe(accountId);
+    });
+
+    test('should stop at an invalid token', async () => {
+      const clients = createClients(jest.fn(), {
+        valid: false,
+        error: 'Both validation methods failed: Invalid API Token'
+      });
+
+      const diagnosis = await diagnoseToken(clients, { now });
+
+      expect(diagnosis).toMatchObject({
+        healthy: false,
+        checks: [
+          {
+            name: 'token',
+            status: 'fail',
+            message: 'Both validation methods failed: Invalid API Token'
+          }
+        ],
+        missingPermissions: []
+      });
+      expect(diagnosis.fixUrl).toContain('dash.cloudflare.com');
+      expect(clients.pagesClient.delete).not.toHaveBeenCalled();
+    });
+  });
+});
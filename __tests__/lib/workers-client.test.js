@@ -1,4 +1,7 @@
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // Mock axios instance
 const mockAxiosInstance = {
@@ -29,7 +32,7 @@ jest.unstable_mockModule('../../src/config/config.js', () => ({
       baseUrl: 'https://api.cloudflare.com/client/v4',
       rateLimit: {
         concurrent: 5,
-        delay: 100
+        requestsPerSecond: 1000
       }
     },
     cli: {
@@ -69,6 +72,8 @@ jest.unstable_mockModule('dayjs', () => ({
 
 // Import after mocking
 const { WorkersClient } = await import('../../src/lib/workers-client.js');
+const { createApiError } = await import('../../src/lib/errors.js');
+const { CheckpointJournal } = await import('../../src/lib/checkpoint-journal.js');
 
 describe('WorkersClient', () => {
   let workersClient;
@@ -103,6 +108,21 @@ describe('WorkersClient', () => {
     });
   });
 
+  describe('getScriptSettings', () => {
+    test('should fetch the bindings and compatibility settings of a script', async () => {
+      const settings = { compatibility_date: '2024-01-01', bindings: [] };
+      mockAxiosInstance.get.mockResolvedValue({ data: { success: true, result: settings } });
+
+      const result = await workersClient.getScriptSettings('test-script');
+
+      expect(result).toEqual(settings);
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/workers/scripts/test-script/settings`,
+        { params: {} }
+      );
+    });
+  });
+
   describe('getScript', () => {
     test('should fetch specific script details', async () => {
       const mockResponse = {
@@ -124,52 +144,140 @@ describe('WorkersClient', () => {
   });
 
   describe('listAllDeployments', () => {
-    test('should fetch all deployments for script', async () => {
-      // Mock the first call to deployments endpoint (will fail)
-      mockAxiosInstance.get.mockRejectedValueOnce(new Error('Deployments endpoint not available'));
-
-      // Mock the fallback call to versions endpoint
-      const mockResponse = {
+    test('should list deployments newest first and mark the active one', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
         data: {
           success: true,
-          result: [
-            { id: 'version1', number: '1', created_on: '2023-01-01T00:00:00Z' },
-            { id: 'version2', number: '2', created_on: '2023-01-02T00:00:00Z' }
-          ]
+          result: {
+            deployments: [
+              {
+                id: 'deploy-old',
+                created_on: '2023-01-01T00:00:00Z',
+                versions: [{ version_id: 'version1-aaaaaaaa', percentage: 100 }]
+              },
+              {
+                id: 'deploy-new',
+                created_on: '2023-01-02T00:00:00Z',
+                versions: [
+                  { version_id: 'version2-bbbbbbbb', percentage: 90 },
+                  { version_id: 'version1-aaaaaaaa', percentage: 10 }
+                ]
+              }
+            ]
+          }
         }
-      };
-      mockAxiosInstance.get.mockResolvedValue(mockResponse);
+      });
 
       const result = await workersClient.listAllDeployments('test-script');
 
-      expect(result.length).toBe(2);
-      expect(result[0].version).toBe('1');
-      // Should call deployments first, then versions
+      expect(result.map(deployment => [deployment.id, deployment.status])).toEqual([
+        ['deploy-new', 'active'],
+        ['deploy-old', 'inactive']
+      ]);
+      expect(result[0].traffic).toBe('version2 90%, version1 10%');
       expect(mockAxiosInstance.get).toHaveBeenCalledWith(
         `/accounts/${mockAccountId}/workers/scripts/test-script/deployments`,
-        { params: { page: 1, per_page: 100 } }
+        { params: {} }
       );
     });
 
-    test('should handle Workers versions responses with items array', async () => {
+    test('should not fall back to versions when the deployments endpoint fails', async () => {
       mockAxiosInstance.get.mockRejectedValueOnce(new Error('Deployments endpoint not available'));
+
+      await expect(workersClient.listAllDeployments('test-script')).rejects.toThrow(
+        'Deployments endpoint not available'
+      );
+      expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('listAllVersions', () => {
+    test('should annotate versions with their share of traffic', async () => {
       mockAxiosInstance.get.mockResolvedValueOnce({
         data: {
           success: true,
           result: {
-            items: [{ id: 'version1', number: '1', created_on: '2023-01-01T00:00:00Z' }]
+            items: [
+              { id: 'version1', number: 1, metadata: { created_on: '2023-01-01T00:00:00Z' } },
+              { id: 'version3', number: 3, metadata: { created_on: '2023-01-03T00:00:00Z' } },
+              { id: 'version2', number: 2, metadata: { created_on: '2023-01-02T00:00:00Z' } }
+            ]
+          }
+        }
+      });
+      mockAxiosInstance.get.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: {
+            deployments: [
+              {
+                id: 'deploy-rollout',
+                created_on: '2023-01-03T00:00:00Z',
+                versions: [
+                  { version_id: 'version3', percentage: 90 },
+                  { version_id: 'version2', percentage: 10 }
+                ]
+              }
+            ]
           }
         }
       });
 
-      const result = await workersClient.listAllDeployments('test-script');
+      const result = await workersClient.listAllVersions('test-script');
 
-      expect(result).toEqual([
-        expect.objectContaining({
-          id: 'version1',
-          version: '1'
-        })
+      expect(result.map(version => [version.id, version.version, version.traffic])).toEqual([
+        ['version3', 3, 90],
+        ['version2', 2, 10],
+        ['version1', 1, 0]
       ]);
+      expect(result.map(version => version.status)).toEqual(['serving', 'serving', 'idle']);
+      expect(result[2].created_on).toBe('2023-01-01T00:00:00Z');
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/workers/scripts/test-script/versions`,
+        { params: { page: 1, per_page: 100 } }
+      );
+    });
+  });
+
+  describe('getLiveDeployments', () => {
+    test('should protect the active deployment and deployments of the versions it serves', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          success: true,
+          result: {
+            deployments: [
+              {
+                id: 'deploy-rollout',
+                created_on: '2023-01-03T00:00:00Z',
+                versions: [
+                  { version_id: 'version3', percentage: 90 },
+                  { version_id: 'version2', percentage: 10 }
+                ]
+              }
+            ]
+          }
+        }
+      });
+
+      const live = await workersClient.getLiveDeployments('test-script', [
+        { id: 'deploy-rollout', versions: [{ version_id: 'version3', percentage: 90 }] },
+        { id: 'deploy-old', versions: [{ version_id: 'version2', percentage: 100 }] },
+        { id: 'deploy-older', versions: [{ version_id: 'version1', percentage: 100 }] },
+        { id: 'deploy-from-report' }
+      ]);
+
+      expect([...live.keys()]).toEqual(['deploy-rollout', 'deploy-old']);
+      expect(live.get('deploy-old')).toBe(
+        'Points at version version2, which serves 10% of traffic'
+      );
+    });
+
+    test('should refuse to guess when the deployments cannot be fetched', async () => {
+      mockAxiosInstance.get.mockRejectedValue(new Error('Forbidden'));
+
+      await expect(workersClient.getLiveDeployments('test-script')).rejects.toThrow(
+        'Cannot determine the active deployment of test-script: Forbidden. Use --allow-live to skip this check'
+      );
     });
   });
 
@@ -200,10 +308,30 @@ describe('WorkersClient', () => {
   });
 
   describe('bulkDeleteDeployments', () => {
+    beforeEach(() => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: {
+          success: true,
+          result: {
+            deployments: [
+              {
+                id: 'active-deployment',
+                created_on: '2023-01-03T00:00:00Z',
+                versions: [
+                  { version_id: 'version3', percentage: 90 },
+                  { version_id: 'version2', percentage: 10 }
+                ]
+              }
+            ]
+          }
+        }
+      });
+    });
+
     test('should delete multiple deployments', async () => {
       const deployments = [
         { id: 'version1', version: '1', created_on: '2023-01-01T00:00:00Z' },
-        { id: 'version2', version: '2', created_on: '2023-01-02T00:00:00Z' }
+        { id: 'deploy2', version: '2', created_on: '2023-01-02T00:00:00Z' }
       ];
 
       const mockResponse = { data: { success: true } };
@@ -219,6 +347,23 @@ describe('WorkersClient', () => {
       expect(mockAxiosInstance.delete).toHaveBeenCalledTimes(2);
     });
 
+    test('should abort before deleting when the plan exceeds maxDeletions', async () => {
+      const deployments = [
+        { id: 'deploy1', created_on: '2023-01-01T00:00:00Z' },
+        { id: 'deploy2', created_on: '2023-01-02T00:00:00Z' }
+      ];
+
+      await expect(
+        workersClient.bulkDeleteDeployments('test-script', deployments, {
+          skipLatest: false,
+          maxDeletions: 1
+        })
+      ).rejects.toThrow(
+        'Bulk delete of workers "test-script" exceeds the deletion limits: 2 deployments planned, more than maxDeletions 1. Nothing was deleted'
+      );
+      expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+    });
+
     test('should handle dry run mode', async () => {
       const deployments = [{ id: 'version1', version: '1', created_on: '2023-01-01T00:00:00Z' }];
 
@@ -230,10 +375,10 @@ describe('WorkersClient', () => {
       expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
     });
 
-    test('should keep the first Worker deployment when skipLatest is enabled', async () => {
+    test('should keep the newest Worker deployment when skipLatest is enabled', async () => {
       const deployments = [
-        { id: 'latest-from-api', version: '2', created_on: '2023-01-01T00:00:00Z' },
-        { id: 'older-from-api', version: '1', created_on: '2023-01-02T00:00:00Z' }
+        { id: 'first-from-api', version: '1', created_on: '2023-01-01T00:00:00Z' },
+        { id: 'newest', version: '2', created_on: '2023-01-02T00:00:00Z' }
       ];
 
       const mockResponse = { data: { success: true } };
@@ -243,10 +388,146 @@ describe('WorkersClient', () => {
 
       expect(result.success).toBe(1);
       expect(mockAxiosInstance.delete).toHaveBeenCalledWith(
-        `/accounts/${mockAccountId}/workers/scripts/test-script/deployments/older-from-api`,
+        `/accounts/${mockAccountId}/workers/scripts/test-script/deployments/first-from-api`,
         { params: {} }
       );
     });
+
+    test('should never delete the active deployment or versions in a gradual rollout', async () => {
+      const deployments = [
+        { id: 'active-deployment', created_on: '2023-01-03T00:00:00Z' },
+        {
+          id: 'rollout-source',
+          created_on: '2023-01-02T00:00:00Z',
+          versions: [{ version_id: 'version2', percentage: 100 }]
+        },
+        {
+          id: 'old-deployment',
+          created_on: '2023-01-01T00:00:00Z',
+          versions: [{ version_id: 'version1', percentage: 100 }]
+        }
+      ];
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+
+      const result = await workersClient.bulkDeleteDeployments('test-script', deployments, {
+        skipLatest: false
+      });
+
+      expect(result.success).toBe(1);
+      expect(result.skippedDeployments).toEqual([
+        {
+          id: 'active-deployment',
+          decision: 'live-protected',
+          reason: 'Active deployment (version3 90%, version2 10%)'
+        },
+        {
+          id: 'rollout-source',
+          decision: 'live-protected',
+          reason: 'Points at version version2, which serves 10% of traffic'
+        }
+      ]);
+      expect(mockAxiosInstance.delete).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstance.delete).toHaveBeenCalledWith(
+        `/accounts/${mockAccountId}/workers/scripts/test-script/deployments/old-deployment`,
+        { params: {} }
+      );
+    });
+
+    test('should protect a deployment whose version joined a rollout when resuming', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cf-journal-'));
+      const filePath = join(dir, 'run.jsonl');
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+
+      try {
+        // Planned before version2 took a share of the traffic
+        new CheckpointJournal(filePath).recordPlan({
+          resourceType: 'workers',
+          resourceName: 'test-script',
+          deployments: [
+            {
+              id: 'rollout-source',
+              created_on: '2023-01-02T00:00:00Z',
+              versions: [{ version_id: 'version2', percentage: 100 }]
+            },
+            {
+              id: 'old-deployment',
+              created_on: '2023-01-01T00:00:00Z',
+              versions: [{ version_id: 'version1', percentage: 100 }]
+            }
+          ]
+        });
+        const journal = CheckpointJournal.load(filePath);
+
+        const result = await workersClient.bulkDeleteDeployments(
+          'test-script',
+          journal.plan.deployments,
+          { journal }
+        );
+
+        expect(result.skippedDeployments).toEqual([
+          {
+            id: 'rollout-source',
+            decision: 'live-protected',
+            reason: 'Points at version version2, which serves 10% of traffic'
+          }
+        ]);
+        expect(mockAxiosInstance.delete).toHaveBeenCalledTimes(1);
+        expect(mockAxiosInstance.delete).toHaveBeenCalledWith(
+          `/accounts/${mockAccountId}/workers/scripts/test-script/deployments/old-deployment`,
+          { params: {} }
+        );
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should skip the live check with allowLive', async () => {
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true } });
+
+      const result = await workersClient.bulkDeleteDeployments(
+        'test-script',
+        [{ id: 'active-deployment', created_on: '2023-01-03T00:00:00Z' }],
+        { skipLatest: false, allowLive: true }
+      );
+
+      expect(result.success).toBe(1);
+      expect(mockAxiosInstance.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyProtection', () => {
+    test('should report the latest deployment as kept', () => {
+      const deployments = [{ id: 'latest' }, { id: 'older' }];
+
+      expect(workersClient.applyProtection(deployments)).toEqual({
+        deploymentsToDelete: [{ id: 'older' }],
+        skippedCount: 1,
+        skippedDeployments: [
+          {
+            id: 'latest',
+            decision: 'skipped-latest',
+            reason: 'Latest deployment kept (--skip-latest)'
+          }
+        ]
+      });
+      expect(workersClient.applyProtection(deployments, { skipLatest: false })).toMatchObject({
+        deploymentsToDelete: deployments,
+        skippedCount: 0
+      });
+    });
+
+    test('should sort by creation date before keeping the latest deployment', () => {
+      const deployments = [
+        { id: 'older', created_on: '2023-01-01T00:00:00Z' },
+        { id: 'newer', created_on: '2023-01-02T00:00:00Z' }
+      ];
+
+      const { deploymentsToDelete, skippedDeployments } =
+        workersClient.applyProtection(deployments);
+
+      expect(deploymentsToDelete.map(deployment => deployment.id)).toEqual(['older']);
+      expect(skippedDeployments[0].id).toBe('newer');
+    });
   });
 
   describe('deleteScript', () => {
@@ -268,6 +549,17 @@ describe('WorkersClient', () => {
       );
     });
 
+    test('should report a script deleted after the existence check as already absent', async () => {
+      mockAxiosInstance.get.mockResolvedValueOnce({
+        data: { success: true, result: { script: 'test-script' } }
+      });
+      mockAxiosInstance.delete.mockRejectedValueOnce(createApiError({ status: 404 }));
+
+      const result = await workersClient.deleteScript('test-script');
+
+      expect(result).toEqual({ success: true, alreadyAbsent: true });
+    });
+
     test('should handle dry run for script deletion', async () => {
       const result = await workersClient.deleteScript('test-script', { dryRun: true });
 
@@ -279,12 +571,16 @@ describe('WorkersClient', () => {
 
   describe('getDeploymentStats', () => {
     test('should calculate deployment statistics', async () => {
-      const mockDeployments = [{ version: '1.0.0' }, { version: '1.0.1' }, { version: '2.0.0' }];
+      const mockDeployments = [
+        { id: 'deploy1', versions: [{ version_id: 'version1', percentage: 100 }] },
+        { id: 'deploy2', versions: [{ version_id: 'version2', percentage: 100 }] },
+        { id: 'deploy3', versions: [{ version_id: 'version3', percentage: 100 }] }
+      ];
 
       const mockResponse = {
         data: {
           success: true,
-          result: mockDeployments
+          result: { deployments: mockDeployments }
         }
       };
       mockAxiosInstance.get.mockResolvedValue(mockResponse);
@@ -293,9 +589,9 @@ describe('WorkersClient', () => {
 
       expect(result.total).toBe(3);
       expect(result.byVersion).toEqual({
-        '1.0.0': 1,
-        '1.0.1': 1,
-        '2.0.0': 1
+        version1: 1,
+        version2: 1,
+        version3: 1
       });
     });
   });
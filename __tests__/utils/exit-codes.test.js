@@ -0,0 +1,41 @@
+import { describe, test, expect } from '@jest/globals';
+import { EXIT_CODES, exitCodeForError, exitCodeForResult } from '../../src/utils/exit-codes.js';
+import {
+  CloudflareAuthError,
+  CloudflareServerError,
+  PolicyViolationError,
+  ValidationError
+} from '../../src/lib/errors.js';
+
+describe('exit codes', () => {
+  test('should exit 0 when every deletion succeeded', () => {
+    expect(exitCodeForResult({ success: 3, failed: 0 })).toBe(EXIT_CODES.SUCCESS);
+    expect(exitCodeForResult({ success: 0, alreadyAbsent: 2, failed: 0 })).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  test('should only fail partial runs with failOnPartial', () => {
+    const summary = { success: 498, failed: 2 };
+
+    expect(exitCodeForResult(summary)).toBe(EXIT_CODES.SUCCESS);
+    expect(exitCodeForResult(summary, { failOnPartial: true })).toBe(EXIT_CODES.PARTIAL_FAILURE);
+  });
+
+  test('should fail when every deletion failed', () => {
+    expect(exitCodeForResult({ success: 0, failed: 500 })).toBe(EXIT_CODES.FAILURE);
+  });
+
+  test('should report nothing to do unless it was a dry run', () => {
+    expect(exitCodeForResult({ success: 0, failed: 0 })).toBe(EXIT_CODES.NOTHING_TO_DO);
+    expect(exitCodeForResult({ success: 0, failed: 0 }, { dryRun: true })).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  test('should map errors to their exit codes', () => {
+    expect(exitCodeForError(new ValidationError('bad input'))).toBe(EXIT_CODES.VALIDATION_ERROR);
+    expect(exitCodeForError(new CloudflareAuthError('no permission'))).toBe(
+      EXIT_CODES.VALIDATION_ERROR
+    );
+    expect(exitCodeForError(new PolicyViolationError('refused'))).toBe(EXIT_CODES.POLICY_VIOLATION);
+    expect(exitCodeForError(new CloudflareServerError('down'))).toBe(EXIT_CODES.FAILURE);
+    expect(exitCodeForError(new Error('unexpected'))).toBe(EXIT_CODES.FAILURE);
+  });
+});
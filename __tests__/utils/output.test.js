@@ -0,0 +1,84 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  formatDocument,
+  isMachineReadable,
+  toCsv,
+  toMarkdownTable,
+  toNdjsonRecords,
+  OUTPUT_FORMATS
+} from '../../src/utils/output.js';
+
+describe('output formats', () => {
+  const document = {
+    command: 'delete',
+    resourceType: 'pages',
+    resourceName: 'my-project',
+    dryRun: false,
+    summary: { success: 1, failed: 1 },
+    results: [
+      { id: 'deploy1', status: 'deleted' },
+      { id: 'deploy2', status: 'failed', error: 'Server error' }
+    ],
+    failures: [{ id: 'deploy2', httpStatus: 500, message: 'Server error' }]
+  };
+
+  test('should only treat json and ndjson as machine-readable', () => {
+    expect(OUTPUT_FORMATS).toEqual(['table', 'json', 'ndjson']);
+    expect(isMachineReadable('json')).toBe(true);
+    expect(isMachineReadable('ndjson')).toBe(true);
+    expect(isMachineReadable('table')).toBe(false);
+  });
+
+  test('should serialize json as a single document', () => {
+    expect(JSON.parse(formatDocument(document, 'json'))).toEqual(document);
+  });
+
+  test('should emit one ndjson record per item followed by a summary record', () => {
+    const lines = formatDocument(document, 'ndjson').split('\n').map(JSON.parse);
+
+    expect(lines.map(line => line.record)).toEqual(['results', 'results', 'failures', 'summary']);
+    expect(lines[1]).toEqual({
+      record: 'results',
+      id: 'deploy2',
+      status: 'failed',
+      error: 'Server error'
+    });
+    expect(lines[3]).toEqual({
+      record: 'summary',
+      command: 'delete',
+      resourceType: 'pages',
+      resourceName: 'my-project',
+      dryRun: false,
+      summary: { success: 1, failed: 1 }
+    });
+  });
+
+  test('should wrap primitive array items in a value field', () => {
+    expect(toNdjsonRecords({ ids: ['a'] })).toEqual([
+      { record: 'ids', value: 'a' },
+      { record: 'summary' }
+    ]);
+  });
+
+  describe('tables', () => {
+    const columns = [
+      { key: 'id', label: 'ID' },
+      { key: 'note', label: 'Note' }
+    ];
+
+    test('should quote CSV cells that contain separators, quotes or newlines', () => {
+      const csv = toCsv(
+        [{ id: 'a', note: 'plain' }, { id: 'b', note: 'says "hi", twice\nok' }, { id: 'c' }],
+        columns
+      );
+
+      expect(csv).toBe('ID,Note\r\na,plain\r\nb,"says ""hi"", twice\nok"\r\nc,');
+    });
+
+    test('should escape pipes and newlines in Markdown cells', () => {
+      const markdown = toMarkdownTable([{ id: 'a', note: 'x | y\nz' }], columns);
+
+      expect(markdown).toBe('| ID | Note |\n| --- | --- |\n| a | x \\| y z |');
+    });
+  });
+});
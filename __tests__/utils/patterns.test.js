@@ -0,0 +1,58 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  compilePattern,
+  createMatcher,
+  isRegexPattern,
+  matchesAny
+} from '../../src/utils/patterns.js';
+import { ValidationError } from '../../src/lib/errors.js';
+
+describe('patterns', () => {
+  test('should match globs against the whole name', () => {
+    expect(matchesAny('preview-site', 'preview-*')).toBe(true);
+    expect(matchesAny('my-preview-site', 'preview-*')).toBe(false);
+    expect(matchesAny('customer-01', 'customer-??')).toBe(true);
+    expect(matchesAny('customer-001', 'customer-??')).toBe(false);
+  });
+
+  test('should treat regex characters in globs literally', () => {
+    expect(matchesAny('site.v2', 'site.v2')).toBe(true);
+    expect(matchesAny('sitexv2', 'site.v2')).toBe(false);
+  });
+
+  test('should support /regex/ patterns with flags', () => {
+    expect(isRegexPattern('/^feature-/i')).toBe(true);
+    expect(matchesAny('Feature-login', '/^feature-/i')).toBe(true);
+    expect(matchesAny('my-feature-login', '/^feature-/')).toBe(false);
+  });
+
+  test('should ignore the stateful g and y flags', () => {
+    const matcher = createMatcher(['/^preview-/g', '/-sandbox$/y']);
+    const names = [
+      'preview-a',
+      'preview-b',
+      'preview-c',
+      'preview-d',
+      'api-sandbox',
+      'api-sandbox'
+    ];
+
+    expect(names.map(matcher)).toEqual([true, true, true, true, true, true]);
+    expect(compilePattern('/^preview-/gi').flags).toBe('i');
+  });
+
+  test('should match any of several patterns', () => {
+    const matcher = createMatcher(['test-*', '/-sandbox$/']);
+
+    expect(matcher('test-api')).toBe(true);
+    expect(matcher('api-sandbox')).toBe(true);
+    expect(matcher('api')).toBe(false);
+    expect(matcher(undefined)).toBe(false);
+  });
+
+  test('should reject empty and invalid patterns as usage errors', () => {
+    expect(() => compilePattern('')).toThrow('Invalid pattern');
+    expect(() => compilePattern('/(/')).toThrow('Invalid regular expression /(/');
+    expect(() => createMatcher(['preview-*', '/[/'])).toThrow(ValidationError);
+  });
+});
@@ -1,12 +1,39 @@
 #!/usr/bin/env node
 
+import { promises as fs } from 'node:fs';
 import { Command } from 'commander';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import ora from 'ora';
 import { ServiceManager } from '../src/lib/service-manager.js';
-import { logger } from '../src/utils/logger.js';
+import { CheckpointJournal } from '../src/lib/checkpoint-journal.js';
+import { readFailureReport } from '../src/lib/failure-report.js';
+import { BackupStore } from '../src/lib/backup-store.js';
+import { AuditLog } from '../src/lib/audit-log.js';
+import { MultiAccountManager } from '../src/lib/multi-account-manager.js';
+import { discoverAccounts, selectAccount } from '../src/lib/account-discovery.js';
+import { findDeletionLimitViolations, hasDeletionLimits } from '../src/lib/deletion-limits.js';
+import { DEFAULT_POLICY_FILE, loadPolicy } from '../src/lib/policy.js';
+import {
+  buildDeletionReport,
+  describeDeployment,
+  REPORT_COLUMNS,
+  writeDeletionReport
+} from '../src/lib/deletion-report.js';
+import { logger, sendLogsToStderr } from '../src/utils/logger.js';
+import { compilePattern, isRegexPattern } from '../src/utils/patterns.js';
+import { EXIT_CODES, exitCodeForError, exitCodeForResult } from '../src/utils/exit-codes.js';
+import { PolicyViolationError, ValidationError } from '../src/lib/errors.js';
+import {
+  formatDocument,
+  isMachineReadable,
+  OUTPUT_FORMATS,
+  TABLE_FORMATS,
+  toCsv,
+  toMarkdownTable
+} from '../src/utils/output.js';
 import { config } from '../src/config/config.js';
+import { ProfileStore } from '../src/config/profile-store.js';
 import {
   CLOUDFLARE_API_TOKEN_TEMPLATE_URL,
   REQUIRED_TOKEN_PERMISSIONS
@@ -18,7 +45,8 @@ const program = new Command();
 program
   .name('cf-bulk-delete')
   .description('Tool for bulk deleting Cloudflare Pages and Workers deployments')
-  .version('1.0.0');
+  .version('1.0.0')
+  .exitOverride();
 
 function parseBooleanOption(value) {
   if (value === undefined || value === true) {
@@ -51,14 +79,197 @@ function parseNonNegativeIntegerOption(value) {
   return parsedValue;
 }
 
+function parsePercentOption(value) {
+  const parsedValue = Number(value);
+
+  if (
+    String(value).trim() === '' ||
+    Number.isNaN(parsedValue) ||
+    parsedValue < 0 ||
+    parsedValue > 100
+  ) {
+    throw new Error(`Invalid percentage "${value}". Use a number between 0 and 100.`);
+  }
+
+  return parsedValue;
+}
+
+// Kept as given, so a date without a time can still cover its whole day
+function parseDateOption(value) {
+  if (!dayjs(value).isValid()) {
+    throw new Error(`Invalid date "${value}". Use an ISO date such as 2025-01-31.`);
+  }
+
+  return value;
+}
+
+function parseOutputFormat(value) {
+  const format = String(value).toLowerCase().trim();
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid output format "${value}". Use ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+
+  return format;
+}
+
+function parseTableFormat(value) {
+  const format = String(value).toLowerCase().trim();
+
+  if (!TABLE_FORMATS.includes(format)) {
+    throw new Error(`Invalid format "${value}". Use ${TABLE_FORMATS.join(', ')}.`);
+  }
+
+  return format;
+}
+
+/**
+ * Print human-readable output
+ * Moves to stderr when a machine-readable format is selected so stdout stays parseable
+ */
+function print(...args) {
+  if (isMachineReadable(program.opts().output)) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+/**
+ * Write the structured result of a command to stdout in json/ndjson mode
+ */
+function emit(document) {
+  const format = program.opts().output;
+
+  if (isMachineReadable(format)) {
+    process.stdout.write(`${formatDocument(document, format)}\n`);
+  }
+}
+
+/**
+ * Ask questions on stderr in machine-readable mode so prompts never mix with the document
+ */
+function prompt(questions) {
+  if (isCiMode() || !process.stdin.isTTY) {
+    throw new ValidationError(
+      'Cannot prompt without an interactive terminal. Pass --yes to confirm or --dry-run to preview'
+    );
+  }
+
+  if (isMachineReadable(program.opts().output)) {
+    return inquirer.createPromptModule({ output: process.stderr })(questions);
+  }
+
+  return inquirer.prompt(questions);
+}
+
+/**
+ * CI mode is on with --ci, or when the CI environment variable is set and --no-ci is not
+ */
+function isCiMode() {
+  const { ci } = program.opts();
+  return ci ?? ['true', '1'].includes(String(process.env.CI).toLowerCase());
+}
+
+/**
+ * Whether a destructive run must be confirmed at a prompt
+ * CI mode never prompts, so it refuses runs that were not allowed with --yes.
+ * CONFIRMATION_REQUIRED=false skips the prompt elsewhere unless the command always asks
+ */
+function needsConfirmation(options, isDryRun, { always = false } = {}) {
+  if (options.yes || isDryRun) {
+    return false;
+  }
+
+  if (isCiMode()) {
+    throw new PolicyViolationError(
+      'CI mode does not prompt: pass --yes to allow this destructive run'
+    );
+  }
+
+  return always || config.cli.confirmationRequired;
+}
+
+/**
+ * Blast-radius limits of this run: --max-delete and --max-delete-percent,
+ * falling back to MAX_DELETIONS and MAX_DELETION_PERCENT
+ */
+function deletionLimits() {
+  const { maxDelete, maxDeletePercent } = program.opts();
+
+  return {
+    maxDeletions: maxDelete ?? config.cli.maxDeletions,
+    maxDeletionPercent: maxDeletePercent ?? config.cli.maxDeletionPercent
+  };
+}
+
+/**
+ * Refuse a run whose plan exceeds --max-delete or --max-delete-percent
+ * CI mode requires a limit so a misconfigured pipeline cannot delete without bound
+ * @param {Function} countPlan - Resolves `{ toDelete, total }` deployment counts of the plan;
+ *   the percentage is skipped when `total` is unknown
+ */
+async function enforceDeleteCeiling(countPlan, isDryRun) {
+  const limits = deletionLimits();
+
+  if (!hasDeletionLimits(limits)) {
+    if (isCiMode() && !isDryRun) {
+      throw new PolicyViolationError(
+        'CI mode needs --max-delete <count> or --max-delete-percent <percent> to cap how many deployments a run may delete'
+      );
+    }
+    return;
+  }
+
+  const violations = findDeletionLimitViolations(await countPlan(), limits);
+
+  if (violations.length > 0) {
+    const message = `The plan exceeds the deletion limits: ${violations.join('; ')}`;
+
+    if (isDryRun) {
+      print(chalk.yellow(`\nWarning: ${message}; a real run would be refused`));
+      return;
+    }
+
+    throw new PolicyViolationError(`${message}. Nothing was deleted`);
+  }
+}
+
+/**
+ * One-line result for CI logs
+ */
+function printCompactSummary(label, summary, isDryRun) {
+  print(
+    `${label}: ${summary.success || 0} deleted, ${summary.alreadyAbsent || 0} already absent, ${summary.failed || 0} failed, ${summary.skipped || 0} kept${isDryRun ? ' (dry run)' : ''}`
+  );
+}
+
+/**
+ * Report the error that stopped a command and exit with its documented code
+ */
+function exitWithError(error) {
+  console.error(chalk.red('Error:', error.message));
+  process.exit(exitCodeForError(error));
+}
+
+/**
+ * Set the exit code for a finished delete run without cutting off buffered output
+ */
+function setResultExitCode(summary, isDryRun) {
+  process.exitCode = exitCodeForResult(summary, {
+    failOnPartial: program.opts().failOnPartial,
+    dryRun: isDryRun
+  });
+}
+
 function printTokenSetupHelp() {
-  console.log(chalk.yellow('\nCreate a Cloudflare API token with these permissions:'));
+  print(chalk.yellow('\nCreate a Cloudflare API token with these permissions:'));
   REQUIRED_TOKEN_PERMISSIONS.forEach(permission => {
-    console.log(chalk.yellow(`- ${permission.label}`));
+    print(chalk.yellow(`- ${permission.label}`));
   });
-  console.log(chalk.gray('Cloudflare Dashboard may display Write permissions as Edit.'));
-  console.log(chalk.cyan(`\nToken template: ${CLOUDFLARE_API_TOKEN_TEMPLATE_URL}`));
-  console.log(
+  print(chalk.gray('Cloudflare Dashboard may display Write permissions as Edit.'));
+  print(chalk.cyan(`\nToken template: ${CLOUDFLARE_API_TOKEN_TEMPLATE_URL}`));
+  print(
     chalk.gray('After creating the token, set CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID.')
   );
 }
@@ -67,15 +278,49 @@ function printTokenSetupHelp() {
 program
   .option('-t, --token <token>', 'Cloudflare API Token')
   .option('-a, --account <account>', 'Cloudflare Account ID')
+  .option(
+    '--profile <name>',
+    'Use the credentials of a saved profile (env: CF_BULK_DELETE_PROFILE)'
+  )
   .option('-v, --verbose', 'Enable verbose logging')
-  .option('--dry-run', 'Run simulation without actually deleting deployments');
+  .option('--dry-run', 'Run simulation without actually deleting deployments')
+  .option(
+    '-o, --output <format>',
+    'Output format: table, json or ndjson (default: table)',
+    parseOutputFormat,
+    'table'
+  )
+  .option('--fail-on-partial', 'Exit with code 2 when some deletions failed (default: 0)')
+  .option('--ci', 'Never prompt, require --yes and a deletion limit, print a compact summary')
+  .option('--no-ci', 'Disable CI mode even when CI=true is set')
+  .option(
+    '--max-delete <count>',
+    'Refuse to delete more than this many deployments in one run (env: MAX_DELETIONS)',
+    parseNonNegativeIntegerOption
+  )
+  .option(
+    '--max-delete-percent <percent>',
+    'Refuse to delete more than this share of the deployments considered (env: MAX_DELETION_PERCENT)',
+    parsePercentOption
+  )
+  .option('--backup', 'Snapshot resources to .cf-bulk-delete/backups before deleting');
+
+// Keep stdout for the document: json/ndjson output, or a csv/markdown listing redirected to a file
+program.hook('preAction', (thisCommand, actionCommand) => {
+  if (
+    isMachineReadable(program.opts().output) ||
+    ['csv', 'markdown'].includes(actionCommand.opts().format)
+  ) {
+    sendLogsToStderr();
+  }
+});
 
 /**
  * Utility function for formatting output
  */
 function formatTable(data, columns) {
   if (!data || data.length === 0) {
-    console.log(chalk.yellow('No data to display'));
+    print(chalk.yellow('No data to display'));
     return;
   }
 
@@ -84,430 +329,2402 @@ function formatTable(data, columns) {
   columns.forEach(col => {
     widths[col.key] = Math.max(
       col.label.length,
-      ...data.map(row => String(row[col.key] || '').length)
+      ...data.map(row => String(row[col.key] ?? '').length)
     );
   });
 
   // Print header
   const header = columns.map(col => chalk.bold(col.label.padEnd(widths[col.key]))).join(' | ');
-  console.log(header);
-  console.log('-'.repeat(header.length));
+  print(header);
+  print('-'.repeat(header.length));
 
   // Print rows
   data.forEach(row => {
     const line = columns
       .map(col => {
-        const value = String(row[col.key] || '');
+        const value = String(row[col.key] ?? '');
         return col.color ? col.color(value.padEnd(widths[col.key])) : value.padEnd(widths[col.key]);
       })
       .join(' | ');
-    console.log(line);
+    print(line);
   });
 }
 
 /**
- * Setup service manager with error handling
+ * Print a listing as a table, or as plain CSV/Markdown on stdout for spreadsheets and docs
  */
-async function setupServiceManager(options) {
-  const apiToken = options.token || config.cloudflare.apiToken;
-  const accountId = options.account || config.cloudflare.accountId;
+function printListing(data, columns, format = 'table') {
+  if (format === 'csv') {
+    print(toCsv(data, columns));
+  } else if (format === 'markdown') {
+    print(toMarkdownTable(data, columns));
+  } else {
+    formatTable(data, columns);
+  }
+}
 
-  if (!apiToken) {
-    console.error(chalk.red('Error: Cloudflare API Token is required'));
-    console.log(chalk.yellow('Use --token flag or set CLOUDFLARE_API_TOKEN environment variable'));
-    printTokenSetupHelp();
-    process.exit(1);
+/**
+ * Write the per-deployment decision report requested with --report
+ */
+async function saveDeletionReport(filePath, rows, columns) {
+  const report = await writeDeletionReport(filePath, rows, undefined, columns);
+  print(
+    chalk.gray(`\nDeletion report (${report.format}, ${report.rows} rows) saved to ${filePath}`)
+  );
+}
+
+/**
+ * Structured document for a bulk delete run, used by json/ndjson output
+ */
+function bulkDeleteDocument(command, type, name, result = {}, details = {}) {
+  return {
+    command,
+    resourceType: type,
+    resourceName: name,
+    dryRun: Boolean(program.opts().dryRun),
+    ...details,
+    summary: {
+      success: result.success || 0,
+      alreadyAbsent: result.alreadyAbsent || 0,
+      failed: result.failed || 0,
+      skipped: result.skipped || 0,
+      total: result.total || 0,
+      duration: result.duration || 0,
+      rate: result.rate || 0
+    },
+    results: result.results || [],
+    skippedDeployments: result.skippedDeployments || [],
+    failures: result.failures || [],
+    ...(result.backup && { backup: result.backup })
+  };
+}
+
+/**
+ * Print the summary of a bulk delete run and emit its document
+ */
+function reportBulkDeleteResults(command, result, isDryRun, details = {}) {
+  emit(bulkDeleteDocument(command, result.resourceType, result.resourceName, result, details));
+  setResultExitCode(result, isDryRun);
+
+  if (isCiMode()) {
+    printCompactSummary(
+      `${command} ${result.resourceType}/${result.resourceName}`,
+      result,
+      isDryRun
+    );
+    if (result.failuresFile && result.failed > 0) {
+      print(`Failed deployment IDs saved to ${result.failuresFile}`);
+    }
+    if (result.backup) {
+      print(`Backup saved to ${result.backup.filePath}`);
+    }
+    return;
+  }
+
+  print(`\n${chalk.blue('=== Bulk Delete Results ===')}`);
+  print(`${chalk.green('Success')}: ${result.success}`);
+  if (result.alreadyAbsent > 0) {
+    print(`${chalk.green('Already absent')}: ${result.alreadyAbsent}`);
+  }
+  print(`${chalk.red('Failed')}: ${result.failed}`);
+  print(`${chalk.yellow('Skipped')}: ${result.skipped}`);
+  print(`${chalk.gray('Total')}: ${result.total}`);
+  print(`${chalk.gray('Duration')}: ${((result.duration || 0) / 1000).toFixed(1)}s`);
+  print(`${chalk.gray('Rate')}: ${result.rate ? result.rate.toFixed(1) : 0}/s`);
+
+  const keptByGroup = (result.skippedDeployments || []).filter(
+    skipped => skipped.group || skipped.decision === 'live-protected'
+  );
+  if (isDryRun && keptByGroup.length > 0) {
+    print(chalk.blue('\nKept by live protection and branch/environment retention:'));
+    formatTable(keptByGroup, [
+      { key: 'id', label: 'Deployment ID', color: chalk.yellow },
+      { key: 'decision', label: 'Decision', color: chalk.cyan },
+      { key: 'group', label: 'Group', color: chalk.magenta },
+      { key: 'reason', label: 'Reason', color: chalk.gray }
+    ]);
+  }
+
+  if (isDryRun) {
+    print(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
+  } else if (result.success > 0) {
+    print(chalk.green(`\n✓ ${result.success} deployments successfully deleted`));
+  }
+
+  if (result.failuresFile && result.failed > 0) {
+    print(chalk.yellow(`\n${result.failed} failed deployment IDs saved to ${result.failuresFile}`));
+    print(chalk.yellow(`Retry them with: cf-bulk-delete retry ${result.failuresFile}`));
+  }
+
+  if (result.backup) {
+    print(chalk.gray(`\nBackup saved to ${result.backup.filePath}`));
   }
+}
+
+/**
+ * Tell the user how to pick up an interrupted run where it stopped
+ * The deletions made so far are written to the audit log before exiting
+ */
+function watchForInterrupt(serviceManager, journal, type, name) {
+  const onInterrupt = async () => {
+    if (journal.plan) {
+      console.error(chalk.yellow('\nInterrupted. Progress is saved in the checkpoint journal.'));
+      console.error(
+        chalk.yellow(
+          `Resume with: cf-bulk-delete delete ${type} ${name} --resume ${journal.filePath}`
+        )
+      );
+      await serviceManager.recordInterruptedDelete(journal);
+    }
+    process.exit(EXIT_CODES.INTERRUPTED);
+  };
+
+  process.once('SIGINT', onInterrupt);
+  return () => process.off('SIGINT', onInterrupt);
+}
 
-  if (!accountId) {
-    console.error(chalk.red('Error: Cloudflare Account ID is required'));
-    console.log(
-      chalk.yellow('Use --account flag or set CLOUDFLARE_ACCOUNT_ID environment variable')
+/**
+ * Continue a bulk delete from its checkpoint journal
+ */
+async function resumeBulkDelete(serviceManager, type, name, options, isDryRun) {
+  const journal = CheckpointJournal.load(options.resume);
+  const summary = journal.getSummary();
+
+  if (summary.resourceType !== type || summary.resourceName !== name) {
+    console.error(
+      chalk.red(
+        `Error: Journal belongs to ${summary.resourceType} "${summary.resourceName}", not ${type} "${name}"`
+      )
     );
-    printTokenSetupHelp();
-    process.exit(1);
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
   }
 
-  if (options.verbose) {
-    logger.level = 'debug';
+  print(chalk.blue(`\nResuming bulk delete for ${type} "${name}" from ${journal.filePath}`));
+  print(`${chalk.gray('Planned')}: ${summary.planned}`);
+  print(`${chalk.green('Already deleted')}: ${summary.completed}`);
+  print(`${chalk.red('Previously failed')}: ${summary.failed}`);
+  print(`${chalk.yellow('Pending')}: ${summary.pending}`);
+
+  if (summary.pending === 0) {
+    print(chalk.green('\nNothing left to delete - this run already finished'));
+    process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+    emit(bulkDeleteDocument('delete', type, name, {}, { resumedFrom: journal.filePath }));
+    return;
   }
 
-  const serviceManager = new ServiceManager(apiToken, accountId);
+  await enforceDeleteCeiling(() => ({ toDelete: summary.pending }), isDryRun);
 
-  // Validate connections
-  const spinner = ora('Validating Cloudflare API connections...').start();
-  try {
-    const validation = await serviceManager.validateConnections();
+  if (needsConfirmation(options, isDryRun)) {
+    const answer = await prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.red(`Delete the remaining ${summary.pending} deployments?`),
+        default: false
+      }
+    ]);
 
-    if (!validation.overall) {
-      spinner.fail('API validation failed');
-      console.error(chalk.red('Check your API Token and Account ID'));
-      printTokenSetupHelp();
-      process.exit(1);
+    if (!answer.confirm) {
+      print(chalk.yellow('Operation cancelled'));
+      process.exitCode = EXIT_CODES.CANCELLED;
+      emit(bulkDeleteDocument('delete', type, name, {}, { cancelled: true }));
+      return;
     }
+  }
 
-    spinner.succeed('API connections successfully validated');
-    return serviceManager;
+  watchForInterrupt(serviceManager, journal, type, name);
+
+  const result = await serviceManager.resumeBulkDelete(journal, {
+    dryRun: isDryRun,
+    force: options.force !== false,
+    batchSize: options.batchSize,
+    failuresFile: options.failuresFile
+  });
+
+  const decisions = buildDeletionReport(journal.plan.deployments, result, {
+    dryRun: isDryRun,
+    isCompleted: id => journal.isCompleted(id)
+  });
+
+  reportBulkDeleteResults('delete', result, isDryRun, {
+    resumedFrom: journal.filePath,
+    decisions
+  });
+
+  if (options.report) {
+    await saveDeletionReport(options.report, decisions);
+  }
+}
+
+/**
+ * Collect the values of a repeatable option
+ */
+function collectValue(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Collect repeatable glob or /regex/ patterns, refusing an invalid one before any API call
+ */
+function collectPattern(value, previous = []) {
+  compilePattern(value);
+  return [...previous, value];
+}
+
+/**
+ * Collect account IDs from repeated or comma-separated --accounts values
+ */
+function collectAccounts(value, previous = []) {
+  return [
+    ...previous,
+    ...value
+      .split(',')
+      .map(accountId => accountId.trim())
+      .filter(Boolean)
+  ];
+}
+
+/**
+ * Read branch names that still exist, one per line; blank lines and # comments are ignored
+ */
+async function readBranchList(filePath) {
+  let content;
+
+  try {
+    content = await fs.readFile(filePath, 'utf8');
   } catch (error) {
-    spinner.fail('Failed to validate API connections');
-    console.error(chalk.red(error.message));
-    printTokenSetupHelp();
-    process.exit(1);
+    throw new ValidationError(`Cannot read branch list ${filePath}: ${error.message}`);
+  }
+
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Deployment filters shared by the deployments and delete commands
+ */
+async function deploymentFilters(type, options) {
+  const gitFilters = [
+    options.branch,
+    options.excludeBranch,
+    options.commit,
+    options.activeBranches
+  ];
+
+  if (type !== 'pages' && gitFilters.some(Boolean)) {
+    throw new ValidationError(
+      '--branch, --exclude-branch, --commit and --active-branches only apply to Pages'
+    );
   }
+
+  return {
+    environment: options.environment,
+    maxAge: options.maxAge,
+    status: options.status,
+    branch: options.branch,
+    excludeBranch: options.excludeBranch,
+    commit: options.commit,
+    activeBranches: options.activeBranches ? await readBranchList(options.activeBranches) : null
+  };
 }
 
-program
-  .command('token-template')
-  .description('Print a Cloudflare API token template link with the required permissions')
-  .action(() => {
-    printTokenSetupHelp();
+/**
+ * List Worker versions with the traffic share the active deployment gives each one
+ */
+async function listWorkerVersions(serviceManager, name, options) {
+  const spinner = ora(`Fetching versions for workers "${name}"...`).start();
+  const versions = await serviceManager.listWorkerVersions(name, { maxAge: options.maxAge });
+  spinner.stop();
+
+  emit({
+    command: 'deployments',
+    resourceType: 'workers',
+    resourceName: name,
+    total: versions.length,
+    versions
   });
 
+  if (versions.length === 0) {
+    print(chalk.yellow(`No versions found for workers "${name}"`));
+    return;
+  }
+
+  const rows = versions.map(version => ({
+    ...version,
+    traffic: version.traffic > 0 ? `${version.traffic}%` : ''
+  }));
+  const columns = [
+    { key: 'id', label: 'Version ID', color: chalk.green },
+    { key: 'version', label: 'Number', color: chalk.cyan },
+    { key: 'created_on', label: 'Created', color: chalk.gray },
+    { key: 'status', label: 'Status', color: chalk.cyan },
+    { key: 'traffic', label: 'Traffic', color: chalk.magenta }
+  ];
+
+  if (options.format !== 'table') {
+    printListing(rows, columns, options.format);
+    return;
+  }
+
+  print(chalk.blue(`\n=== Versions for WORKERS "${name}" ===`));
+
+  formatTable(rows, columns);
+
+  const serving = versions.filter(version => version.status === 'serving').length;
+  print(chalk.green(`\nTotal: ${versions.length} versions (${serving} serving traffic)`));
+  print(
+    chalk.gray(
+      'Versions cannot be deleted individually through the Cloudflare API; delete removes deployment history only.'
+    )
+  );
+}
+
 /**
- * Command: List resources
+ * Whether a resource argument selects several resources instead of naming one
+ */
+function isNamePattern(name) {
+  return /[*?]/.test(name) || isRegexPattern(name);
+}
+
+/**
+ * Bulk delete across every resource selected by name patterns
+ * Shows one consolidated plan and asks for a single confirmation
+ */
+async function deleteAcrossResources(serviceManager, type, name, options, isDryRun) {
+  const include = [name, ...(options.match || [])].filter(Boolean);
+  const exclude = options.exclude || [];
+
+  if (options.resume || options.failuresFile || typeof options.journal === 'string') {
+    console.error(
+      chalk.red('Error: --resume, --journal <file> and --failures-file need a single resource name')
+    );
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+
+  const spinner = ora(`Selecting ${type} resources matching ${include.join(', ')}...`).start();
+  const resources = await serviceManager.selectResources(type, { include, exclude });
+  spinner.stop();
+
+  const document = { command: 'delete', resourceType: type, include, exclude };
+
+  if (resources.length === 0) {
+    print(chalk.yellow(`No ${type} resources match ${include.join(', ')}`));
+    process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+    emit({ ...document, dryRun: Boolean(isDryRun), plan: [], results: [], failures: [] });
+    return;
+  }
+
+  const protection = {
+    skipProduction: options.skipProduction !== false && type === 'pages',
+    skipLatest: options.skipLatest !== false && type === 'workers',
+    keepLatest: options.keepLatest,
+    keepLatestPerBranch: options.keepLatestPerBranch,
+    keepLatestPerEnvironment: options.keepLatestPerEnvironment,
+    allowLive: options.allowLive
+  };
+
+  const filters = await deploymentFilters(type, options);
+  const plan = [];
+  const planSpinner = ora(`Fetching deployments for ${resources.length} resources...`).start();
+
+  for (const resource of resources) {
+    const deployments = await serviceManager.listDeployments(type, resource.name, filters);
+    const { deploymentsToDelete } = await serviceManager.planBulkDelete(
+      type,
+      resource.name,
+      deployments,
+      protection
+    );
+
+    plan.push({
+      resourceName: resource.name,
+      deployments,
+      found: deployments.length,
+      delete: deploymentsToDelete.length,
+      keep: deployments.length - deploymentsToDelete.length
+    });
+  }
+  planSpinner.stop();
+
+  const totalToDelete = plan.reduce((sum, entry) => sum + entry.delete, 0);
+  const planDocument = plan.map(({ resourceName, found, delete: toDelete, keep }) => ({
+    resourceName,
+    found,
+    delete: toDelete,
+    keep
+  }));
+
+  print(chalk.blue(`\n=== Bulk Delete Plan: ${resources.length} ${type} resources ===`));
+  formatTable(plan, [
+    { key: 'resourceName', label: 'Resource', color: chalk.green },
+    { key: 'found', label: 'Found', color: chalk.gray },
+    { key: 'delete', label: 'Delete', color: chalk.red },
+    { key: 'keep', label: 'Keep', color: chalk.yellow }
+  ]);
+  print(chalk.blue(`\n${totalToDelete} deployments to delete across ${plan.length} resources`));
+
+  if (totalToDelete === 0) {
+    print(chalk.green('Nothing to delete after applying filters and protection'));
+    process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+    emit({ ...document, dryRun: Boolean(isDryRun), plan: planDocument, results: [], failures: [] });
+    return;
+  }
+
+  await enforceDeleteCeiling(
+    () => ({ toDelete: totalToDelete, total: plan.reduce((sum, entry) => sum + entry.found, 0) }),
+    isDryRun
+  );
+
+  if (needsConfirmation(options, isDryRun)) {
+    const answer = await prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.red(
+          `Are you sure you want to delete ${totalToDelete} deployments from ${plan.length} resources?`
+        ),
+        default: false
+      }
+    ]);
+
+    if (!answer.confirm) {
+      print(chalk.yellow('Operation cancelled'));
+      process.exitCode = EXIT_CODES.CANCELLED;
+      emit({
+        ...document,
+        dryRun: false,
+        cancelled: true,
+        plan: planDocument,
+        results: [],
+        failures: []
+      });
+      return;
+    }
+  }
+
+  const results = [];
+  const decisions = [];
+
+  for (const entry of plan.filter(item => item.delete > 0)) {
+    let journal = null;
+    let stopWatching = () => {};
+
+    if (!isDryRun && options.journal !== false) {
+      journal = new CheckpointJournal(CheckpointJournal.defaultPath(type, entry.resourceName));
+      stopWatching = watchForInterrupt(serviceManager, journal, type, entry.resourceName);
+    }
+
+    print(chalk.blue(`\n${type} "${entry.resourceName}": deleting ${entry.delete} deployments`));
+
+    try {
+      const result = await serviceManager.bulkDeleteDeployments(
+        type,
+        entry.resourceName,
+        entry.deployments,
+        {
+          ...protection,
+          dryRun: isDryRun,
+          force: options.force !== false,
+          batchSize: options.batchSize,
+          backup: program.opts().backup,
+          journal,
+          // Checked once for the combined plan above
+          maxDeletions: null,
+          maxDeletionPercent: null
+        }
+      );
+
+      results.push(result);
+      buildDeletionReport(entry.deployments, result, { dryRun: isDryRun }).forEach(row => {
+        decisions.push({ resource: entry.resourceName, ...row });
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error processing ${type} "${entry.resourceName}":`, error.message));
+      results.push({
+        resourceType: type,
+        resourceName: entry.resourceName,
+        success: 0,
+        failed: entry.delete,
+        skipped: entry.keep,
+        total: entry.found,
+        error: error.message
+      });
+    } finally {
+      stopWatching();
+    }
+  }
+
+  const totals = results.reduce(
+    (sum, result) => ({
+      success: sum.success + (result.success || 0),
+      alreadyAbsent: sum.alreadyAbsent + (result.alreadyAbsent || 0),
+      failed: sum.failed + (result.failed || 0),
+      skipped: sum.skipped + (result.skipped || 0)
+    }),
+    { success: 0, alreadyAbsent: 0, failed: 0, skipped: 0 }
+  );
+  setResultExitCode(totals, isDryRun);
+
+  emit({
+    ...document,
+    dryRun: Boolean(isDryRun),
+    plan: planDocument,
+    summary: { ...totals, resources: results.length },
+    results: results.map(result => ({
+      resourceName: result.resourceName,
+      success: result.success,
+      alreadyAbsent: result.alreadyAbsent,
+      failed: result.failed,
+      skipped: result.skipped,
+      total: result.total,
+      error: result.error
+    })),
+    failures: results.flatMap(result =>
+      (result.failures || []).map(failure => ({ resourceName: result.resourceName, ...failure }))
+    ),
+    decisions
+  });
+
+  if (isCiMode()) {
+    results.forEach(result => {
+      printCompactSummary(`delete ${type}/${result.resourceName}`, result, isDryRun);
+    });
+  } else {
+    print(`\n${chalk.blue('=== Bulk Delete Results ===')}`);
+    formatTable(
+      results.map(result => ({
+        ...result,
+        status: result.error ? `Error: ${result.error}` : 'Done'
+      })),
+      [
+        { key: 'resourceName', label: 'Resource', color: chalk.green },
+        { key: 'success', label: 'Deleted', color: chalk.green },
+        { key: 'alreadyAbsent', label: 'Already absent', color: chalk.green },
+        { key: 'failed', label: 'Failed', color: chalk.red },
+        { key: 'skipped', label: 'Skipped', color: chalk.yellow },
+        { key: 'status', label: 'Status', color: chalk.gray }
+      ]
+    );
+
+    if (isDryRun) {
+      print(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
+    } else {
+      print(
+        chalk.green(
+          `\n✓ ${totals.success} deployments deleted, ${totals.failed} failed across ${results.length} resources`
+        )
+      );
+    }
+  }
+
+  if (options.report) {
+    await saveDeletionReport(options.report, decisions, [
+      { key: 'resource', label: 'Resource' },
+      ...REPORT_COLUMNS
+    ]);
+  }
+}
+
+/**
+ * Find the account to work on when no account ID was given
+ * The only account the token can access is used as is. With several, ask which one,
+ * or fail listing them when there is no terminal to ask on.
+ */
+async function pickAccount(apiToken) {
+  const spinner = ora('No account ID given, discovering accounts the token can access...').start();
+  let accounts;
+
+  try {
+    accounts = await discoverAccounts(apiToken);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail('Failed to discover accounts');
+    console.error(chalk.red(error.message));
+    print(
+      chalk.yellow(
+        'Use --account or --profile, or set the CLOUDFLARE_ACCOUNT_ID environment variable'
+      )
+    );
+    printTokenSetupHelp();
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+
+  const canAsk = !isCiMode() && process.stdin.isTTY;
+
+  try {
+    const account = await selectAccount(accounts, {
+      choose: canAsk
+        ? async candidates => {
+            const answer = await prompt([
+              {
+                type: 'list',
+                name: 'account',
+                message: 'The token can access several accounts. Which one?',
+                choices: candidates.map(candidate => ({
+                  name: candidate.name ? `${candidate.name} (${candidate.id})` : candidate.id,
+                  value: candidate
+                }))
+              }
+            ]);
+            return answer.account;
+          }
+        : undefined
+    });
+
+    print(
+      chalk.gray(
+        `Using account ${account.name ? `${account.name} (${account.id})` : account.id}. Set CLOUDFLARE_ACCOUNT_ID=${account.id} to skip discovery`
+      )
+    );
+    return account.id;
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Resolve the API token and account ID of a run
+ * Both come from one source, so a token is never paired with another identity's account:
+ * --token, else a profile named with --profile, else CLOUDFLARE_API_TOKEN, else the current
+ * profile. --account overrides the account of any of them; without one, the token's
+ * accounts are discovered.
+ */
+async function resolveCredentials(options) {
+  const profileName = options.profile || process.env.CF_BULK_DELETE_PROFILE;
+  let source;
+
+  if (options.token) {
+    source = { apiToken: options.token, accountId: null };
+  } else if (profileName) {
+    source = await new ProfileStore().resolve(profileName);
+  } else if (config.cloudflare.apiToken) {
+    source = { apiToken: config.cloudflare.apiToken, accountId: config.cloudflare.accountId };
+  } else {
+    source = await new ProfileStore().resolve();
+  }
+
+  return {
+    apiToken: source?.apiToken,
+    accountId: options.account || source?.accountId,
+    profile: source?.name || null
+  };
+}
+
+/**
+ * Setup service manager with error handling
+ */
+async function setupServiceManager(options) {
+  let credentials;
+
+  try {
+    credentials = await resolveCredentials(options);
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  const { apiToken, profile } = credentials;
+
+  if (!apiToken) {
+    console.error(chalk.red('Error: Cloudflare API Token is required'));
+    print(
+      chalk.yellow('Use --token or --profile, or set the CLOUDFLARE_API_TOKEN environment variable')
+    );
+    printTokenSetupHelp();
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+
+  if (options.verbose) {
+    logger.level = 'debug';
+  }
+
+  const accountId = credentials.accountId || (await pickAccount(apiToken));
+
+  if (profile) {
+    print(chalk.gray(`Using profile ${profile} (account ${accountId})`));
+  }
+
+  // Every delete and destroy is recorded in the audit log
+  const serviceManager = new ServiceManager(apiToken, accountId, { auditLog: new AuditLog() });
+
+  // Validate connections
+  const spinner = ora('Validating Cloudflare API connections...').start();
+  try {
+    const validation = await serviceManager.validateConnections();
+
+    if (!validation.overall) {
+      spinner.fail('API validation failed');
+      console.error(chalk.red('Check your API Token and Account ID'));
+      printTokenSetupHelp();
+      process.exit(EXIT_CODES.VALIDATION_ERROR);
+    }
+
+    spinner.succeed('API connections successfully validated');
+    return serviceManager;
+  } catch (error) {
+    spinner.fail('Failed to validate API connections');
+    console.error(chalk.red(error.message));
+    printTokenSetupHelp();
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+}
+
+/**
+ * Setup the multi-account manager of the accounts commands
+ * Only the API token is needed: accounts come from --accounts or are discovered
+ */
+async function setupMultiAccountManager(options) {
+  const globalOptions = program.opts();
+  let credentials;
+
+  try {
+    credentials = await resolveCredentials(globalOptions);
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  if (!credentials.apiToken) {
+    console.error(chalk.red('Error: Cloudflare API Token is required'));
+    print(
+      chalk.yellow('Use --token or --profile, or set the CLOUDFLARE_API_TOKEN environment variable')
+    );
+    printTokenSetupHelp();
+    process.exit(EXIT_CODES.VALIDATION_ERROR);
+  }
+
+  if (globalOptions.verbose) {
+    logger.level = 'debug';
+  }
+
+  const spinner = ora(
+    options.accounts ? 'Preparing accounts...' : 'Discovering accounts the token can access...'
+  ).start();
+
+  try {
+    const manager = new MultiAccountManager(credentials.apiToken, {
+      accounts: options.accounts,
+      concurrency: options.parallel,
+      serviceManagerOptions: { auditLog: new AuditLog() }
+    });
+    const accounts = await manager.resolveAccounts();
+
+    spinner.succeed(`Working on ${accounts.length} accounts`);
+    return manager;
+  } catch (error) {
+    spinner.fail('Failed to resolve accounts');
+    exitWithError(error);
+  }
+}
+
+function accountLabel(entry) {
+  return entry.accountName ? `${entry.accountName} (${entry.accountId})` : entry.accountId;
+}
+
+program
+  .command('token-template')
+  .description('Print a Cloudflare API token template link with the required permissions')
+  .action(() => {
+    printTokenSetupHelp();
+    emit({
+      command: 'token-template',
+      url: CLOUDFLARE_API_TOKEN_TEMPLATE_URL,
+      permissions: REQUIRED_TOKEN_PERMISSIONS
+    });
+  });
+
+const CHECK_SYMBOLS = {
+  ok: chalk.green('✓'),
+  warn: chalk.yellow('!'),
+  fail: chalk.red('✗'),
+  skip: chalk.gray('-')
+};
+
+/**
+ * Command: Diagnose the API token
+ */
+program
+  .command('doctor')
+  .description('Check that the API token has every permission bulk deletes need')
+  .action(async () => {
+    try {
+      const globalOptions = program.opts();
+      const credentials = await resolveCredentials(globalOptions);
+
+      if (!credentials.apiToken) {
+        console.error(chalk.red('Error: Cloudflare API Token is required'));
+        print(
+          chalk.yellow(
+            'Use --token or --profile, or set the CLOUDFLARE_API_TOKEN environment variable'
+          )
+        );
+        printTokenSetupHelp();
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      // Denied probes are expected here; keep their API error logs out of the report
+      if (globalOptions.verbose) {
+        logger.level = 'debug';
+      } else {
+        logger.silent = true;
+      }
+
+      const accountId = credentials.accountId || (await pickAccount(credentials.apiToken));
+      const serviceManager = new ServiceManager(credentials.apiToken, accountId);
+
+      const spinner = ora('Checking the API token...').start();
+      const diagnosis = await serviceManager.diagnoseToken();
+      spinner.stop();
+
+      emit({ command: 'doctor', ...diagnosis });
+
+      print(chalk.blue(`\n=== Token Diagnostics (account ${accountId}) ===`));
+      diagnosis.checks.forEach(check => {
+        print(`${CHECK_SYMBOLS[check.status]} ${check.message}`);
+      });
+
+      if (diagnosis.missingPermissions.length > 0) {
+        print(chalk.red('\nMissing permissions:'));
+        diagnosis.missingPermissions.forEach(permission => {
+          print(chalk.red(`- ${permission.label}`));
+        });
+      }
+
+      if (!diagnosis.healthy) {
+        print(
+          chalk.cyan(
+            `\nCreate a token with every required permission for this account:\n${diagnosis.fixUrl}`
+          )
+        );
+        process.exitCode = EXIT_CODES.VALIDATION_ERROR;
+        return;
+      }
+
+      print(chalk.green('\n✓ The token can run bulk deletes on this account'));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Manage named credential profiles
+ */
+const profileCommand = program
+  .command('profile')
+  .description('Manage named credentials for several Cloudflare accounts');
+
+profileCommand
+  .command('add <name>')
+  .description('Save an account ID and API token under a name; the token is prompted for')
+  .option('--token-env <variable>', 'Read the token from this environment variable at run time')
+  .option('--description <text>', 'Note shown by profile list')
+  .action(async (name, options) => {
+    try {
+      const globalOptions = program.opts();
+      const needsToken = !globalOptions.token && !options.tokenEnv;
+      let answers = {};
+
+      if (globalOptions.token) {
+        print(chalk.yellow('Warning: --token leaves the token in your shell history'));
+      }
+
+      if (needsToken || !globalOptions.account) {
+        if (isCiMode() || !process.stdin.isTTY) {
+          throw new ValidationError(
+            'Cannot prompt without an interactive terminal. Pass --account and --token-env <variable>'
+          );
+        }
+
+        answers = await prompt([
+          {
+            type: 'input',
+            name: 'accountId',
+            message: 'Cloudflare Account ID:',
+            when: !globalOptions.account,
+            validate: input => Boolean(input.trim()) || 'Account ID is required'
+          },
+          {
+            type: 'password',
+            name: 'token',
+            message: 'Cloudflare API Token:',
+            mask: '*',
+            when: needsToken,
+            validate: input => Boolean(input.trim()) || 'API Token is required'
+          }
+        ]);
+      }
+
+      const store = new ProfileStore();
+      const profile = await store.add(name, {
+        accountId: globalOptions.account || answers.accountId.trim(),
+        token: globalOptions.token || answers.token?.trim(),
+        tokenEnv: options.tokenEnv,
+        description: options.description
+      });
+
+      emit({ command: 'profile add', file: store.filePath, profile });
+      print(chalk.green(`✓ Profile ${name} saved to ${store.filePath}`));
+      if (profile.current) {
+        print(chalk.gray(`${name} is now the current profile`));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+profileCommand
+  .command('list')
+  .alias('ls')
+  .description('List saved profiles without their tokens')
+  .action(async () => {
+    try {
+      const store = new ProfileStore();
+      const profiles = await store.list();
+
+      emit({ command: 'profile list', file: store.filePath, profiles });
+
+      if (profiles.length === 0) {
+        print(chalk.yellow('No profiles found. Add one with: cf-bulk-delete profile add <name>'));
+        return;
+      }
+
+      formatTable(
+        profiles.map(profile => ({
+          ...profile,
+          marker: profile.current ? '*' : '',
+          description: profile.description || ''
+        })),
+        [
+          { key: 'marker', label: ' ', color: chalk.green },
+          { key: 'name', label: 'Profile', color: chalk.green },
+          { key: 'accountId', label: 'Account ID', color: chalk.cyan },
+          { key: 'tokenSource', label: 'Token', color: chalk.gray },
+          { key: 'description', label: 'Description', color: chalk.white }
+        ]
+      );
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+profileCommand
+  .command('use <name>')
+  .description('Make a profile the current one')
+  .action(async name => {
+    try {
+      await new ProfileStore().use(name);
+
+      emit({ command: 'profile use', current: name });
+      print(chalk.green(`✓ Now using profile ${name}`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+profileCommand
+  .command('remove <name>')
+  .alias('rm')
+  .description('Delete a saved profile and its token')
+  .action(async name => {
+    try {
+      await new ProfileStore().remove(name);
+
+      emit({ command: 'profile remove', removed: name });
+      print(chalk.green(`✓ Profile ${name} removed`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: List resources
+ */
+program
+  .command('list')
+  .alias('ls')
+  .description('List all Cloudflare Pages and Workers resources')
+  .option('-s, --stats', 'Show deployment statistics')
+  .option(
+    '-f, --format <format>',
+    'Listing format: table, csv or markdown',
+    parseTableFormat,
+    'table'
+  )
+  .action(async options => {
+    try {
+      const serviceManager = await setupServiceManager(program.opts());
+
+      const spinner = ora('Fetching resources list...').start();
+      const resources = await serviceManager.listAllResources();
+      spinner.stop();
+
+      if (options.format !== 'table') {
+        // One combined listing so the output opens as a single sheet
+        printListing(
+          [...resources.pages, ...resources.workers],
+          [
+            { key: 'type', label: 'Type' },
+            { key: 'name', label: 'Name' },
+            { key: 'subdomain', label: 'Subdomain' },
+            { key: 'created_on', label: 'Created' },
+            { key: 'modified_on', label: 'Modified' }
+          ],
+          options.format
+        );
+        emit({
+          command: 'list',
+          pages: resources.pages,
+          workers: resources.workers,
+          totals: { pages: resources.pages.length, workers: resources.workers.length }
+        });
+        return;
+      }
+
+      print(chalk.blue('\n=== Cloudflare Pages Projects ==='));
+      if (resources.pages.length > 0) {
+        formatTable(resources.pages, [
+          { key: 'name', label: 'Project Name', color: chalk.green },
+          { key: 'subdomain', label: 'Subdomain', color: chalk.cyan },
+          { key: 'created_on', label: 'Created', color: chalk.gray }
+        ]);
+      } else {
+        print(chalk.yellow('No Pages projects found'));
+      }
+
+      print(chalk.blue('\n=== Cloudflare Workers Scripts ==='));
+      if (resources.workers.length > 0) {
+        formatTable(resources.workers, [
+          { key: 'name', label: 'Script Name', color: chalk.green },
+          { key: 'created_on', label: 'Created', color: chalk.gray },
+          { key: 'modified_on', label: 'Modified', color: chalk.gray }
+        ]);
+      } else {
+        print(chalk.yellow('No Workers scripts found'));
+      }
+
+      let stats = null;
+      if (options.stats) {
+        print(chalk.blue('\n=== Deployment Statistics ==='));
+        const spinner2 = ora('Fetching deployment statistics...').start();
+
+        try {
+          stats = await serviceManager.getComprehensiveStats();
+          spinner2.stop();
+
+          print(`Total Resources: ${chalk.bold(stats.summary.totalResources)}`);
+          print(`Total Deployments: ${chalk.bold(stats.summary.totalDeployments)}`);
+          print(`Pages Projects: ${chalk.bold(stats.pages.totalProjects)}`);
+          print(`Workers Scripts: ${chalk.bold(stats.workers.totalScripts)}`);
+
+          if (stats.summary.oldestDeployment) {
+            print(
+              `Oldest Deployment: ${chalk.gray(dayjs(stats.summary.oldestDeployment).format('YYYY-MM-DD HH:mm:ss'))}`
+            );
+          }
+          if (stats.summary.newestDeployment) {
+            print(
+              `Newest Deployment: ${chalk.gray(dayjs(stats.summary.newestDeployment).format('YYYY-MM-DD HH:mm:ss'))}`
+            );
+          }
+        } catch (error) {
+          spinner2.fail('Failed to fetch statistics');
+          console.error(chalk.red(error.message));
+        }
+      }
+
+      print(
+        chalk.green(
+          `\nTotal: ${resources.pages.length} Pages projects, ${resources.workers.length} Workers scripts`
+        )
+      );
+
+      emit({
+        command: 'list',
+        pages: resources.pages,
+        workers: resources.workers,
+        totals: { pages: resources.pages.length, workers: resources.workers.length },
+        ...(stats && { stats })
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: List deployments for specific resource
+ */
+program
+  .command('deployments <type> <name>')
+  .description('List deployments for specific resource (pages|workers)')
+  .option('-e, --environment <env>', 'Filter by environment (for Pages)')
+  .option('--max-age <days>', 'Filter deployments older than X days', parseInt)
+  .option('--status <status>', 'Filter by deployment status')
+  .option(
+    '--branch <pattern>',
+    'Only Pages deployments from branches matching a glob or /regex/ (repeatable)',
+    collectPattern
+  )
+  .option(
+    '--exclude-branch <pattern>',
+    'Leave out Pages deployments from matching branches (repeatable)',
+    collectPattern
+  )
+  .option(
+    '--commit <sha>',
+    'Only Pages deployments built from commits starting with this SHA (repeatable)',
+    collectValue
+  )
+  .option(
+    '--active-branches <file>',
+    'File listing branches that still exist; only deployments from other branches are selected'
+  )
+  .option('--versions', 'List Worker versions and the share of traffic each one serves')
+  .option(
+    '-f, --format <format>',
+    'Listing format: table, csv or markdown',
+    parseTableFormat,
+    'table'
+  )
+  .action(async (type, name, options) => {
+    try {
+      if (!['pages', 'workers'].includes(type)) {
+        console.error(chalk.red('Error: Type must be "pages" or "workers"'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      if (options.versions && type !== 'workers') {
+        console.error(chalk.red('Error: --versions is only available for workers'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      const serviceManager = await setupServiceManager(program.opts());
+
+      if (options.versions) {
+        await listWorkerVersions(serviceManager, name, options);
+        return;
+      }
+
+      const spinner = ora(`Fetching deployments for ${type} "${name}"...`).start();
+      const deployments = await serviceManager.listDeployments(
+        type,
+        name,
+        await deploymentFilters(type, options)
+      );
+      spinner.stop();
+
+      emit({
+        command: 'deployments',
+        resourceType: type,
+        resourceName: name,
+        total: deployments.length,
+        deployments
+      });
+
+      if (deployments.length === 0) {
+        print(chalk.yellow(`No deployments found for ${type} "${name}"`));
+        return;
+      }
+
+      const columns = [
+        { key: 'id', label: 'Deployment ID', color: chalk.green },
+        { key: 'created_on', label: 'Created', color: chalk.gray }
+      ];
+
+      if (type === 'pages') {
+        columns.splice(2, 0, { key: 'environment', label: 'Environment', color: chalk.cyan });
+        columns.push(
+          { key: 'branch', label: 'Branch', color: chalk.magenta },
+          { key: 'commit', label: 'Commit', color: chalk.gray }
+        );
+      } else {
+        columns.splice(
+          2,
+          0,
+          { key: 'status', label: 'Status', color: chalk.cyan },
+          { key: 'traffic', label: 'Traffic', color: chalk.magenta }
+        );
+      }
+
+      const rows = deployments.map(describeDeployment);
+
+      if (options.format !== 'table') {
+        printListing(rows, columns, options.format);
+        return;
+      }
+
+      print(chalk.blue(`\n=== Deployments for ${type.toUpperCase()} "${name}" ===`));
+
+      formatTable(rows, columns);
+
+      print(chalk.green(`\nTotal: ${deployments.length} deployments`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Bulk delete deployments
+ */
+program
+  .command('delete <type> [name]')
+  .description(
+    'Bulk delete deployments for a resource, or for every resource matching a glob or /regex/'
+  )
+  .option('-e, --environment <env>', 'Filter by environment (for Pages)')
+  .option('--max-age <days>', 'Delete deployments older than X days', parseInt)
+  .option('--status <status>', 'Filter by deployment status')
+  .option(
+    '--branch <pattern>',
+    'Only Pages deployments from branches matching a glob or /regex/ (repeatable)',
+    collectPattern
+  )
+  .option(
+    '--exclude-branch <pattern>',
+    'Leave out Pages deployments from matching branches (repeatable)',
+    collectPattern
+  )
+  .option(
+    '--commit <sha>',
+    'Only Pages deployments built from commits starting with this SHA (repeatable)',
+    collectValue
+  )
+  .option(
+    '--active-branches <file>',
+    'File listing branches that still exist; only deployments from other branches are selected'
+  )
+  .option(
+    '--skip-production [value]',
+    'Skip production deployments (default for Pages). Use false to include production deployments.',
+    parseBooleanOption
+  )
+  .option(
+    '--skip-latest [value]',
+    'Skip latest deployment (default for Workers). Use false to include latest deployment.',
+    parseBooleanOption
+  )
+  .option(
+    '--keep-latest <count>',
+    'Keep the newest N Pages deployments protected (default: 1)',
+    parseNonNegativeIntegerOption
+  )
+  .option(
+    '--keep-latest-per-branch <count>',
+    'Keep the newest N Pages deployments of every branch',
+    parseNonNegativeIntegerOption
+  )
+  .option(
+    '--keep-latest-per-environment <count>',
+    'Keep the newest N Pages deployments of every environment',
+    parseNonNegativeIntegerOption
+  )
+  .option('--force', 'Force delete aliased Pages deployments (default)')
+  .option('--no-force', 'Disable force mode for aliased Pages deployments')
+  .option(
+    '--allow-live',
+    'Skip live protection: the Pages production and aliased deployments, and the active Worker deployment with the versions it serves'
+  )
+  .option(
+    '--batch-size <size>',
+    'Number of deletions to run concurrently (default: 10)',
+    parseNonNegativeIntegerOption
+  )
+  .option(
+    '--journal <file>',
+    'Checkpoint journal path (default: a new file under .cf-bulk-delete/journals)'
+  )
+  .option('--no-journal', 'Do not write a checkpoint journal')
+  .option('--resume <journal>', 'Resume an interrupted run from its checkpoint journal')
+  .option('--failures-file <file>', 'Write failed deployment IDs to a file for `retry`')
+  .option(
+    '--report <file>',
+    'Write every candidate deployment with its decision and reason (.csv or .md)'
+  )
+  .option(
+    '--match <pattern>',
+    'Select resources by glob or /regex/ name pattern (repeatable)',
+    collectPattern
+  )
+  .option(
+    '--exclude <pattern>',
+    'Leave out resources matching a pattern (repeatable)',
+    collectPattern
+  )
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async (type, name, options) => {
+    try {
+      if (!['pages', 'workers'].includes(type)) {
+        console.error(chalk.red('Error: Type must be "pages" or "workers"'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      if (!name && !options.match) {
+        console.error(chalk.red('Error: Give a resource name or pattern, or use --match'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      if (isNamePattern(name)) {
+        compilePattern(name);
+      }
+
+      const serviceManager = await setupServiceManager(program.opts());
+      const isDryRun = program.opts().dryRun;
+
+      if (options.match || options.exclude || isNamePattern(name)) {
+        await deleteAcrossResources(serviceManager, type, name, options, isDryRun);
+        return;
+      }
+
+      if (options.resume) {
+        await resumeBulkDelete(serviceManager, type, name, options, isDryRun);
+        return;
+      }
+
+      // Get deployments to delete
+      const spinner = ora(`Fetching deployments for ${type} "${name}"...`).start();
+      const deployments = await serviceManager.listDeployments(
+        type,
+        name,
+        await deploymentFilters(type, options)
+      );
+      spinner.stop();
+
+      if (deployments.length === 0) {
+        print(chalk.yellow(`No deployments found for ${type} "${name}"`));
+        emit(bulkDeleteDocument('delete', type, name, {}, { candidates: [] }));
+        process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+        return;
+      }
+
+      const candidates = deployments.map(deployment => ({
+        id: deployment.id,
+        created_on: deployment.created_on,
+        environment: deployment.environment,
+        version: deployment.version
+      }));
+
+      // Try to get total count information for better display
+      let totalInfo = '';
+      if (type === 'pages' && deployments.length > 0 && deployments[0].totalCount) {
+        totalInfo = `/${deployments[0].totalCount}`;
+      }
+
+      print(
+        chalk.blue(`\nFound ${deployments.length}${totalInfo} deployments for ${type} "${name}"`)
+      );
+
+      // Show preview
+      if (deployments.length <= 10) {
+        formatTable(deployments.slice(0, 10), [
+          { key: 'id', label: 'Deployment ID', color: chalk.yellow },
+          { key: 'created_on', label: 'Created', color: chalk.gray },
+          {
+            key: type === 'pages' ? 'environment' : 'version',
+            label: type === 'pages' ? 'Environment' : 'Version',
+            color: chalk.cyan
+          }
+        ]);
+      } else {
+        print(`Showing first 10 deployments out of ${deployments.length} total:`);
+        formatTable(deployments.slice(0, 10), [
+          { key: 'id', label: 'Deployment ID', color: chalk.yellow },
+          { key: 'created_on', label: 'Created', color: chalk.gray },
+          {
+            key: type === 'pages' ? 'environment' : 'version',
+            label: type === 'pages' ? 'Environment' : 'Version',
+            color: chalk.cyan
+          }
+        ]);
+        print(chalk.gray(`... and ${deployments.length - 10} more deployments`));
+      }
+
+      const protection = {
+        skipProduction: options.skipProduction !== false && type === 'pages',
+        skipLatest: options.skipLatest !== false && type === 'workers',
+        keepLatest: options.keepLatest,
+        keepLatestPerBranch: options.keepLatestPerBranch,
+        keepLatestPerEnvironment: options.keepLatestPerEnvironment,
+        allowLive: options.allowLive
+      };
+
+      await enforceDeleteCeiling(async () => {
+        const { deploymentsToDelete } = await serviceManager.planBulkDelete(
+          type,
+          name,
+          deployments,
+          protection
+        );
+        return { toDelete: deploymentsToDelete.length, total: deployments.length };
+      }, isDryRun);
+
+      // Confirmation
+      if (needsConfirmation(options, isDryRun)) {
+        const answer = await prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: chalk.red(
+              `Are you sure you want to delete ${deployments.length} deployments?`
+            ),
+            default: false
+          }
+        ]);
+
+        if (!answer.confirm) {
+          print(chalk.yellow('Operation cancelled'));
+          process.exitCode = EXIT_CODES.CANCELLED;
+          emit(bulkDeleteDocument('delete', type, name, {}, { cancelled: true, candidates }));
+          return;
+        }
+      }
+
+      // Record progress so an interrupted run can be resumed
+      let journal = null;
+      if (!isDryRun && options.journal !== false) {
+        journal = new CheckpointJournal(
+          typeof options.journal === 'string'
+            ? options.journal
+            : CheckpointJournal.defaultPath(type, name)
+        );
+        print(chalk.gray(`Checkpoint journal: ${journal.filePath}`));
+        watchForInterrupt(serviceManager, journal, type, name);
+      }
+
+      // Perform bulk delete
+      const deleteOptions = {
+        ...protection,
+        dryRun: isDryRun,
+        force: options.force !== false,
+        batchSize: options.batchSize,
+        backup: program.opts().backup,
+        journal,
+        failuresFile: options.failuresFile,
+        ...deletionLimits()
+      };
+
+      const result = await serviceManager.bulkDeleteDeployments(
+        type,
+        name,
+        deployments,
+        deleteOptions
+      );
+
+      const decisions = buildDeletionReport(deployments, result, { dryRun: isDryRun });
+
+      reportBulkDeleteResults('delete', result, isDryRun, { candidates, decisions });
+
+      if (options.report) {
+        await saveDeletionReport(options.report, decisions);
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Retry deployments that failed in a previous run
+ */
+program
+  .command('retry <failures-file>')
+  .description('Retry only the deployments listed in a failures file from a previous delete')
+  .option('--force', 'Force delete aliased Pages deployments (default)')
+  .option('--no-force', 'Disable force mode for aliased Pages deployments')
+  .option(
+    '--allow-live',
+    'Skip live protection: the Pages production and aliased deployments, and the active Worker deployment with the versions it serves'
+  )
+  .option(
+    '--batch-size <size>',
+    'Number of deletions to run concurrently (default: 10)',
+    parseNonNegativeIntegerOption
+  )
+  .option(
+    '--failures-file <file>',
+    'Where to write deployments that still fail (default: overwrite the input file)'
+  )
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async (failuresFile, options) => {
+    try {
+      const report = await readFailureReport(failuresFile);
+      const { resourceType, resourceName, failures } = report;
+
+      if (failures.length === 0) {
+        print(chalk.green(`No failed deployments listed in ${failuresFile}`));
+        process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+        emit(bulkDeleteDocument('retry', resourceType, resourceName, {}, { failuresFile }));
+        return;
+      }
+
+      const serviceManager = await setupServiceManager(program.opts());
+      const isDryRun = program.opts().dryRun;
+
+      print(
+        chalk.blue(
+          `\nRetrying ${failures.length} failed deployments for ${resourceType} "${resourceName}"`
+        )
+      );
+      formatTable(failures, [
+        { key: 'id', label: 'Deployment ID', color: chalk.yellow },
+        { key: 'httpStatus', label: 'Status', color: chalk.red },
+        { key: 'message', label: 'Previous Error', color: chalk.gray }
+      ]);
+
+      await enforceDeleteCeiling(() => ({ toDelete: failures.length }), isDryRun);
+
+      if (needsConfirmation(options, isDryRun)) {
+        const answer = await prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: chalk.red(`Retry deleting ${failures.length} deployments?`),
+            default: false
+          }
+        ]);
+
+        if (!answer.confirm) {
+          print(chalk.yellow('Operation cancelled'));
+          process.exitCode = EXIT_CODES.CANCELLED;
+          emit(
+            bulkDeleteDocument(
+              'retry',
+              resourceType,
+              resourceName,
+              {},
+              {
+                cancelled: true,
+                failuresFile
+              }
+            )
+          );
+          return;
+        }
+      }
+
+      const result = await serviceManager.retryFailures(report, {
+        dryRun: isDryRun,
+        force: options.force !== false,
+        allowLive: options.allowLive,
+        batchSize: options.batchSize,
+        backup: program.opts().backup,
+        failuresFile: options.failuresFile || failuresFile,
+        maxDeletions: deletionLimits().maxDeletions
+      });
+
+      reportBulkDeleteResults('retry', result, isDryRun, { failuresFile });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Apply a cleanup policy file
+ */
+program
+  .command('apply')
+  .description('Apply a cleanup policy file across all Pages projects and Workers scripts')
+  .option('-p, --policy <file>', 'Policy file (YAML or JSON)', DEFAULT_POLICY_FILE)
+  .option('--force', 'Force delete aliased Pages deployments (default)')
+  .option('--no-force', 'Disable force mode for aliased Pages deployments')
+  .option(
+    '--allow-live',
+    'Skip live protection: the Pages production and aliased deployments, and the active Worker deployment with the versions it serves'
+  )
+  .option(
+    '--batch-size <size>',
+    'Number of deletions to run concurrently (default: 10)',
+    parseNonNegativeIntegerOption
+  )
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async options => {
+    try {
+      const policy = await loadPolicy(options.policy);
+      const serviceManager = await setupServiceManager(program.opts());
+      const isDryRun = program.opts().dryRun;
+
+      const spinner = ora(`Planning policy ${options.policy}...`).start();
+      const plan = await serviceManager.planPolicy(policy, { allowLive: options.allowLive });
+      spinner.stop();
+
+      const planRows = plan.map(entry => ({
+        resourceType: entry.resourceType,
+        resourceName: entry.resourceName,
+        rule: entry.rule,
+        delete: entry.deployments.length,
+        keep: entry.total - entry.deployments.length
+      }));
+      const totalToDelete = planRows.reduce((sum, row) => sum + row.delete, 0);
+      const planDocument = {
+        command: 'apply',
+        policy: options.policy,
+        dryRun: Boolean(isDryRun),
+        plan: plan.map(entry => ({
+          resourceType: entry.resourceType,
+          resourceName: entry.resourceName,
+          rule: entry.rule,
+          total: entry.total,
+          deployments: entry.deployments.map(deployment => deployment.id),
+          skippedDeployments: entry.skippedDeployments
+        }))
+      };
+
+      print(chalk.blue(`\n=== Policy Plan (${options.policy}) ===`));
+
+      if (plan.length === 0) {
+        print(chalk.yellow('No resources match the policy rules'));
+        process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+        emit({ ...planDocument, results: [] });
+        return;
+      }
+
+      formatTable(planRows, [
+        { key: 'resourceType', label: 'Type', color: chalk.cyan },
+        { key: 'resourceName', label: 'Resource', color: chalk.green },
+        { key: 'rule', label: 'Rule', color: chalk.gray },
+        { key: 'delete', label: 'Delete', color: chalk.red },
+        { key: 'keep', label: 'Keep', color: chalk.yellow }
+      ]);
+      print(chalk.blue(`\n${totalToDelete} deployments to delete across ${plan.length} resources`));
+
+      if (totalToDelete === 0) {
+        print(chalk.green('Nothing to delete - every resource already complies with the policy'));
+        process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+        emit({ ...planDocument, results: [] });
+        return;
+      }
+
+      await enforceDeleteCeiling(
+        () => ({
+          toDelete: totalToDelete,
+          total: plan.reduce((sum, entry) => sum + entry.total, 0)
+        }),
+        isDryRun
+      );
+
+      if (needsConfirmation(options, isDryRun)) {
+        const answer = await prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: chalk.red(`Delete ${totalToDelete} deployments as planned?`),
+            default: false
+          }
+        ]);
+
+        if (!answer.confirm) {
+          print(chalk.yellow('Operation cancelled'));
+          process.exitCode = EXIT_CODES.CANCELLED;
+          emit({ ...planDocument, cancelled: true, results: [] });
+          return;
+        }
+      }
+
+      const result = await serviceManager.applyPolicy(policy, {
+        plan,
+        dryRun: isDryRun,
+        force: options.force !== false,
+        allowLive: options.allowLive,
+        batchSize: options.batchSize,
+        backup: program.opts().backup,
+        ...deletionLimits()
+      });
+      setResultExitCode(
+        {
+          success: result.totalDeleted,
+          alreadyAbsent: result.totalAlreadyAbsent,
+          failed: result.totalErrors
+        },
+        isDryRun
+      );
+
+      emit({
+        ...planDocument,
+        summary: {
+          totalResources: result.totalResources,
+          totalDeleted: result.totalDeleted,
+          totalAlreadyAbsent: result.totalAlreadyAbsent,
+          totalErrors: result.totalErrors,
+          failedResources: result.failedResources
+        },
+        results: result.results.map(entry => ({
+          resourceType: entry.resourceType,
+          resourceName: entry.resourceName,
+          rule: entry.rule,
+          success: entry.success,
+          alreadyAbsent: entry.alreadyAbsent,
+          failed: entry.failed,
+          skipped: entry.skipped,
+          error: entry.error,
+          failures: entry.failures || []
+        }))
+      });
+
+      if (isCiMode()) {
+        result.results.forEach(entry => {
+          printCompactSummary(`apply ${entry.resourceType}/${entry.resourceName}`, entry, isDryRun);
+        });
+        return;
+      }
+
+      print(`\n${chalk.blue('=== Policy Results ===')}`);
+      formatTable(
+        result.results.map(entry => ({
+          ...entry,
+          status: entry.error ? `Error: ${entry.error}` : entry.message || 'Done'
+        })),
+        [
+          { key: 'resourceType', label: 'Type', color: chalk.cyan },
+          { key: 'resourceName', label: 'Resource', color: chalk.green },
+          { key: 'success', label: 'Deleted', color: chalk.green },
+          { key: 'alreadyAbsent', label: 'Already absent', color: chalk.green },
+          { key: 'failed', label: 'Failed', color: chalk.red },
+          { key: 'skipped', label: 'Kept', color: chalk.yellow },
+          { key: 'status', label: 'Status', color: chalk.gray }
+        ]
+      );
+
+      if (isDryRun) {
+        print(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
+      } else {
+        print(
+          chalk.green(
+            `\n✓ ${result.totalDeleted} deployments deleted, ${result.totalErrors} errors across ${result.totalResources} resources`
+          )
+        );
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Delete entire resource (project/script)
+ */
+program
+  .command('destroy <type> <name>')
+  .description('🚨 PERMANENTLY DELETE entire Pages project or Workers script')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async (type, name, options) => {
+    try {
+      if (!['pages', 'workers'].includes(type)) {
+        console.error(chalk.red('Error: Type must be "pages" or "workers"'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      const serviceManager = await setupServiceManager(program.opts());
+      const isDryRun = program.opts().dryRun;
+
+      print(
+        chalk.red.bold(
+          `\n🚨 DANGER: You are about to PERMANENTLY DELETE the entire ${type} resource!`
+        )
+      );
+      print(chalk.yellow(`Resource: ${type.toUpperCase()} "${name}"`));
+      print(chalk.yellow('This action will:'));
+      print(
+        chalk.yellow(
+          `  • Delete the ${type === 'pages' ? 'Pages project' : 'Workers script'} permanently`
+        )
+      );
+      print(chalk.yellow('  • Delete ALL associated deployments/versions'));
+      print(chalk.yellow('  • Remove ALL configuration and data'));
+      print(chalk.red.bold('  • THIS CANNOT BE UNDONE!'));
+
+      if (needsConfirmation(options, isDryRun, { always: true })) {
+        const answer = await prompt([
+          {
+            type: 'input',
+            name: 'confirmation',
+            message: chalk.red(`Type the resource name "${name}" to confirm permanent deletion:`),
+            validate: input => {
+              if (input === name) return true;
+              return `You must type "${name}" exactly to confirm.`;
+            }
+          },
+          {
+            type: 'confirm',
+            name: 'finalConfirm',
+            message: chalk.red('Are you absolutely sure? This action cannot be undone!'),
+            default: false
+          }
+        ]);
+
+        if (!answer.finalConfirm) {
+          print(chalk.yellow('Operation cancelled - resource not deleted'));
+          process.exitCode = EXIT_CODES.CANCELLED;
+          emit({
+            command: 'destroy',
+            resourceType: type,
+            resourceName: name,
+            dryRun: false,
+            cancelled: true
+          });
+          return;
+        }
+      }
+
+      // Perform deletion
+      const result = await serviceManager.deleteResource(type, name, {
+        dryRun: isDryRun,
+        backup: program.opts().backup
+      });
+
+      emit({
+        command: 'destroy',
+        resourceType: type,
+        resourceName: name,
+        dryRun: Boolean(isDryRun),
+        result
+      });
+
+      if (isDryRun) {
+        print(chalk.yellow(`\n[DRY RUN] Would have permanently deleted ${type} "${name}"`));
+      } else if (result.alreadyAbsent) {
+        print(chalk.green(`\n✓ ${type.toUpperCase()} "${name}" was already deleted`));
+      } else if (result.success) {
+        print(chalk.green(`\n✓ ${type.toUpperCase()} "${name}" has been permanently deleted`));
+      }
+
+      if (result.backup) {
+        print(chalk.gray(`Configuration backed up to ${result.backup.filePath}`));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Inspect the snapshots taken before deletes and destroys
+ */
+const backupsCommand = program
+  .command('backups')
+  .description('Inspect resource snapshots taken before deletes and destroys');
+
+backupsCommand
+  .command('list [name]')
+  .description('List stored backups, newest first, optionally for one resource')
+  .action(async name => {
+    try {
+      const backups = (await new BackupStore().list()).filter(
+        backup => !name || backup.resourceName === name
+      );
+
+      emit({ command: 'backups list', backups });
+
+      if (backups.length === 0) {
+        print(chalk.yellow('No backups found'));
+        return;
+      }
+
+      formatTable(
+        backups.map(backup => ({
+          ...backup,
+          createdAt: dayjs(backup.createdAt).format('YYYY-MM-DD HH:mm:ss')
+        })),
+        [
+          { key: 'id', label: 'Backup ID', color: chalk.cyan },
+          { key: 'createdAt', label: 'Created', color: chalk.gray },
+          { key: 'operation', label: 'Operation', color: chalk.red },
+          { key: 'resourceType', label: 'Type', color: chalk.gray },
+          { key: 'resourceName', label: 'Resource', color: chalk.green },
+          { key: 'deployments', label: 'Deployments', color: chalk.yellow }
+        ]
+      );
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+backupsCommand
+  .command('show <backup>')
+  .description('Show a backup by ID or file path')
+  .action(async id => {
+    try {
+      const backup = await new BackupStore().load(id);
+
+      emit({ command: 'backups show', backup });
+
+      print(chalk.blue(`\n=== Backup ${backup.id} ===`));
+      print(`${chalk.gray('Created')}: ${dayjs(backup.createdAt).format('YYYY-MM-DD HH:mm:ss')}`);
+      print(`${chalk.gray('Operation')}: ${backup.operation}`);
+      print(`${chalk.gray('Account')}: ${backup.accountId}`);
+      print(`${chalk.gray('Resource')}: ${backup.resourceType} "${backup.resourceName}"`);
+      print(`${chalk.gray('File')}: ${backup.filePath}`);
+
+      if (backup.project) {
+        const buildConfig = backup.project.build_config || {};
+        print(`${chalk.gray('Production branch')}: ${backup.project.production_branch || '-'}`);
+        print(`${chalk.gray('Build command')}: ${buildConfig.build_command || '-'}`);
+        print(`${chalk.gray('Output directory')}: ${buildConfig.destination_dir || '-'}`);
+
+        Object.entries(backup.project.deployment_configs || {}).forEach(
+          ([environment, settings]) => {
+            const variables = Object.keys(settings?.env_vars || {});
+            print(
+              `${chalk.gray(`Env vars (${environment})`)}: ${variables.length > 0 ? variables.join(', ') : '-'}`
+            );
+          }
+        );
+
+        const domains = (backup.domains || []).map(domain => domain.name || domain);
+        print(`${chalk.gray('Domains')}: ${domains.length > 0 ? domains.join(', ') : '-'}`);
+      }
+
+      if (backup.settings) {
+        const bindings = (backup.settings.bindings || []).map(
+          binding => `${binding.name} (${binding.type})`
+        );
+        print(`${chalk.gray('Compatibility date')}: ${backup.settings.compatibility_date || '-'}`);
+        print(`${chalk.gray('Bindings')}: ${bindings.length > 0 ? bindings.join(', ') : '-'}`);
+      }
+
+      print(`${chalk.gray('Deployments')}: ${(backup.deployments || []).length}`);
+      if ((backup.deployments || []).length > 0) {
+        formatTable(backup.deployments.slice(0, 10), [
+          { key: 'id', label: 'Deployment ID', color: chalk.yellow },
+          { key: 'environment', label: 'Environment', color: chalk.cyan },
+          { key: 'created_on', label: 'Created', color: chalk.gray }
+        ]);
+        if (backup.deployments.length > 10) {
+          print(chalk.gray(`... and ${backup.deployments.length - 10} more deployments`));
+        }
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+/**
+ * Command: Recreate a destroyed Pages project from a backup
  */
 program
-  .command('list')
-  .alias('ls')
-  .description('List all Cloudflare Pages and Workers resources')
-  .option('-s, --stats', 'Show deployment statistics')
-  .action(async options => {
+  .command('restore <type> <backup>')
+  .description('Recreate a destroyed Pages project from a backup and re-attach its domains')
+  .option('--name <name>', 'Create the project under another name')
+  .action(async (type, backupId, options) => {
     try {
+      if (type !== 'pages') {
+        console.error(
+          chalk.red('Error: Only Pages projects can be restored (backups hold no Worker code)')
+        );
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      const backup = await new BackupStore().load(backupId);
       const serviceManager = await setupServiceManager(program.opts());
+      const isDryRun = program.opts().dryRun;
 
-      const spinner = ora('Fetching resources list...').start();
-      const resources = await serviceManager.listAllResources();
+      print(
+        chalk.blue(
+          `\nRestoring Pages project "${options.name || backup.resourceName}" from backup ${backup.id}`
+        )
+      );
+
+      const spinner = ora('Creating project...').start();
+      const result = await serviceManager.restorePagesProject(backup, {
+        name: options.name,
+        dryRun: isDryRun
+      });
       spinner.stop();
 
-      console.log(chalk.blue('\n=== Cloudflare Pages Projects ==='));
-      if (resources.pages.length > 0) {
-        formatTable(resources.pages, [
-          { key: 'name', label: 'Project Name', color: chalk.green },
-          { key: 'subdomain', label: 'Subdomain', color: chalk.cyan },
-          { key: 'created_on', label: 'Created', color: chalk.gray }
-        ]);
+      const failedDomains = result.domains.filter(domain => domain.status === 'failed');
+
+      emit({ command: 'restore', ...result });
+      process.exitCode = exitCodeForResult(
+        { success: 1, failed: failedDomains.length },
+        { failOnPartial: program.opts().failOnPartial, dryRun: isDryRun }
+      );
+
+      if (isDryRun) {
+        print(chalk.yellow(`[DRY RUN] Would create Pages project "${result.resourceName}"`));
       } else {
-        console.log(chalk.yellow('No Pages projects found'));
+        print(chalk.green(`✓ Pages project "${result.resourceName}" created`));
       }
 
-      console.log(chalk.blue('\n=== Cloudflare Workers Scripts ==='));
-      if (resources.workers.length > 0) {
-        formatTable(resources.workers, [
-          { key: 'name', label: 'Script Name', color: chalk.green },
-          { key: 'created_on', label: 'Created', color: chalk.gray },
-          { key: 'modified_on', label: 'Modified', color: chalk.gray }
+      if (result.domains.length > 0) {
+        formatTable(result.domains, [
+          { key: 'name', label: 'Domain', color: chalk.cyan },
+          { key: 'status', label: 'Status', color: chalk.green },
+          { key: 'error', label: 'Error', color: chalk.red }
         ]);
-      } else {
-        console.log(chalk.yellow('No Workers scripts found'));
       }
 
-      if (options.stats) {
-        console.log(chalk.blue('\n=== Deployment Statistics ==='));
-        const spinner2 = ora('Fetching deployment statistics...').start();
-
-        try {
-          const stats = await serviceManager.getComprehensiveStats();
-          spinner2.stop();
-
-          console.log(`Total Resources: ${chalk.bold(stats.summary.totalResources)}`);
-          console.log(`Total Deployments: ${chalk.bold(stats.summary.totalDeployments)}`);
-          console.log(`Pages Projects: ${chalk.bold(stats.pages.totalProjects)}`);
-          console.log(`Workers Scripts: ${chalk.bold(stats.workers.totalScripts)}`);
-
-          if (stats.summary.oldestDeployment) {
-            console.log(
-              `Oldest Deployment: ${chalk.gray(dayjs(stats.summary.oldestDeployment).format('YYYY-MM-DD HH:mm:ss'))}`
-            );
-          }
-          if (stats.summary.newestDeployment) {
-            console.log(
-              `Newest Deployment: ${chalk.gray(dayjs(stats.summary.newestDeployment).format('YYYY-MM-DD HH:mm:ss'))}`
-            );
-          }
-        } catch (error) {
-          spinner2.fail('Failed to fetch statistics');
-          console.error(chalk.red(error.message));
-        }
+      const envVars = Object.entries(result.envVars).filter(([, names]) => names.length > 0);
+      if (envVars.length > 0) {
+        print(chalk.yellow('\nSet these environment variables again (backups keep no values):'));
+        envVars.forEach(([environment, names]) => {
+          print(chalk.yellow(`  ${environment}: ${names.join(', ')}`));
+        });
       }
 
-      console.log(
-        chalk.green(
-          `\nTotal: ${resources.pages.length} Pages projects, ${resources.workers.length} Workers scripts`
+      print(
+        chalk.gray(
+          '\nOld deployments are not restored. Reconnect the Git repository or deploy again to publish the site.'
         )
       );
     } catch (error) {
-      console.error(chalk.red('Error:', error.message));
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
 /**
- * Command: List deployments for specific resource
+ * Command: Query the audit log of destructive operations
  */
 program
-  .command('deployments <type> <name>')
-  .description('List deployments for specific resource (pages|workers)')
-  .option('-e, --environment <env>', 'Filter by environment (for Pages)')
-  .option('--max-age <days>', 'Filter deployments older than X days', parseInt)
-  .option('--status <status>', 'Filter by deployment status')
-  .action(async (type, name, options) => {
+  .command('audit')
+  .description('Query the audit log of every delete and destroy')
+  .option('--since <date>', 'Only entries at or after this date', parseDateOption)
+  .option('--until <date>', 'Only entries at or before this date', parseDateOption)
+  .option('--resource <name>', 'Only entries for this project or script')
+  .option('--operator <id>', 'Only entries by this API token ID or user name')
+  .option('--operation <operation>', 'Only delete or destroy entries')
+  .option('--verify', 'Check the hash chain for edited, removed or reordered entries')
+  .option('--file <file>', 'Audit log file (default: .cf-bulk-delete/audit.jsonl)')
+  .action(options => {
     try {
-      if (!['pages', 'workers'].includes(type)) {
-        console.error(chalk.red('Error: Type must be "pages" or "workers"'));
-        process.exit(1);
-      }
+      const auditLog = new AuditLog(options.file);
 
-      const serviceManager = await setupServiceManager(program.opts());
+      if (options.verify) {
+        const verification = auditLog.verify();
 
-      const spinner = ora(`Fetching deployments for ${type} "${name}"...`).start();
-      const deployments = await serviceManager.listDeployments(type, name, {
-        environment: options.environment,
-        maxAge: options.maxAge,
-        status: options.status
-      });
-      spinner.stop();
+        emit({ command: 'audit', file: auditLog.filePath, verification });
 
-      if (deployments.length === 0) {
-        console.log(chalk.yellow(`No deployments found for ${type} "${name}"`));
+        if (!verification.valid) {
+          console.error(
+            chalk.red(
+              `Audit log ${auditLog.filePath} is broken at line ${verification.brokenAt}: the entry ${verification.reason}`
+            )
+          );
+          process.exitCode = EXIT_CODES.FAILURE;
+          return;
+        }
+
+        print(chalk.green(`✓ ${verification.entries} audit entries verified`));
+        print(chalk.gray(`Head hash: ${verification.head}`));
         return;
       }
 
-      console.log(chalk.blue(`\n=== Deployments for ${type.toUpperCase()} "${name}" ===`));
+      const entries = auditLog.query({
+        since: options.since,
+        until: options.until,
+        resource: options.resource,
+        operator: options.operator,
+        operation: options.operation
+      });
 
-      const columns = [
-        { key: 'id', label: 'Deployment ID', color: chalk.green },
-        { key: 'created_on', label: 'Created', color: chalk.gray }
-      ];
+      emit({ command: 'audit', file: auditLog.filePath, entries });
 
-      if (type === 'pages') {
-        columns.splice(2, 0, { key: 'environment', label: 'Environment', color: chalk.cyan });
-      } else {
-        columns.splice(2, 0, { key: 'version', label: 'Version', color: chalk.cyan });
+      if (entries.length === 0) {
+        print(chalk.yellow('No audit entries found'));
+        return;
       }
 
-      formatTable(deployments, columns);
-
-      console.log(chalk.green(`\nTotal: ${deployments.length} deployments`));
+      formatTable(
+        entries.map(entry => ({
+          timestamp: dayjs(entry.timestamp).format('YYYY-MM-DD HH:mm:ss'),
+          operation: entry.operation,
+          resource: `${entry.resourceType}/${entry.resourceName}`,
+          operator: entry.operator?.tokenId || entry.operator?.user || '-',
+          deployments: (entry.deployments || []).length,
+          status: entry.outcome?.status
+        })),
+        [
+          { key: 'timestamp', label: 'Time', color: chalk.gray },
+          { key: 'operation', label: 'Operation', color: chalk.red },
+          { key: 'resource', label: 'Resource', color: chalk.green },
+          { key: 'operator', label: 'Operator', color: chalk.cyan },
+          { key: 'deployments', label: 'Deployments', color: chalk.yellow },
+          { key: 'status', label: 'Outcome', color: chalk.white }
+        ]
+      );
+      print(chalk.gray(`\n${entries.length} entries from ${auditLog.filePath}`));
     } catch (error) {
-      console.error(chalk.red('Error:', error.message));
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
 /**
- * Command: Bulk delete deployments
+ * Command: Run listings and cleanups across several accounts
  */
-program
-  .command('delete <type> <name>')
-  .description('Bulk delete deployments for specific resource')
-  .option('-e, --environment <env>', 'Filter by environment (for Pages)')
-  .option('--max-age <days>', 'Delete deployments older than X days', parseInt)
-  .option('--status <status>', 'Filter by deployment status')
+const accountsCommand = program
+  .command('accounts')
+  .description('List accounts, and run listings and policies across several accounts');
+
+accountsCommand
+  .command('list')
+  .description('List every account the API token can access')
+  .action(async () => {
+    try {
+      const manager = await setupMultiAccountManager({});
+      const accounts = await manager.resolveAccounts();
+
+      emit({ command: 'accounts list', accounts });
+      formatTable(accounts, [
+        { key: 'id', label: 'Account ID', color: chalk.cyan },
+        { key: 'name', label: 'Name', color: chalk.green }
+      ]);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+accountsCommand
+  .command('resources')
+  .description('Count Pages projects and Workers scripts in every account')
   .option(
-    '--skip-production [value]',
-    'Skip production deployments (default for Pages). Use false to include production deployments.',
-    parseBooleanOption
+    '--accounts <ids>',
+    'Account IDs, comma-separated or repeated (default: every account the token can access)',
+    collectAccounts
+  )
+  .option('--parallel <count>', 'Accounts processed at once', parseNonNegativeIntegerOption, 1)
+  .action(async options => {
+    try {
+      const manager = await setupMultiAccountManager(options);
+
+      const spinner = ora('Fetching resources of every account...').start();
+      const { accounts, summary } = await manager.listAllResources();
+      spinner.stop();
+
+      emit({
+        command: 'accounts resources',
+        accounts: accounts.map(entry => ({
+          accountId: entry.accountId,
+          accountName: entry.accountName,
+          success: entry.success,
+          pages: entry.result?.pages,
+          workers: entry.result?.workers,
+          error: entry.error
+        })),
+        summary
+      });
+
+      formatTable(
+        accounts.map(entry => ({
+          account: accountLabel(entry),
+          pages: entry.result?.pages.length ?? '-',
+          workers: entry.result?.workers.length ?? '-',
+          status: entry.success ? 'Done' : `Error: ${entry.error}`
+        })),
+        [
+          { key: 'account', label: 'Account', color: chalk.green },
+          { key: 'pages', label: 'Pages', color: chalk.cyan },
+          { key: 'workers', label: 'Workers', color: chalk.cyan },
+          { key: 'status', label: 'Status', color: chalk.gray }
+        ]
+      );
+      print(
+        chalk.blue(
+          `\n${summary.totalPages} Pages projects and ${summary.totalWorkers} Workers scripts across ${summary.totalAccounts} accounts`
+        )
+      );
+
+      if (summary.failedAccounts > 0) {
+        console.error(chalk.red(`${summary.failedAccounts} accounts could not be listed`));
+        process.exitCode = EXIT_CODES.FAILURE;
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+accountsCommand
+  .command('apply')
+  .description('Apply a cleanup policy file in every account')
+  .option('-p, --policy <file>', 'Policy file (YAML or JSON)', DEFAULT_POLICY_FILE)
+  .option(
+    '--accounts <ids>',
+    'Account IDs, comma-separated or repeated (default: every account the token can access)',
+    collectAccounts
   )
+  .option('--parallel <count>', 'Accounts processed at once', parseNonNegativeIntegerOption, 1)
+  .option('--force', 'Force delete aliased Pages deployments (default)')
+  .option('--no-force', 'Disable force mode for aliased Pages deployments')
   .option(
-    '--skip-latest [value]',
-    'Skip latest deployment (default for Workers). Use false to include latest deployment.',
-    parseBooleanOption
+    '--allow-live',
+    'Skip live protection: the Pages production and aliased deployments, and the active Worker deployment with the versions it serves'
   )
   .option(
-    '--keep-latest <count>',
-    'Keep the newest N Pages deployments protected (default: 1)',
+    '--batch-size <size>',
+    'Number of deletions to run concurrently (default: 10)',
     parseNonNegativeIntegerOption
   )
-  .option('--force', 'Force delete aliased Pages deployments (default)')
-  .option('--no-force', 'Disable force mode for aliased Pages deployments')
-  .option('--batch-size <size>', 'Number of deployments per batch', parseInt)
   .option('-y, --yes', 'Skip confirmation prompt')
-  .action(async (type, name, options) => {
+  .action(async options => {
     try {
-      if (!['pages', 'workers'].includes(type)) {
-        console.error(chalk.red('Error: Type must be "pages" or "workers"'));
-        process.exit(1);
-      }
-
-      const serviceManager = await setupServiceManager(program.opts());
+      const policy = await loadPolicy(options.policy);
+      const manager = await setupMultiAccountManager(options);
       const isDryRun = program.opts().dryRun;
 
-      // Get deployments to delete
-      const spinner = ora(`Fetching deployments for ${type} "${name}"...`).start();
-      const deployments = await serviceManager.listDeployments(type, name, {
-        environment: options.environment,
-        maxAge: options.maxAge,
-        status: options.status
-      });
+      const spinner = ora(`Planning policy ${options.policy} in every account...`).start();
+      const plans = await manager.planPolicy(policy, { allowLive: options.allowLive });
       spinner.stop();
 
-      if (deployments.length === 0) {
-        console.log(chalk.yellow(`No deployments found for ${type} "${name}"`));
-        return;
-      }
+      const countPlan = (entry, key) =>
+        (entry.result || []).reduce(
+          (sum, planned) => sum + (key === 'total' ? planned.total : planned.deployments.length),
+          0
+        );
+      const totalToDelete = plans.reduce((sum, entry) => sum + countPlan(entry, 'delete'), 0);
+      const planDocument = {
+        command: 'accounts apply',
+        policy: options.policy,
+        dryRun: Boolean(isDryRun),
+        plans: plans.map(entry => ({
+          accountId: entry.accountId,
+          accountName: entry.accountName,
+          success: entry.success,
+          error: entry.error,
+          plan: (entry.result || []).map(planned => ({
+            resourceType: planned.resourceType,
+            resourceName: planned.resourceName,
+            rule: planned.rule,
+            total: planned.total,
+            deployments: planned.deployments.map(deployment => deployment.id)
+          }))
+        }))
+      };
 
-      // Try to get total count information for better display
-      let totalInfo = '';
-      if (type === 'pages' && deployments.length > 0 && deployments[0].totalCount) {
-        totalInfo = `/${deployments[0].totalCount}`;
+      print(chalk.blue(`\n=== Policy Plan (${options.policy}) ===`));
+      formatTable(
+        plans.map(entry => ({
+          account: accountLabel(entry),
+          resources: entry.result?.length ?? '-',
+          delete: countPlan(entry, 'delete'),
+          keep: countPlan(entry, 'total') - countPlan(entry, 'delete'),
+          status: entry.success ? 'Planned' : `Error: ${entry.error}`
+        })),
+        [
+          { key: 'account', label: 'Account', color: chalk.green },
+          { key: 'resources', label: 'Resources', color: chalk.cyan },
+          { key: 'delete', label: 'Delete', color: chalk.red },
+          { key: 'keep', label: 'Keep', color: chalk.yellow },
+          { key: 'status', label: 'Status', color: chalk.gray }
+        ]
+      );
+      print(chalk.blue(`\n${totalToDelete} deployments to delete across ${plans.length} accounts`));
+
+      if (totalToDelete === 0) {
+        print(chalk.green('Nothing to delete - every account already complies with the policy'));
+        process.exitCode = plans.every(entry => entry.success)
+          ? EXIT_CODES.NOTHING_TO_DO
+          : EXIT_CODES.FAILURE;
+        emit({ ...planDocument, accounts: [] });
+        return;
       }
 
-      console.log(
-        chalk.blue(`\nFound ${deployments.length}${totalInfo} deployments for ${type} "${name}"`)
+      // The limits cap the combined plan; each account is checked against them again
+      await enforceDeleteCeiling(
+        () => ({
+          toDelete: totalToDelete,
+          total: plans.reduce((sum, entry) => sum + countPlan(entry, 'total'), 0)
+        }),
+        isDryRun
       );
 
-      // Show preview
-      if (deployments.length <= 10) {
-        formatTable(deployments.slice(0, 10), [
-          { key: 'id', label: 'Deployment ID', color: chalk.yellow },
-          { key: 'created_on', label: 'Created', color: chalk.gray },
-          {
-            key: type === 'pages' ? 'environment' : 'version',
-            label: type === 'pages' ? 'Environment' : 'Version',
-            color: chalk.cyan
-          }
-        ]);
-      } else {
-        console.log(`Showing first 10 deployments out of ${deployments.length} total:`);
-        formatTable(deployments.slice(0, 10), [
-          { key: 'id', label: 'Deployment ID', color: chalk.yellow },
-          { key: 'created_on', label: 'Created', color: chalk.gray },
-          {
-            key: type === 'pages' ? 'environment' : 'version',
-            label: type === 'pages' ? 'Environment' : 'Version',
-            color: chalk.cyan
-          }
-        ]);
-        console.log(chalk.gray(`... and ${deployments.length - 10} more deployments`));
-      }
-
-      // Confirmation
-      if (!options.yes && !isDryRun) {
-        const answer = await inquirer.prompt([
+      if (needsConfirmation(options, isDryRun)) {
+        const answer = await prompt([
           {
             type: 'confirm',
             name: 'confirm',
             message: chalk.red(
-              `Are you sure you want to delete ${deployments.length} deployments?`
+              `Delete ${totalToDelete} deployments in ${plans.length} accounts as planned?`
             ),
             default: false
           }
         ]);
 
         if (!answer.confirm) {
-          console.log(chalk.yellow('Operation cancelled'));
+          print(chalk.yellow('Operation cancelled'));
+          process.exitCode = EXIT_CODES.CANCELLED;
+          emit({ ...planDocument, cancelled: true, accounts: [] });
           return;
         }
       }
 
-      // Perform bulk delete
-      const deleteOptions = {
+      const { accounts, summary } = await manager.applyPolicy(policy, {
+        plans,
         dryRun: isDryRun,
-        skipProduction: options.skipProduction !== false && type === 'pages',
-        skipLatest: options.skipLatest !== false && type === 'workers',
-        keepLatest: options.keepLatest,
         force: options.force !== false,
-        batchSize: options.batchSize
-      };
-
-      const result = await serviceManager.bulkDeleteDeployments(
-        type,
-        name,
-        deployments,
-        deleteOptions
+        allowLive: options.allowLive,
+        batchSize: options.batchSize,
+        backup: program.opts().backup,
+        ...deletionLimits()
+      });
+      setResultExitCode(
+        {
+          success: summary.totalDeleted,
+          alreadyAbsent: summary.totalAlreadyAbsent,
+          failed: summary.totalErrors + summary.failedAccounts
+        },
+        isDryRun
       );
 
-      // Display results
-      console.log(`\n${chalk.blue('=== Bulk Delete Results ===')}`);
-      console.log(`${chalk.green('Success')}: ${result.success}`);
-      console.log(`${chalk.red('Failed')}: ${result.failed}`);
-      console.log(`${chalk.yellow('Skipped')}: ${result.skipped}`);
-      console.log(`${chalk.gray('Total')}: ${result.total}`);
-      console.log(`${chalk.gray('Duration')}: ${(result.duration / 1000).toFixed(1)}s`);
-      console.log(`${chalk.gray('Rate')}: ${result.rate ? result.rate.toFixed(1) : 0}/s`);
-
-      if (isDryRun) {
-        console.log(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
-      } else if (result.success > 0) {
-        console.log(chalk.green(`\n✓ ${result.success} deployments successfully deleted`));
-      }
-    } catch (error) {
-      console.error(chalk.red('Error:', error.message));
-      process.exit(1);
-    }
-  });
+      emit({
+        ...planDocument,
+        summary,
+        accounts: accounts.map(entry => ({
+          accountId: entry.accountId,
+          accountName: entry.accountName,
+          success: entry.success,
+          error: entry.error,
+          results: (entry.result?.results || []).map(result => ({
+            resourceType: result.resourceType,
+            resourceName: result.resourceName,
+            rule: result.rule,
+            success: result.success,
+            alreadyAbsent: result.alreadyAbsent,
+            failed: result.failed,
+            skipped: result.skipped,
+            error: result.error,
+            failures: result.failures || []
+          }))
+        }))
+      });
 
-/**
- * Command: Delete entire resource (project/script)
- */
-program
-  .command('destroy <type> <name>')
-  .description('🚨 PERMANENTLY DELETE entire Pages project or Workers script')
-  .option('-y, --yes', 'Skip confirmation prompt')
-  .action(async (type, name, options) => {
-    try {
-      if (!['pages', 'workers'].includes(type)) {
-        console.error(chalk.red('Error: Type must be "pages" or "workers"'));
-        process.exit(1);
+      if (isCiMode()) {
+        accounts.forEach(entry => {
+          printCompactSummary(
+            `apply ${entry.accountId}`,
+            entry.success
+              ? {
+                  success: entry.result.totalDeleted,
+                  alreadyAbsent: entry.result.totalAlreadyAbsent,
+                  failed: entry.result.totalErrors
+                }
+              : { failed: 1 },
+            isDryRun
+          );
+        });
+        return;
       }
 
-      const serviceManager = await setupServiceManager(program.opts());
-      const isDryRun = program.opts().dryRun;
-
-      console.log(
-        chalk.red.bold(
-          `\n🚨 DANGER: You are about to PERMANENTLY DELETE the entire ${type} resource!`
-        )
-      );
-      console.log(chalk.yellow(`Resource: ${type.toUpperCase()} "${name}"`));
-      console.log(chalk.yellow('This action will:'));
-      console.log(
-        chalk.yellow(
-          `  • Delete the ${type === 'pages' ? 'Pages project' : 'Workers script'} permanently`
-        )
+      print(`\n${chalk.blue('=== Results per Account ===')}`);
+      formatTable(
+        accounts.map(entry => ({
+          account: accountLabel(entry),
+          deleted: entry.result?.totalDeleted ?? 0,
+          alreadyAbsent: entry.result?.totalAlreadyAbsent ?? 0,
+          failed: entry.result?.totalErrors ?? '-',
+          status: entry.success ? 'Done' : `Error: ${entry.error}`
+        })),
+        [
+          { key: 'account', label: 'Account', color: chalk.green },
+          { key: 'deleted', label: 'Deleted', color: chalk.green },
+          { key: 'alreadyAbsent', label: 'Already absent', color: chalk.green },
+          { key: 'failed', label: 'Failed', color: chalk.red },
+          { key: 'status', label: 'Status', color: chalk.gray }
+        ]
       );
-      console.log(chalk.yellow('  • Delete ALL associated deployments/versions'));
-      console.log(chalk.yellow('  • Remove ALL configuration and data'));
-      console.log(chalk.red.bold('  • THIS CANNOT BE UNDONE!'));
-
-      if (!options.yes && !isDryRun) {
-        const answer = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'confirmation',
-            message: chalk.red(`Type the resource name "${name}" to confirm permanent deletion:`),
-            validate: input => {
-              if (input === name) return true;
-              return `You must type "${name}" exactly to confirm.`;
-            }
-          },
-          {
-            type: 'confirm',
-            name: 'finalConfirm',
-            message: chalk.red('Are you absolutely sure? This action cannot be undone!'),
-            default: false
-          }
-        ]);
-
-        if (!answer.finalConfirm) {
-          console.log(chalk.yellow('Operation cancelled - resource not deleted'));
-          return;
-        }
-      }
-
-      // Perform deletion
-      const result = await serviceManager.deleteResource(type, name, { dryRun: isDryRun });
 
       if (isDryRun) {
-        console.log(chalk.yellow(`\n[DRY RUN] Would have permanently deleted ${type} "${name}"`));
-      } else if (result.success) {
-        console.log(
-          chalk.green(`\n✓ ${type.toUpperCase()} "${name}" has been permanently deleted`)
+        print(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
+      } else {
+        print(
+          chalk.green(
+            `\n✓ ${summary.totalDeleted} deployments deleted, ${summary.totalErrors} errors across ${summary.totalAccounts} accounts (${summary.failedAccounts} failed)`
+          )
         );
       }
     } catch (error) {
-      console.error(chalk.red('Error:', error.message));
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
@@ -520,9 +2737,19 @@ program
   .description('Interactive mode for managing deployments')
   .action(async () => {
     try {
+      if (isMachineReadable(program.opts().output)) {
+        console.error(chalk.red('Error: Interactive mode does not support --output json|ndjson'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
+      if (isCiMode()) {
+        console.error(chalk.red('Error: Interactive mode is not available in CI mode'));
+        process.exit(EXIT_CODES.VALIDATION_ERROR);
+      }
+
       const serviceManager = await setupServiceManager(program.opts());
 
-      console.log(chalk.blue('\n=== Cloudflare Bulk Delete Interactive Mode ===\n'));
+      print(chalk.blue('\n=== Cloudflare Bulk Delete Interactive Mode ===\n'));
 
       // Get all resources
       const spinner = ora('Fetching resources list...').start();
@@ -530,7 +2757,7 @@ program
       spinner.stop();
 
       if (resources.pages.length === 0 && resources.workers.length === 0) {
-        console.log(chalk.yellow('No resources found'));
+        print(chalk.yellow('No resources found'));
         return;
       }
 
@@ -558,7 +2785,7 @@ program
       }
 
       // Resource selection
-      const { selectedResource } = await inquirer.prompt([
+      const { selectedResource } = await prompt([
         {
           type: 'list',
           name: 'selectedResource',
@@ -577,7 +2804,7 @@ program
       spinner2.stop();
 
       if (deployments.length === 0) {
-        console.log(chalk.yellow(`No deployments for ${selectedResource.name}`));
+        print(chalk.yellow(`No deployments for ${selectedResource.name}`));
         return;
       }
 
@@ -591,14 +2818,14 @@ program
         totalInfo = `/${deployments[0].totalCount}`;
       }
 
-      console.log(
+      print(
         chalk.green(
           `\nFound ${deployments.length}${totalInfo} deployments for ${selectedResource.name}`
         )
       );
 
       // Action selection
-      const { action } = await inquirer.prompt([
+      const { action } = await prompt([
         {
           type: 'list',
           name: 'action',
@@ -630,9 +2857,9 @@ program
 
         case 'delete': {
           // Advanced delete options for professional use
-          console.log(chalk.blue('\n=== Bulk Delete Configuration ==='));
+          print(chalk.blue('\n=== Bulk Delete Configuration ==='));
 
-          const deleteConfig = await inquirer.prompt([
+          const deleteConfig = await prompt([
             {
               type: 'list',
               name: 'protectionMode',
@@ -658,7 +2885,11 @@ program
             }
           ]);
 
-          const deleteOptions = { dryRun: program.opts().dryRun };
+          const deleteOptions = {
+            dryRun: program.opts().dryRun,
+            backup: program.opts().backup,
+            ...deletionLimits()
+          };
           let warningMessage = '';
 
           switch (deleteConfig.protectionMode) {
@@ -682,9 +2913,9 @@ program
               break;
           }
 
-          console.log(chalk.yellow(`\n${warningMessage}`));
+          print(chalk.yellow(`\n${warningMessage}`));
 
-          const { confirmDelete } = await inquirer.prompt([
+          const { confirmDelete } = await prompt([
             {
               type: 'confirm',
               name: 'confirmDelete',
@@ -703,19 +2934,22 @@ program
               deleteOptions
             );
 
-            console.log(`\n${chalk.blue('=== Bulk Delete Results ===')}`);
-            console.log(`${chalk.green('Success')}: ${result.success}`);
-            console.log(`${chalk.red('Failed')}: ${result.failed}`);
-            console.log(`${chalk.yellow('Skipped')}: ${result.skipped}`);
-            console.log(`${chalk.gray('Total')}: ${result.total || deployments.length}`);
+            print(`\n${chalk.blue('=== Bulk Delete Results ===')}`);
+            print(`${chalk.green('Success')}: ${result.success}`);
+            if (result.alreadyAbsent > 0) {
+              print(`${chalk.green('Already absent')}: ${result.alreadyAbsent}`);
+            }
+            print(`${chalk.red('Failed')}: ${result.failed}`);
+            print(`${chalk.yellow('Skipped')}: ${result.skipped}`);
+            print(`${chalk.gray('Total')}: ${result.total || deployments.length}`);
 
             if (program.opts().dryRun) {
-              console.log(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
+              print(chalk.yellow('\n[DRY RUN] No deployments were actually deleted'));
             } else if (result.success > 0) {
-              console.log(chalk.green(`\n✓ ${result.success} deployments successfully deleted`));
+              print(chalk.green(`\n✓ ${result.success} deployments successfully deleted`));
             }
           } else {
-            console.log(chalk.yellow('Operation cancelled'));
+            print(chalk.yellow('Operation cancelled'));
           }
           break;
         }
@@ -729,18 +2963,18 @@ program
                 : await serviceManager.workersClient.getDeploymentStats(selectedResource.name);
             spinner3.stop();
 
-            console.log(chalk.blue('\n=== Deployment Statistics ==='));
-            console.log(`Total Deployments: ${chalk.bold(stats.total)}`);
+            print(chalk.blue('\n=== Deployment Statistics ==='));
+            print(`Total Deployments: ${chalk.bold(stats.total)}`);
             if (stats.byEnvironment) {
-              console.log('\nBy Environment:');
+              print('\nBy Environment:');
               Object.entries(stats.byEnvironment).forEach(([env, count]) => {
-                console.log(`  ${env}: ${count}`);
+                print(`  ${env}: ${count}`);
               });
             }
             if (stats.byVersion) {
-              console.log('\nBy Version:');
+              print('\nBy Version:');
               Object.entries(stats.byVersion).forEach(([version, count]) => {
-                console.log(`  v${version}: ${count}`);
+                print(`  ${version}: ${count}`);
               });
             }
           } catch (error) {
@@ -751,19 +2985,19 @@ program
         }
 
         case 'destroy': {
-          console.log(chalk.red.bold('\n🚨 PERMANENT DELETION WARNING'));
-          console.log(
+          print(chalk.red.bold('\n🚨 PERMANENT DELETION WARNING'));
+          print(
             chalk.yellow(
               `You are about to permanently delete the entire ${selectedResource.type}: "${selectedResource.name}"`
             )
           );
-          console.log(chalk.red('This will delete:'));
-          console.log(chalk.red('  • The entire project/script'));
-          console.log(chalk.red('  • ALL deployments/versions'));
-          console.log(chalk.red('  • ALL configuration'));
-          console.log(chalk.red.bold('  • THIS CANNOT BE UNDONE!'));
+          print(chalk.red('This will delete:'));
+          print(chalk.red('  • The entire project/script'));
+          print(chalk.red('  • ALL deployments/versions'));
+          print(chalk.red('  • ALL configuration'));
+          print(chalk.red.bold('  • THIS CANNOT BE UNDONE!'));
 
-          const confirmDestroy = await inquirer.prompt([
+          const confirmDestroy = await prompt([
             {
               type: 'input',
               name: 'resourceName',
@@ -785,45 +3019,45 @@ program
             const result = await serviceManager.deleteResource(
               selectedResource.type,
               selectedResource.name,
-              { dryRun: program.opts().dryRun }
+              { dryRun: program.opts().dryRun, backup: program.opts().backup }
             );
 
             if (program.opts().dryRun) {
-              console.log(
+              print(
                 chalk.yellow(
                   `\n[DRY RUN] Would permanently delete ${selectedResource.type} "${selectedResource.name}"`
                 )
               );
             } else if (result.success) {
-              console.log(
+              print(
                 chalk.green(
                   `\n✅ ${selectedResource.type.toUpperCase()} "${selectedResource.name}" permanently deleted`
                 )
               );
             }
           } else {
-            console.log(chalk.yellow('Operation cancelled - resource not deleted'));
+            print(chalk.yellow('Operation cancelled - resource not deleted'));
           }
           break;
         }
       }
     } catch (error) {
-      console.error(chalk.red('Error:', error.message));
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
-// Error handling
-program.exitOverride();
-
+// Error handling: usage errors exit with the validation code, help and --version with 0
 try {
   program.parse();
 } catch (error) {
-  if (error.code === 'commander.helpDisplayed') {
-    process.exit(0);
+  if (error.exitCode === 0 || error.code === 'commander.helpDisplayed') {
+    process.exit(EXIT_CODES.SUCCESS);
   }
-  console.error(chalk.red('Error:', error.message));
-  process.exit(1);
+  // Commander already printed its own usage errors
+  if (!error.code?.startsWith('commander.')) {
+    console.error(chalk.red('Error:', error.message));
+  }
+  process.exit(EXIT_CODES.VALIDATION_ERROR);
 }
 
 // Show help if no command provided
@@ -2,12 +2,15 @@ export const REQUIRED_TOKEN_PERMISSIONS = Object.freeze([
   Object.freeze({
     key: 'page',
     type: 'edit',
-    label: 'Account > Pages > Write'
+    label: 'Account > Pages > Write',
+    // Permission group name in the policies of an existing token
+    permissionGroup: 'Pages Write'
   }),
   Object.freeze({
     key: 'workers_scripts',
     type: 'edit',
-    label: 'Account > Workers Scripts > Write'
+    label: 'Account > Workers Scripts > Write',
+    permissionGroup: 'Workers Scripts Write'
   })
 ]);
 
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { ValidationError } from '../lib/errors.js';
 
 // Load environment variables without printing dotenv runtime tips in CLI output.
 dotenv.config({ quiet: true });
@@ -13,9 +14,19 @@ export const config = {
     accountId: process.env.CLOUDFLARE_ACCOUNT_ID,
     baseUrl: 'https://api.cloudflare.com/client/v4',
     // Rate limiting to avoid API throttling
+    // Shared per account and adjusted automatically when Cloudflare throttles requests
     rateLimit: {
-      concurrent: 5, // Maximum 5 concurrent requests
-      delay: 100 // 100ms delay between requests
+      concurrent: parseInt(process.env.CONCURRENT_REQUESTS) || 5, // Maximum concurrent requests
+      requestsPerSecond: parseFloat(process.env.REQUESTS_PER_SECOND) || 4, // Starting request rate
+      minRequestsPerSecond: 0.5, // Floor after repeated throttling
+      maxRequestsPerSecond: 8, // Ceiling when recovering from throttling
+      recoveryWindow: 20 // Clean responses required before speeding up again
+    },
+    // Automatic retry for throttled (429) and transient server (5xx) responses
+    retry: {
+      maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 5, // Total attempts per request
+      baseDelay: 500, // First backoff in ms, doubled on every attempt
+      maxDelay: 60000 // Upper bound for a single wait, including Retry-After
     }
   },
 
@@ -33,7 +44,17 @@ export const config = {
   cli: {
     confirmationRequired: process.env.CONFIRMATION_REQUIRED !== 'false',
     batchSize: parseInt(process.env.BATCH_SIZE) || 10,
-    timeout: parseInt(process.env.TIMEOUT) || 30000
+    timeout: parseInt(process.env.TIMEOUT) || 30000,
+    // Blast-radius limits for one bulk delete; unset means unlimited
+    maxDeletions: process.env.MAX_DELETIONS ? parseInt(process.env.MAX_DELETIONS) : null,
+    maxDeletionPercent: process.env.MAX_DELETION_PERCENT
+      ? parseFloat(process.env.MAX_DELETION_PERCENT)
+      : null
+  },
+
+  // Local state written by the CLI (checkpoint journals and other run records)
+  state: {
+    dir: process.env.CF_BULK_DELETE_STATE_DIR || '.cf-bulk-delete'
   },
 
   // Filtering Configuration
@@ -46,20 +67,21 @@ export const config = {
 
 /**
  * Validate required configuration
+ * @param {object} credentials - apiToken and accountId to check; defaults to the environment
  */
-export function validateConfig() {
+export function validateConfig(credentials = config.cloudflare) {
   const errors = [];
 
-  if (!config.cloudflare.apiToken) {
+  if (!credentials.apiToken) {
     errors.push('CLOUDFLARE_API_TOKEN environment variable is required');
   }
 
-  if (!config.cloudflare.accountId) {
+  if (!credentials.accountId) {
     errors.push('CLOUDFLARE_ACCOUNT_ID environment variable is required');
   }
 
   if (errors.length > 0) {
-    throw new Error(`Configuration errors:\n${errors.join('\n')}`);
+    throw new ValidationError(`Configuration errors:\n${errors.join('\n')}`);
   }
 
   return true;
@@ -0,0 +1,185 @@
+import { promises as fs } from 'node:fs';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { ValidationError } from '../lib/errors.js';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Default profile store: ~/.config/cf-bulk-delete/profiles.json, or under $XDG_CONFIG_HOME
+ */
+export function defaultProfilesPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'cf-bulk-delete', 'profiles.json');
+}
+
+function emptyStore() {
+  return { current: null, profiles: {} };
+}
+
+/**
+ * Named credentials for several Cloudflare accounts
+ * Profiles live in one JSON file that only its owner may read (mode 0600). A profile either
+ * stores its token or names an environment variable holding it (tokenEnv), so the token never
+ * has to be typed into a shell command.
+ */
+export class ProfileStore {
+  constructor(filePath = defaultProfilesPath()) {
+    this.filePath = filePath;
+  }
+
+  async read() {
+    let content;
+
+    try {
+      const stats = await fs.stat(this.filePath);
+
+      // Like SSH keys: refuse tokens that other users can read
+      if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+        throw new ValidationError(
+          `Profile store ${this.filePath} is accessible to other users. Run: chmod 600 ${this.filePath}`
+        );
+      }
+
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return emptyStore();
+      }
+      throw error;
+    }
+
+    try {
+      return { ...emptyStore(), ...JSON.parse(content) };
+    } catch (error) {
+      throw new ValidationError(`Cannot read profile store ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async write(store) {
+    await fs.mkdir(dirname(this.filePath), { recursive: true, mode: 0o700 });
+    await fs.writeFile(this.filePath, `${JSON.stringify(store, null, 2)}\n`, { mode: 0o600 });
+    // The mode option only applies when the file is created
+    await fs.chmod(this.filePath, 0o600);
+  }
+
+  /**
+   * Add a profile; the first one becomes the current profile
+   * @param {object} profile - accountId, and either token or tokenEnv; description is optional
+   */
+  async add(name, profile = {}) {
+    const { accountId, token, tokenEnv, description } = profile;
+
+    if (!PROFILE_NAME_PATTERN.test(name || '')) {
+      throw new ValidationError(
+        `Invalid profile name "${name}". Use letters, digits, dots, dashes and underscores`
+      );
+    }
+
+    if (!accountId) {
+      throw new ValidationError(`Profile "${name}" needs an account ID`);
+    }
+
+    if (Boolean(token) === Boolean(tokenEnv)) {
+      throw new ValidationError(
+        `Profile "${name}" needs either a token or the environment variable holding it`
+      );
+    }
+
+    const store = await this.read();
+
+    if (store.profiles[name]) {
+      throw new ValidationError(`Profile "${name}" already exists. Remove it first to replace it`);
+    }
+
+    store.profiles[name] = {
+      accountId,
+      ...(token ? { token } : { tokenEnv }),
+      ...(description && { description })
+    };
+    store.current = store.current || name;
+    await this.write(store);
+
+    return this.describe(name, store);
+  }
+
+  /**
+   * A profile without its token
+   */
+  describe(name, store) {
+    const profile = store.profiles[name];
+
+    return {
+      name,
+      accountId: profile.accountId,
+      tokenSource: profile.tokenEnv ? `env:${profile.tokenEnv}` : 'profile store',
+      description: profile.description || null,
+      current: store.current === name
+    };
+  }
+
+  async list() {
+    const store = await this.read();
+    return Object.keys(store.profiles)
+      .sort()
+      .map(name => this.describe(name, store));
+  }
+
+  async use(name) {
+    const store = await this.read();
+
+    if (!store.profiles[name]) {
+      throw new ValidationError(`Profile "${name}" not found`);
+    }
+
+    store.current = name;
+    await this.write(store);
+  }
+
+  async remove(name) {
+    const store = await this.read();
+
+    if (!store.profiles[name]) {
+      throw new ValidationError(`Profile "${name}" not found`);
+    }
+
+    delete store.profiles[name];
+    if (store.current === name) {
+      store.current = null;
+    }
+    await this.write(store);
+  }
+
+  /**
+   * Credentials of a profile, or of the current profile when no name is given
+   * @returns {Promise<{name: string, apiToken: string, accountId: string}|null>}
+   *   null when no name is given and no profile is current
+   */
+  async resolve(name) {
+    const store = await this.read();
+    const profileName = name || store.current;
+
+    if (!profileName) {
+      return null;
+    }
+
+    const profile = store.profiles[profileName];
+
+    if (!profile) {
+      throw new ValidationError(`Profile "${profileName}" not found in ${this.filePath}`);
+    }
+
+    const apiToken = profile.tokenEnv ? process.env[profile.tokenEnv] : profile.token;
+
+    if (!apiToken) {
+      throw new ValidationError(
+        `Profile "${profileName}" reads its token from ${profile.tokenEnv}, which is not set`
+      );
+    }
+
+    return { name: profileName, apiToken, accountId: profile.accountId };
+  }
+}
+
+// Default export
+export default ProfileStore;
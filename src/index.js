@@ -8,7 +8,7 @@ import { config, validateConfig } from './config/config.js';
 export class CloudflareBulkDelete {
   constructor(apiToken = config.cloudflare.apiToken, accountId = config.cloudflare.accountId) {
     try {
-      validateConfig();
+      validateConfig({ apiToken, accountId });
       this.serviceManager = new ServiceManager(apiToken, accountId);
     } catch (error) {
       logger.error('Failed to initialize CloudflareBulkDelete:', error.message);
@@ -259,8 +259,38 @@ export { ServiceManager } from './lib/service-manager.js';
 export { PagesClient } from './lib/pages-client.js';
 export { WorkersClient } from './lib/workers-client.js';
 export { CloudflareClient } from './lib/cloudflare-client.js';
+export { MultiAccountManager } from './lib/multi-account-manager.js';
+export { discoverAccounts, selectAccount } from './lib/account-discovery.js';
+export {
+  checkIpRestrictions,
+  checkTokenValidity,
+  diagnoseToken,
+  findMissingPermissions
+} from './lib/token-diagnostics.js';
+export { AuditLog } from './lib/audit-log.js';
+export { BackupStore, buildSnapshot } from './lib/backup-store.js';
+export { CheckpointJournal } from './lib/checkpoint-journal.js';
+export {
+  CloudflareApiError,
+  CloudflareAuthError,
+  CloudflareConflictError,
+  CloudflareNotFoundError,
+  CloudflareRateLimitError,
+  CloudflareServerError,
+  PolicyViolationError,
+  ValidationError
+} from './lib/errors.js';
+export {
+  buildDeletionReport,
+  describeDeployment,
+  writeDeletionReport
+} from './lib/deletion-report.js';
+export { buildFailureReport, readFailureReport, writeFailureReport } from './lib/failure-report.js';
+export { findRule, loadPolicy, normalizePolicy, planDeployments } from './lib/policy.js';
+export { AdaptiveRateLimiter, getAccountRateLimiter } from './lib/rate-limiter.js';
 export { logger, ProgressLogger } from './utils/logger.js';
 export { config, validateConfig } from './config/config.js';
+export { ProfileStore } from './config/profile-store.js';
 
 // Default export
 export default CloudflareBulkDelete;
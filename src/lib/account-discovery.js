@@ -0,0 +1,51 @@
+import { logger } from '../utils/logger.js';
+import { CloudflareClient } from './cloudflare-client.js';
+import { ValidationError } from './errors.js';
+
+function describeAccount(account) {
+  return account.name ? `${account.id} (${account.name})` : account.id;
+}
+
+/**
+ * List the accounts an API token can access, as { id, name }
+ */
+export async function discoverAccounts(apiToken) {
+  const accounts = await new CloudflareClient(apiToken, null).listAccounts();
+  return accounts.map(account => ({ id: account.id, name: account.name || null }));
+}
+
+/**
+ * Pick the account to work on from the discovered ones
+ * A single account is used as is. With several, `options.choose` is asked to pick one
+ * (an interactive picker); without it the call fails listing every candidate.
+ * @param {Array<{id: string, name: string}>} accounts - From discoverAccounts()
+ * @param {object} options - choose: async (accounts) => account
+ */
+export async function selectAccount(accounts, options = {}) {
+  const { choose } = options;
+
+  if (accounts.length === 0) {
+    throw new ValidationError('The API token cannot access any Cloudflare account');
+  }
+
+  if (accounts.length === 1) {
+    logger.debug(`Using the only account the token can access: ${describeAccount(accounts[0])}`);
+    return accounts[0];
+  }
+
+  if (!choose) {
+    throw new ValidationError(
+      `The API token can access ${accounts.length} accounts. Set CLOUDFLARE_ACCOUNT_ID to one of them:\n${accounts
+        .map(account => `- ${describeAccount(account)}`)
+        .join('\n')}`
+    );
+  }
+
+  const chosen = await choose(accounts);
+
+  if (!accounts.some(account => account.id === chosen?.id)) {
+    throw new ValidationError(`Account ${chosen?.id} is not one the API token can access`);
+  }
+
+  return chosen;
+}
@@ -0,0 +1,167 @@
+import { createHash } from 'node:crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import dayjs from 'dayjs';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+
+// prevHash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Options worth recording; journals, stores and callbacks are left out
+const AUDITED_OPTIONS = [
+  'skipProduction',
+  'skipLatest',
+  'keepLatest',
+  'keepLatestPerBranch',
+  'keepLatestPerEnvironment',
+  'allowLive',
+  'force',
+  'batchSize',
+  'maxDeletions',
+  'maxDeletionPercent'
+];
+
+// A date without a time of day, e.g. 2025-01-31
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function hashEntry(entry) {
+  return createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Keep the options of a delete call that describe what it was allowed to do
+ */
+export function pickAuditedOptions(options = {}) {
+  return Object.fromEntries(
+    AUDITED_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]])
+  );
+}
+
+/**
+ * Append-only audit trail of destructive operations
+ * One JSON entry per line. With hash chaining, every entry carries the hash of the previous one
+ * and its own, so an edited, removed or reordered line breaks the chain from that point on.
+ * Dropping the newest lines keeps the chain valid; compare the head hash from verify()
+ * with one recorded earlier to catch that.
+ * Writes are synchronous like the checkpoint journal: an entry is on disk before the call returns.
+ */
+export class AuditLog {
+  constructor(filePath = join(config.state.dir, 'audit.jsonl'), options = {}) {
+    const { hashChain = true } = options;
+
+    this.filePath = filePath;
+    this.hashChain = hashChain;
+  }
+
+  /**
+   * Read every entry in write order
+   */
+  read() {
+    if (!existsSync(this.filePath)) {
+      return [];
+    }
+
+    return readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          throw new ValidationError(
+            `Unreadable audit entry on line ${index + 1} of ${this.filePath}`
+          );
+        }
+      });
+  }
+
+  /**
+   * Record one operation
+   * @param {object} event - operation, operator, accountId, resourceType, resourceName,
+   *   deployments, options and outcome
+   */
+  append(event) {
+    const entry = { timestamp: new Date().toISOString(), ...event };
+
+    if (this.hashChain) {
+      // Read the head again on every append: another run may have written since
+      entry.prevHash = this.read().at(-1)?.hash || GENESIS_HASH;
+      entry.hash = hashEntry(entry);
+    }
+
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return entry;
+  }
+
+  /**
+   * Check the hash chain from the first entry
+   * @returns {{valid: boolean, entries: number, head?: string, brokenAt?: number, reason?: string}}
+   *   head is the hash of the newest entry; brokenAt the 1-based line of the first mismatch
+   */
+  verify() {
+    const entries = this.read();
+    let prevHash = GENESIS_HASH;
+
+    for (const [index, entry] of entries.entries()) {
+      const { hash, ...rest } = entry;
+
+      if (entry.prevHash !== prevHash) {
+        return {
+          valid: false,
+          entries: entries.length,
+          brokenAt: index + 1,
+          reason: 'does not follow the previous entry'
+        };
+      }
+
+      if (hashEntry(rest) !== hash) {
+        return {
+          valid: false,
+          entries: entries.length,
+          brokenAt: index + 1,
+          reason: 'content does not match its hash'
+        };
+      }
+
+      prevHash = hash;
+    }
+
+    return { valid: true, entries: entries.length, head: prevHash };
+  }
+
+  /**
+   * Entries matching every given filter
+   * @param {object} filters - since and until (Date or ISO string; an `until` date without
+   *   a time includes that whole day), resource (name), operator (token ID or user name)
+   *   and operation
+   */
+  query(filters = {}) {
+    const { since, until, resource, operator, operation } = filters;
+    const sinceTime = since ? dayjs(since).valueOf() : null;
+    let untilTime = null;
+
+    if (until) {
+      untilTime = DATE_ONLY.test(String(until).trim())
+        ? dayjs(until).endOf('day').valueOf()
+        : dayjs(until).valueOf();
+    }
+
+    return this.read().filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+
+      return (
+        (sinceTime === null || time >= sinceTime) &&
+        (untilTime === null || time <= untilTime) &&
+        (!resource || entry.resourceName === resource) &&
+        (!operation || entry.operation === operation) &&
+        (!operator || entry.operator?.tokenId === operator || entry.operator?.user === operator)
+      );
+    });
+  }
+}
+
+// Default export
+export default AuditLog;
@@ -0,0 +1,188 @@
+import { promises as fs } from 'node:fs';
+import { basename, join } from 'node:path';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+
+export const BACKUP_VERSION = 1;
+
+// Worker binding fields holding a value (plain_text, secret_text, json) rather than a reference
+const VALUE_BINDING_FIELDS = ['text', 'json'];
+
+/**
+ * Keep environment variable names and types, never their values
+ */
+function redactEnvVars(envVars) {
+  if (!envVars || typeof envVars !== 'object') {
+    return envVars;
+  }
+
+  return Object.fromEntries(
+    Object.entries(envVars).map(([name, variable]) => [
+      name,
+      { type: variable?.type || 'plain_text' }
+    ])
+  );
+}
+
+function redactProject(project) {
+  if (!project) {
+    return project;
+  }
+
+  const deploymentConfigs = Object.fromEntries(
+    Object.entries(project.deployment_configs || {}).map(([environment, settings]) => [
+      environment,
+      { ...settings, env_vars: redactEnvVars(settings?.env_vars) }
+    ])
+  );
+
+  return { ...project, deployment_configs: deploymentConfigs };
+}
+
+function redactSettings(settings) {
+  if (!settings) {
+    return settings;
+  }
+
+  return {
+    ...settings,
+    bindings: (settings.bindings || []).map(binding =>
+      Object.fromEntries(
+        Object.entries(binding).filter(([key]) => !VALUE_BINDING_FIELDS.includes(key))
+      )
+    )
+  };
+}
+
+/**
+ * Build the snapshot of a resource taken before it is deleted from
+ * Pages projects keep their full configuration and domains, Workers their script settings.
+ * Environment variable and binding values are dropped so backups hold no secrets.
+ */
+export function buildSnapshot({
+  operation,
+  accountId,
+  resourceType,
+  resourceName,
+  project = null,
+  settings = null,
+  domains = [],
+  deployments = []
+}) {
+  const createdAt = new Date().toISOString();
+
+  return {
+    version: BACKUP_VERSION,
+    id: `${createdAt.replace(/[:.]/g, '-')}-${resourceType}-${resourceName}`,
+    createdAt,
+    operation,
+    accountId,
+    resourceType,
+    resourceName,
+    ...(resourceType === 'pages'
+      ? { project: redactProject(project), domains }
+      : { settings: redactSettings(settings) }),
+    deployments: deployments.map(deployment =>
+      deployment.env_vars
+        ? { ...deployment, env_vars: redactEnvVars(deployment.env_vars) }
+        : deployment
+    )
+  };
+}
+
+/**
+ * One line of `backups list`
+ */
+function summarizeSnapshot(snapshot, filePath) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    operation: snapshot.operation,
+    accountId: snapshot.accountId,
+    resourceType: snapshot.resourceType,
+    resourceName: snapshot.resourceName,
+    deployments: (snapshot.deployments || []).length,
+    filePath
+  };
+}
+
+/**
+ * Directory of resource snapshots taken before deletes and destroys
+ * Each snapshot is a timestamped JSON file named after its ID
+ */
+export class BackupStore {
+  constructor(dir = join(config.state.dir, 'backups')) {
+    this.dir = dir;
+  }
+
+  /**
+   * Write a snapshot built by buildSnapshot()
+   * @returns {Promise<{id: string, filePath: string}>}
+   */
+  async save(snapshot) {
+    const filePath = join(this.dir, `${snapshot.id}.json`);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify(snapshot, null, 2)}\n`);
+
+    return { id: snapshot.id, filePath };
+  }
+
+  /**
+   * Summaries of every stored snapshot, newest first
+   * Unreadable files are left out
+   */
+  async list() {
+    let files;
+
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = [];
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filePath = join(this.dir, file);
+
+      try {
+        summaries.push(
+          summarizeSnapshot(JSON.parse(await fs.readFile(filePath, 'utf8')), filePath)
+        );
+      } catch {
+        continue;
+      }
+    }
+
+    return summaries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Load a snapshot by ID or by file path
+   */
+  async load(idOrPath) {
+    const filePath = idOrPath.endsWith('.json')
+      ? idOrPath
+      : join(this.dir, `${basename(idOrPath)}.json`);
+    let snapshot;
+
+    try {
+      snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new ValidationError(`Cannot read backup ${idOrPath}: ${error.message}`);
+    }
+
+    if (!['pages', 'workers'].includes(snapshot.resourceType) || !snapshot.resourceName) {
+      throw new ValidationError(`Backup ${idOrPath} does not name a Pages or Workers resource`);
+    }
+
+    return { ...snapshot, filePath };
+  }
+}
+
+// Default export
+export default BackupStore;
@@ -0,0 +1,134 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Checkpoint journal for bulk delete runs
+ * An append-only JSONL file holding the deletion plan followed by one entry per outcome,
+ * so a crashed or interrupted run can resume without re-deleting confirmed deployments.
+ * Writes are synchronous on purpose: every outcome must be on disk before the next one.
+ */
+export class CheckpointJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.plan = null;
+    this.completed = new Set();
+    this.failed = new Map();
+  }
+
+  /**
+   * Default journal location for a resource inside the state directory
+   */
+  static defaultPath(resourceType, resourceName, dir = join(config.state.dir, 'journals')) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return join(dir, `${resourceType}-${resourceName}-${timestamp}.jsonl`);
+  }
+
+  /**
+   * Load an existing journal and replay its entries
+   */
+  static load(filePath) {
+    if (!existsSync(filePath)) {
+      throw new ValidationError(`Journal file not found: ${filePath}`);
+    }
+
+    const journal = new CheckpointJournal(filePath);
+    const lines = readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+    lines.forEach((line, index) => {
+      try {
+        journal.apply(JSON.parse(line));
+      } catch {
+        // A crash mid-write can leave a truncated last line behind
+        logger.warn(`Ignoring unreadable journal entry on line ${index + 1} of ${filePath}`);
+      }
+    });
+
+    if (!journal.plan) {
+      throw new ValidationError(`Journal ${filePath} does not contain a deletion plan`);
+    }
+
+    return journal;
+  }
+
+  apply(entry) {
+    switch (entry.type) {
+      case 'plan':
+        this.plan = entry;
+        break;
+      case 'completed':
+        this.completed.add(entry.id);
+        this.failed.delete(entry.id);
+        break;
+      case 'failed':
+        this.failed.set(entry.id, entry.error);
+        break;
+    }
+  }
+
+  append(entry) {
+    const record = { ...entry, timestamp: new Date().toISOString() };
+
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    this.apply(record);
+  }
+
+  /**
+   * Record the deployments selected for deletion after protection rules were applied
+   * Worker versions and Pages aliases are kept so a resumed run can check live traffic again
+   */
+  recordPlan({ resourceType, resourceName, deployments, skipped = 0 }) {
+    this.append({
+      type: 'plan',
+      resourceType,
+      resourceName,
+      skipped,
+      deployments: deployments.map(deployment => ({
+        id: deployment.id,
+        created_on: deployment.created_on,
+        environment: deployment.environment,
+        version: deployment.version,
+        versions: deployment.versions,
+        aliases: deployment.aliases
+      }))
+    });
+  }
+
+  recordCompleted(id) {
+    this.append({ type: 'completed', id });
+  }
+
+  recordFailed(id, error) {
+    this.append({ type: 'failed', id, error: error.message, status: error.status });
+  }
+
+  isCompleted(id) {
+    return this.completed.has(id);
+  }
+
+  /**
+   * Planned deployments that have not been confirmed deleted yet
+   */
+  getPendingDeployments() {
+    return (this.plan?.deployments || []).filter(deployment => !this.isCompleted(deployment.id));
+  }
+
+  getSummary() {
+    const planned = this.plan?.deployments.length || 0;
+
+    return {
+      resourceType: this.plan?.resourceType,
+      resourceName: this.plan?.resourceName,
+      planned,
+      completed: this.completed.size,
+      failed: this.failed.size,
+      pending: this.getPendingDeployments().length
+    };
+  }
+}
+
+// Default export
+export default CheckpointJournal;
@@ -2,14 +2,47 @@ import axios from 'axios';
 import pLimit from 'p-limit';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { CloudflareNotFoundError, createApiError } from './errors.js';
+import { getAccountRateLimiter } from './rate-limiter.js';
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Throttling and transient server errors are worth another attempt
+ * A 5xx may arrive after the server acted, so only idempotent requests retry it;
+ * a 429 means the request was refused and is always safe to send again.
+ */
+function isRetryableError(error, { retryServerErrors = true } = {}) {
+  return error.status === 429 || (retryServerErrors && error.status >= 500 && error.status < 600);
+}
 
 /**
  * Base Cloudflare API Client
  * Provides basic functions for interacting with Cloudflare API
  */
 export class CloudflareClient {
-  constructor(apiToken = config.cloudflare.apiToken, accountId = config.cloudflare.accountId) {
-    if (!apiToken || !accountId) {
+  constructor(
+    apiToken = config.cloudflare.apiToken,
+    accountId = config.cloudflare.accountId,
+    options = {}
+  ) {
+    // The base client may go without an account ID to discover accounts (listAccounts)
+    if (!apiToken || (!accountId && new.target !== CloudflareClient)) {
       throw new Error('API Token and Account ID are required for Cloudflare Client');
     }
 
@@ -17,8 +50,8 @@ export class CloudflareClient {
     this.accountId = accountId;
     this.baseUrl = config.cloudflare.baseUrl;
 
-    // Setup rate limiting to avoid API throttling
-    this.rateLimiter = pLimit(config.cloudflare.rateLimit.concurrent);
+    // Setup rate limiting to avoid API throttling, shared by all clients of this account
+    this.rateLimiter = options.rateLimiter || getAccountRateLimiter(accountId);
 
     // Setup axios instance with default configuration
     this.httpClient = axios.create({
@@ -40,6 +73,7 @@ export class CloudflareClient {
 
   /**
    * Handle API errors with consistent logging and formatting
+   * Rethrows a typed CloudflareApiError subclass (see errors.js)
    */
   handleApiError(error) {
     const errorInfo = {
@@ -50,47 +84,129 @@ export class CloudflareClient {
       method: error.config?.method?.toUpperCase()
     };
 
-    logger.error('Cloudflare API Error:', errorInfo);
-
-    // Custom error messages based on status code
-    let message = 'An error occurred while accessing Cloudflare API';
-
-    switch (error.response?.status) {
-      case 401:
-        message = 'API Token is invalid or lacks permissions';
-        break;
-      case 403:
-        message = 'Access denied. Check API Token permissions';
-        break;
-      case 404:
-        message = 'Resource not found';
-        break;
-      case 429:
-        message = 'Rate limit exceeded. Waiting before retry...';
-        break;
-      case 500:
-      case 502:
-      case 503:
-        message = 'Server error from Cloudflare. Try again later';
-        break;
-    }
+    // A missing resource is often expected (already deleted), so keep it out of the error log
+    logger[errorInfo.status === 404 ? 'debug' : 'error']('Cloudflare API Error:', errorInfo);
 
-    const customError = new Error(message);
+    const customError = createApiError({
+      status: errorInfo.status ?? null,
+      errors: errorInfo.data?.errors,
+      requestId: error.response?.headers?.['cf-ray'] ?? null,
+      endpoint: errorInfo.url ?? null,
+      method: errorInfo.method ?? null,
+      retryAfter: parseRetryAfter(error.response?.headers?.['retry-after']),
+      response: errorInfo.data,
+      cause: error
+    });
     customError.originalError = error;
-    customError.status = error.response?.status;
-    customError.response = error.response?.data;
 
     throw customError;
   }
 
   /**
    * Rate-limited request wrapper
+   * Retries 429 and 5xx responses with jittered exponential backoff, honoring Retry-After
+   * @param {object} options - retryServerErrors: false for non-idempotent requests,
+   *   which then retry only 429 responses
    */
-  async makeRequest(requestFn) {
-    return this.rateLimiter(async () => {
-      await this.delay(config.cloudflare.rateLimit.delay);
-      return requestFn();
-    });
+  async makeRequest(requestFn, options = {}) {
+    const { maxAttempts = 5, baseDelay = 500, maxDelay = 60000 } = config.cloudflare.retry || {};
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.rateLimiter.schedule(requestFn);
+        this.rateLimiter.recordSuccess();
+        return response;
+      } catch (error) {
+        error.attempts = attempt;
+
+        if (error.status === 429) {
+          this.rateLimiter.recordThrottle(error.retryAfter);
+        }
+
+        if (!isRetryableError(error, options) || attempt >= maxAttempts) {
+          if (attempt > 1) {
+            error.message = `${error.message} (gave up after ${attempt} attempts)`;
+          }
+          throw error;
+        }
+
+        const waitMs = this.getRetryDelay(error, attempt, { baseDelay, maxDelay });
+        logger.warn(
+          `Request failed with status ${error.status}, retrying in ${waitMs}ms (attempt ${attempt + 1}/${maxAttempts})`
+        );
+        await this.delay(waitMs);
+      }
+    }
+  }
+
+  /**
+   * Compute the wait before the next attempt
+   * Uses Retry-After when Cloudflare sends it, otherwise exponential backoff with jitter
+   */
+  getRetryDelay(error, attempt, { baseDelay, maxDelay }) {
+    if (Number.isFinite(error.retryAfter)) {
+      return Math.min(Math.ceil(error.retryAfter), maxDelay);
+    }
+
+    const backoff = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Run a delete handler over deployments with a bounded worker pool
+   * Every request still goes through the shared rate limiter; results keep input order.
+   * Outcomes are written to the checkpoint journal, when given, as soon as they are known.
+   * A 404 means the deployment is already gone and is reported as `already-absent`, not failed
+   */
+  async runDeletions(deployments, deleteFn, options = {}) {
+    const { batchSize = config.cli.batchSize, progressLogger = null, journal = null } = options;
+    const limit = pLimit(Math.max(1, batchSize || 1));
+
+    return Promise.all(
+      deployments.map(deployment =>
+        limit(async () => {
+          try {
+            await deleteFn(deployment);
+            journal?.recordCompleted(deployment.id);
+            progressLogger?.increment(deployment.id);
+            return { id: deployment.id, status: 'deleted' };
+          } catch (error) {
+            if (error instanceof CloudflareNotFoundError) {
+              // Deleted by someone else between listing and deleting: the goal is reached
+              journal?.recordCompleted(deployment.id);
+              progressLogger?.increment(deployment.id);
+              return { id: deployment.id, status: 'already-absent' };
+            }
+
+            journal?.recordFailed(deployment.id, error);
+            progressLogger?.increment(deployment.id, error);
+            return {
+              id: deployment.id,
+              status: 'failed',
+              error: error.message,
+              httpStatus: error.status ?? null
+            };
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * Count deletion outcomes and collect the failed deployment IDs with their errors
+   * Already-absent deployments are counted apart from both deleted and failed ones
+   */
+  summarizeDeletions(results) {
+    const failures = results
+      .filter(result => result.status === 'failed')
+      .map(({ id, httpStatus, error }) => ({ id, httpStatus, message: error }));
+
+    return {
+      success: results.filter(result => result.status === 'deleted').length,
+      alreadyAbsent: results.filter(result => result.status === 'already-absent').length,
+      failed: failures.length,
+      failures
+    };
   }
 
   /**
@@ -124,13 +240,17 @@ export class CloudflareClient {
 
   /**
    * Generic POST request with error handling and rate limiting
+   * Not retried on 5xx: creating a project or adding a domain twice is not harmless
    */
   async post(endpoint, data = {}) {
-    return this.makeRequest(async () => {
-      logger.debug(`POST ${endpoint}`, data);
-      const response = await this.httpClient.post(endpoint, data);
-      return response.data;
-    });
+    return this.makeRequest(
+      async () => {
+        logger.debug(`POST ${endpoint}`, data);
+        const response = await this.httpClient.post(endpoint, data);
+        return response.data;
+      },
+      { retryServerErrors: false }
+    );
   }
 
   /**
@@ -182,6 +302,42 @@ export class CloudflareClient {
     }
   }
 
+  /**
+   * List every account the token can access
+   * Needs no account ID, so it can discover which accounts to work on
+   */
+  async listAccounts(options = {}) {
+    try {
+      const { perPage = 50 } = options;
+      let accounts = [];
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.get('/accounts', { page, per_page: perPage });
+
+        if (!response.success) {
+          throw new Error('Failed to fetch accounts');
+        }
+
+        const currentAccounts = response.result || [];
+        accounts = accounts.concat(currentAccounts);
+
+        const resultInfo = response.result_info || {};
+        hasMore = resultInfo.total_pages
+          ? page < resultInfo.total_pages
+          : currentAccounts.length === perPage;
+        page++;
+      }
+
+      logger.debug(`Token can access ${accounts.length} accounts`);
+      return accounts;
+    } catch (error) {
+      logger.error('Failed to list accounts:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get account information
    */
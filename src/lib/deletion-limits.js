@@ -0,0 +1,108 @@
+import { PolicyViolationError, ValidationError } from './errors.js';
+import { logger } from '../utils/logger.js';
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Validate the blast-radius limits of a bulk delete
+ * @param {object} limits - maxDeletions (count) and maxDeletionPercent (0-100); unset means unlimited
+ */
+export function validateDeletionLimits(limits = {}) {
+  const { maxDeletions, maxDeletionPercent } = limits;
+
+  if (isSet(maxDeletions) && (!Number.isInteger(maxDeletions) || maxDeletions < 0)) {
+    throw new ValidationError(
+      `maxDeletions must be a non-negative integer, got ${JSON.stringify(maxDeletions)}`
+    );
+  }
+
+  if (
+    isSet(maxDeletionPercent) &&
+    (typeof maxDeletionPercent !== 'number' ||
+      Number.isNaN(maxDeletionPercent) ||
+      maxDeletionPercent < 0 ||
+      maxDeletionPercent > 100)
+  ) {
+    throw new ValidationError(
+      `maxDeletionPercent must be a number between 0 and 100, got ${JSON.stringify(maxDeletionPercent)}`
+    );
+  }
+}
+
+/**
+ * Whether any blast-radius limit is configured
+ */
+export function hasDeletionLimits(limits = {}) {
+  return isSet(limits.maxDeletions) || isSet(limits.maxDeletionPercent);
+}
+
+/**
+ * Describe every limit a plan exceeds
+ * The percentage is only checked when the total number of deployments is known
+ * @param {object} plan - toDelete and total deployment counts
+ * @param {object} limits - maxDeletions and maxDeletionPercent
+ * @returns {string[]} One message per exceeded limit; empty when the plan is within limits
+ */
+export function findDeletionLimitViolations(plan, limits = {}) {
+  validateDeletionLimits(limits);
+
+  const { toDelete, total } = plan;
+  const { maxDeletions, maxDeletionPercent } = limits;
+  const violations = [];
+
+  if (isSet(maxDeletions) && toDelete > maxDeletions) {
+    violations.push(`${toDelete} deployments planned, more than maxDeletions ${maxDeletions}`);
+  }
+
+  if (isSet(maxDeletionPercent) && total > 0) {
+    const percent = (toDelete / total) * 100;
+
+    if (percent > maxDeletionPercent) {
+      violations.push(
+        `${toDelete} of ${total} deployments planned (${Number(percent.toFixed(1))}%), more than maxDeletionPercent ${maxDeletionPercent}%`
+      );
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Refuse a plan that exceeds the blast-radius limits, before anything is deleted
+ * @param {object} plan - toDelete and total deployment counts, and a label naming what is deleted
+ * @param {object} limits - maxDeletions and maxDeletionPercent
+ * @throws {PolicyViolationError} Listing the planned counts and every exceeded limit
+ */
+export function assertWithinDeletionLimits(plan, limits = {}) {
+  const violations = findDeletionLimitViolations(plan, limits);
+
+  if (violations.length > 0) {
+    throw new PolicyViolationError(
+      `Bulk delete of ${plan.label} exceeds the deletion limits: ${violations.join('; ')}. Nothing was deleted`
+    );
+  }
+}
+
+/**
+ * Check a plan against the deletion limits before deleting anything
+ * A dry run only warns, so an oversized plan can still be inspected
+ * @param {object} plan - toDelete and total deployment counts, and a label naming what is deleted
+ * @param {object} options - maxDeletions, maxDeletionPercent and dryRun
+ */
+export function enforceDeletionLimits(plan, options = {}) {
+  const { maxDeletions, maxDeletionPercent, dryRun = false } = options;
+  const limits = { maxDeletions, maxDeletionPercent };
+
+  if (!dryRun) {
+    assertWithinDeletionLimits(plan, limits);
+    return;
+  }
+
+  findDeletionLimitViolations(plan, limits).forEach(violation => {
+    logger.warn(
+      `[DRY RUN] Deletion limit exceeded for ${plan.label}: ${violation}; a real run would abort`
+    );
+  });
+}
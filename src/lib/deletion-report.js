@@ -0,0 +1,110 @@
+import { promises as fs } from 'node:fs';
+import { dirname, extname } from 'node:path';
+import { toCsv, toMarkdownTable } from '../utils/output.js';
+
+/**
+ * Columns of a deletion report, in output order
+ */
+export const REPORT_COLUMNS = Object.freeze([
+  { key: 'id', label: 'Deployment ID' },
+  { key: 'created_on', label: 'Created' },
+  { key: 'environment', label: 'Environment' },
+  { key: 'version', label: 'Version' },
+  { key: 'branch', label: 'Branch' },
+  { key: 'commit', label: 'Commit' },
+  { key: 'commit_message', label: 'Commit Message' },
+  { key: 'decision', label: 'Decision' },
+  { key: 'group', label: 'Group' },
+  { key: 'reason', label: 'Reason' }
+]);
+
+/**
+ * Flatten a deployment into report fields
+ * Pages deployments carry their git source in deployment_trigger.metadata
+ */
+export function describeDeployment(deployment) {
+  const metadata = deployment.deployment_trigger?.metadata || {};
+
+  return {
+    id: deployment.id,
+    created_on: deployment.created_on,
+    environment: deployment.environment,
+    version: deployment.version,
+    status: deployment.status,
+    traffic: deployment.traffic,
+    branch: metadata.branch,
+    commit: metadata.commit_hash,
+    commit_message: metadata.commit_message
+  };
+}
+
+/**
+ * Build one report row per candidate deployment with the decision taken for it
+ * @param {Array} deployments - Candidate deployments passed to the bulk delete
+ * @param {object} result - Result of bulkDeleteDeployments
+ * @param {object} options - Report options
+ * @param {boolean} options.dryRun - Mark deployments that would be deleted instead of deleted
+ * @param {Function} options.isCompleted - Tells whether an earlier run already deleted a deployment
+ */
+export function buildDeletionReport(deployments, result = {}, options = {}) {
+  const { dryRun = false, isCompleted = () => false } = options;
+  const results = new Map((result.results || []).map(entry => [entry.id, entry]));
+  const skipped = new Map((result.skippedDeployments || []).map(entry => [entry.id, entry]));
+
+  return deployments.map(deployment => {
+    const row = describeDeployment(deployment);
+    const outcome = results.get(deployment.id);
+    const skip = skipped.get(deployment.id);
+
+    if (outcome?.status === 'failed') {
+      return { ...row, decision: 'failed', reason: outcome.error };
+    }
+
+    if (outcome?.status === 'already-absent') {
+      return { ...row, decision: 'already-absent', reason: 'Already deleted (not found)' };
+    }
+
+    if (outcome) {
+      return { ...row, decision: 'deleted', reason: 'Matched deletion filters' };
+    }
+
+    if (skip) {
+      return { ...row, decision: skip.decision, group: skip.group, reason: skip.reason };
+    }
+
+    if (isCompleted(deployment.id)) {
+      return { ...row, decision: 'deleted', reason: 'Deleted by an earlier run' };
+    }
+
+    if (dryRun) {
+      return { ...row, decision: 'would-delete', reason: 'Dry run' };
+    }
+
+    return { ...row, decision: 'not-deleted', reason: 'Not processed' };
+  });
+}
+
+/**
+ * Pick the report format from the file extension, defaulting to CSV
+ */
+export function reportFormatFromPath(filePath) {
+  return ['.md', '.markdown'].includes(extname(filePath).toLowerCase()) ? 'markdown' : 'csv';
+}
+
+/**
+ * Write a deletion report as CSV or Markdown
+ * Multi-resource runs pass extra columns, such as the resource name, ahead of REPORT_COLUMNS
+ */
+export async function writeDeletionReport(
+  filePath,
+  rows,
+  format = reportFormatFromPath(filePath),
+  columns = REPORT_COLUMNS
+) {
+  const content = format === 'markdown' ? toMarkdownTable(rows, columns) : toCsv(rows, columns);
+
+  await fs.mkdir(dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${content}\n`);
+
+  return { filePath, format, rows: rows.length };
+}
@@ -0,0 +1,146 @@
+/**
+ * Error raised for a failed Cloudflare API request
+ * Carries Cloudflare's own error codes and messages with the request that failed,
+ * so callers can branch on the error class or code instead of matching messages
+ */
+export class CloudflareApiError extends Error {
+  constructor(message, details = {}) {
+    const {
+      status = null,
+      errors = [],
+      requestId = null,
+      endpoint = null,
+      method = null,
+      retryAfter = null,
+      response = null,
+      cause
+    } = details;
+
+    super(message, { cause });
+    this.name = 'CloudflareApiError';
+    this.status = status;
+    this.errors = errors;
+    this.codes = errors.map(error => error.code).filter(code => code !== undefined);
+    this.requestId = requestId;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.retryAfter = retryAfter;
+    this.response = response;
+  }
+}
+
+/**
+ * 401/403: the token is invalid or lacks a permission
+ */
+export class CloudflareAuthError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareAuthError';
+  }
+}
+
+/**
+ * 404: the resource does not exist (or no longer exists)
+ */
+export class CloudflareNotFoundError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareNotFoundError';
+  }
+}
+
+/**
+ * 409: the request conflicts with the current state of the resource
+ */
+export class CloudflareConflictError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareConflictError';
+  }
+}
+
+/**
+ * 429: the account exceeded its request rate
+ */
+export class CloudflareRateLimitError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareRateLimitError';
+  }
+}
+
+/**
+ * 5xx: Cloudflare failed to handle the request
+ */
+export class CloudflareServerError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareServerError';
+  }
+}
+
+/**
+ * Pick the error class and default message for an HTTP status
+ */
+function classifyStatus(status) {
+  switch (status) {
+    case 401:
+      return [CloudflareAuthError, 'API Token is invalid or lacks permissions'];
+    case 403:
+      return [CloudflareAuthError, 'Access denied. Check API Token permissions'];
+    case 404:
+      return [CloudflareNotFoundError, 'Resource not found'];
+    case 409:
+      return [CloudflareConflictError, 'Request conflicts with the current state of the resource'];
+    case 429:
+      return [CloudflareRateLimitError, 'Rate limit exceeded'];
+  }
+
+  if (status >= 500 && status < 600) {
+    return [CloudflareServerError, 'Server error from Cloudflare. Try again later'];
+  }
+
+  return [CloudflareApiError, 'An error occurred while accessing Cloudflare API'];
+}
+
+/**
+ * Build the typed error for a failed request
+ * Cloudflare's `errors[].message` entries are appended to the status message
+ * @param {object} details - status, errors, requestId, endpoint, method, retryAfter, response, cause
+ */
+export function createApiError(details = {}) {
+  const [ErrorClass, statusMessage] = classifyStatus(details.status);
+  const errors = Array.isArray(details.errors) ? details.errors : [];
+  const cloudflareMessage = errors
+    .map(error => (error.code ? `${error.message} (code ${error.code})` : error.message))
+    .filter(Boolean)
+    .join('; ');
+
+  return new ErrorClass(
+    cloudflareMessage ? `${statusMessage}: ${cloudflareMessage}` : statusMessage,
+    {
+      ...details,
+      errors
+    }
+  );
+}
+
+/**
+ * Invalid user input: arguments, configuration, policy or report files
+ */
+export class ValidationError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * A safety guard refused to run, e.g. when what serves traffic cannot be verified
+ */
+export class PolicyViolationError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PolicyViolationError';
+  }
+}
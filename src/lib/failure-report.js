@@ -0,0 +1,56 @@
+import { promises as fs } from 'node:fs';
+import { dirname } from 'node:path';
+import { ValidationError } from './errors.js';
+
+const REPORT_VERSION = 1;
+
+/**
+ * Build a failure report from a bulk delete result
+ * The report lists every deployment that could not be deleted so it can be retried later
+ */
+export function buildFailureReport(result) {
+  return {
+    version: REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    resourceType: result.resourceType,
+    resourceName: result.resourceName,
+    failures: result.failures || []
+  };
+}
+
+/**
+ * Write the failures of a bulk delete result to a JSON file
+ */
+export async function writeFailureReport(filePath, result) {
+  const report = buildFailureReport(result);
+
+  await fs.mkdir(dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(report, null, 2)}\n`);
+
+  return report;
+}
+
+/**
+ * Read and validate a failure report written by a previous run
+ */
+export async function readFailureReport(filePath) {
+  let report;
+
+  try {
+    report = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Cannot read failure report ${filePath}: ${error.message}`);
+  }
+
+  if (!['pages', 'workers'].includes(report.resourceType) || !report.resourceName) {
+    throw new ValidationError(
+      `Failure report ${filePath} does not name a Pages or Workers resource`
+    );
+  }
+
+  if (!Array.isArray(report.failures) || report.failures.some(failure => !failure.id)) {
+    throw new ValidationError(`Failure report ${filePath} has an invalid failures list`);
+  }
+
+  return report;
+}
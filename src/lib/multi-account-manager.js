@@ -0,0 +1,227 @@
+import pLimit from 'p-limit';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { discoverAccounts } from './account-discovery.js';
+import { ValidationError } from './errors.js';
+import { ServiceManager } from './service-manager.js';
+
+/**
+ * Accept account IDs or { id, name } objects
+ */
+function normalizeAccounts(accounts) {
+  return []
+    .concat(accounts)
+    .map(account =>
+      typeof account === 'string'
+        ? { id: account, name: null }
+        : { id: account.id, name: account.name || null }
+    );
+}
+
+/**
+ * Add up the delete summaries of every account that finished
+ */
+function combineDeleteSummaries(accounts, dryRun) {
+  const completed = accounts.filter(account => account.success);
+
+  return {
+    totalAccounts: accounts.length,
+    failedAccounts: accounts.length - completed.length,
+    totalResources: completed.reduce((sum, account) => sum + account.result.totalResources, 0),
+    totalDeleted: completed.reduce((sum, account) => sum + account.result.totalDeleted, 0),
+    totalAlreadyAbsent: completed.reduce(
+      (sum, account) => sum + (account.result.totalAlreadyAbsent || 0),
+      0
+    ),
+    totalErrors: completed.reduce((sum, account) => sum + account.result.totalErrors, 0),
+    failedResources: completed.reduce(
+      (sum, account) => sum + (account.result.failedResources || 0),
+      0
+    ),
+    dryRun
+  };
+}
+
+/**
+ * Runs one listing or cleanup across several Cloudflare accounts
+ * Accounts are given by ID, or discovered from everything the token can access.
+ * Each account gets its own ServiceManager, so rate limits, deletion limits and
+ * protection rules apply per account. A failing account is reported and never stops the others.
+ */
+export class MultiAccountManager {
+  /**
+   * @param {object} options - accounts (IDs or { id, name }; discovered when omitted),
+   *   concurrency (accounts processed at once, default 1) and serviceManagerOptions
+   *   (passed to every ServiceManager, e.g. auditLog)
+   */
+  constructor(apiToken = config.cloudflare.apiToken, options = {}) {
+    const { accounts = null, concurrency = 1, serviceManagerOptions = {} } = options;
+
+    if (!apiToken) {
+      throw new ValidationError('API Token is required for multi-account operations');
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError(
+        `concurrency must be a positive integer, got ${JSON.stringify(concurrency)}`
+      );
+    }
+
+    this.apiToken = apiToken;
+    this.accounts = accounts ? normalizeAccounts(accounts) : null;
+    this.concurrency = concurrency;
+    this.serviceManagerOptions = serviceManagerOptions;
+    this.serviceManagers = new Map();
+  }
+
+  /**
+   * The accounts to work on, discovered through /accounts on first use when none were given
+   */
+  async resolveAccounts() {
+    if (!this.accounts) {
+      this.accounts = await discoverAccounts(this.apiToken);
+      logger.info(`Discovered ${this.accounts.length} accounts`);
+    }
+
+    if (this.accounts.length === 0) {
+      throw new ValidationError('The API token cannot access any Cloudflare account');
+    }
+
+    return this.accounts;
+  }
+
+  getServiceManager(account) {
+    if (!this.serviceManagers.has(account.id)) {
+      this.serviceManagers.set(
+        account.id,
+        new ServiceManager(this.apiToken, account.id, this.serviceManagerOptions)
+      );
+    }
+
+    return this.serviceManagers.get(account.id);
+  }
+
+  /**
+   * Run a task against every account, `concurrency` accounts at a time
+   * @param {Function} task - Called with (serviceManager, account)
+   * @returns {Promise<Array<{accountId, accountName, success, result?, error?}>>}
+   *   One entry per account, in account order
+   */
+  async forEachAccount(task) {
+    const accounts = await this.resolveAccounts();
+    const limit = pLimit(this.concurrency);
+
+    return Promise.all(
+      accounts.map(account =>
+        limit(async () => {
+          const entry = { accountId: account.id, accountName: account.name };
+
+          try {
+            return {
+              ...entry,
+              success: true,
+              result: await task(this.getServiceManager(account), account)
+            };
+          } catch (error) {
+            logger.error(`Account ${account.name || account.id} failed:`, error.message);
+            return { ...entry, success: false, error: error.message };
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * List Pages projects and Workers scripts of every account
+   */
+  async listAllResources() {
+    const accounts = await this.forEachAccount(serviceManager => serviceManager.listAllResources());
+    const completed = accounts.filter(account => account.success);
+
+    return {
+      accounts,
+      summary: {
+        totalAccounts: accounts.length,
+        failedAccounts: accounts.length - completed.length,
+        totalPages: completed.reduce((sum, account) => sum + account.result.pages.length, 0),
+        totalWorkers: completed.reduce((sum, account) => sum + account.result.workers.length, 0)
+      }
+    };
+  }
+
+  /**
+   * Bulk delete deployments of the resources matching name patterns in every account
+   * @param {object} options - include, exclude and deploymentOptions select resources
+   *   (see ServiceManager.selectResources); the rest goes to bulkDeleteMultipleResources,
+   *   whose deletion limits then apply to each account's plan
+   * @throws {ValidationError} When given options that only work for one resource
+   */
+  async bulkDelete(resourceType, options = {}) {
+    const { include, exclude, deploymentOptions, ...deleteOptions } = options;
+    const dryRun = Boolean(deleteOptions.dryRun);
+
+    // Fail once up front rather than in every account
+    ServiceManager.checkMultiResourceOptions(deleteOptions);
+
+    const accounts = await this.forEachAccount(async serviceManager => {
+      const resources = await serviceManager.selectResources(resourceType, {
+        include,
+        exclude,
+        deploymentOptions
+      });
+
+      if (resources.length === 0) {
+        return {
+          totalResources: 0,
+          totalDeleted: 0,
+          totalAlreadyAbsent: 0,
+          totalErrors: 0,
+          failedResources: 0,
+          results: [],
+          dryRun
+        };
+      }
+
+      return serviceManager.bulkDeleteMultipleResources(resources, deleteOptions);
+    });
+
+    return { accounts, summary: combineDeleteSummaries(accounts, dryRun) };
+  }
+
+  /**
+   * Plan a cleanup policy in every account
+   * @param {object} options - Passed to ServiceManager.planPolicy, e.g. allowLive
+   */
+  async planPolicy(policy, options = {}) {
+    return this.forEachAccount(serviceManager => serviceManager.planPolicy(policy, options));
+  }
+
+  /**
+   * Apply a cleanup policy in every account
+   * Pass `options.plans` (the result of planPolicy()) to execute reviewed plans; accounts
+   * whose planning failed are skipped and reported with that error
+   */
+  async applyPolicy(policy, options = {}) {
+    const { plans, ...applyOptions } = options;
+    const dryRun = Boolean(applyOptions.dryRun);
+    const plansByAccount = new Map((plans || []).map(entry => [entry.accountId, entry]));
+
+    const accounts = await this.forEachAccount((serviceManager, account) => {
+      const planned = plansByAccount.get(account.id);
+
+      if (planned && !planned.success) {
+        throw new Error(`Planning failed: ${planned.error}`);
+      }
+
+      return serviceManager.applyPolicy(policy, {
+        ...applyOptions,
+        ...(planned && { plan: planned.result })
+      });
+    });
+
+    return { accounts, summary: combineDeleteSummaries(accounts, dryRun) };
+  }
+}
+
+// Default export
+export default MultiAccountManager;
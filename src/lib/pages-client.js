@@ -1,14 +1,23 @@
 import { CloudflareClient } from './cloudflare-client.js';
+import { enforceDeletionLimits } from './deletion-limits.js';
+import { CloudflareNotFoundError, PolicyViolationError } from './errors.js';
 import { logger, ProgressLogger } from '../utils/logger.js';
+import { config } from '../config/config.js';
+import { groupRetention, rankDeployments } from './retention.js';
+import { createMatcher } from '../utils/patterns.js';
 import dayjs from 'dayjs';
 
+function getTriggerMetadata(deployment) {
+  return deployment.deployment_trigger?.metadata || {};
+}
+
 /**
  * Cloudflare Pages Client
  * Specialized for handling Cloudflare Pages deployments operations
  */
 export class PagesClient extends CloudflareClient {
-  constructor(apiToken, accountId) {
-    super(apiToken, accountId);
+  constructor(apiToken, accountId, options = {}) {
+    super(apiToken, accountId, options);
     this.serviceType = 'pages';
   }
 
@@ -70,6 +79,106 @@ export class PagesClient extends CloudflareClient {
     }
   }
 
+  /**
+   * Create a project from a stored project configuration, e.g. a backup snapshot
+   * Environment variables are left out: backups keep only their names
+   * @param {object} project - Project as returned by getProject()
+   * @param {object} options - name to create the project under instead of the original one
+   */
+  async createProject(project, options = {}) {
+    const { name = project.name } = options;
+    const deploymentConfigs = Object.fromEntries(
+      Object.entries(project.deployment_configs || {}).map(([environment, settings]) => {
+        const { env_vars: _envVars, ...rest } = settings || {};
+        return [environment, rest];
+      })
+    );
+
+    const response = await this.post(`/accounts/${this.accountId}/pages/projects`, {
+      name,
+      production_branch: project.production_branch,
+      ...(project.build_config && { build_config: project.build_config }),
+      deployment_configs: deploymentConfigs
+    });
+
+    if (!response.success) {
+      throw new Error(`Failed to create project ${name}`);
+    }
+
+    logger.info(`Created Pages project "${name}"`);
+    return response.result;
+  }
+
+  /**
+   * Attach a custom domain to a project
+   */
+  async addDomain(projectName, domainName) {
+    const response = await this.post(
+      `/accounts/${this.accountId}/pages/projects/${projectName}/domains`,
+      { name: domainName }
+    );
+
+    if (!response.success) {
+      throw new Error(`Failed to add domain ${domainName} to project ${projectName}`);
+    }
+
+    return response.result;
+  }
+
+  /**
+   * List the custom domains attached to a project
+   */
+  async listDomains(projectName) {
+    const response = await this.get(
+      `/accounts/${this.accountId}/pages/projects/${projectName}/domains`
+    );
+
+    if (!response.success) {
+      throw new Error(`Failed to fetch domains of project ${projectName}`);
+    }
+
+    return response.result || [];
+  }
+
+  /**
+   * Deployments that currently serve traffic and must not be deleted
+   * The project's canonical (production) and latest deployments, plus any deployment holding a branch alias
+   * @returns {Map<string, string>} Reason by deployment ID
+   */
+  async getLiveDeployments(projectName, deployments = []) {
+    let project;
+
+    try {
+      project = await this.getProject(projectName);
+    } catch (error) {
+      throw new PolicyViolationError(
+        `Cannot determine the live deployment of ${projectName}: ${error.message}. Use --allow-live to skip this check`,
+        { cause: error }
+      );
+    }
+
+    const liveDeployments = new Map();
+
+    if (project.canonical_deployment?.id) {
+      liveDeployments.set(
+        project.canonical_deployment.id,
+        'Serves production (canonical deployment)'
+      );
+    }
+
+    if (project.latest_deployment?.id && !liveDeployments.has(project.latest_deployment.id)) {
+      liveDeployments.set(project.latest_deployment.id, 'Latest deployment of the project');
+    }
+
+    deployments.forEach(deployment => {
+      if (deployment.aliases?.length > 0 && !liveDeployments.has(deployment.id)) {
+        liveDeployments.set(deployment.id, `Holds alias ${deployment.aliases.join(', ')}`);
+      }
+    });
+
+    return liveDeployments;
+  }
+
   /**
    * List deployments for specific project with pagination
    */
@@ -113,7 +222,15 @@ export class PagesClient extends CloudflareClient {
    */
   async listAllDeployments(projectName, options = {}) {
     try {
-      const { environment = null, maxAge = null, status = null } = options;
+      const {
+        environment = null,
+        maxAge = null,
+        status = null,
+        branch = [],
+        excludeBranch = [],
+        commit = [],
+        activeBranches = null
+      } = options;
 
       logger.info(`Fetching all deployments for project ${projectName}...`);
 
@@ -173,6 +290,13 @@ export class PagesClient extends CloudflareClient {
         );
       }
 
+      filteredDeployments = this.filterByGitSource(filteredDeployments, {
+        branch,
+        excludeBranch,
+        commit,
+        activeBranches
+      });
+
       // Show final count with total info if available
       if (totalCount && totalCount > filteredDeployments.length) {
         logger.info(
@@ -193,6 +317,68 @@ export class PagesClient extends CloudflareClient {
     }
   }
 
+  /**
+   * Filter deployments by the git branch and commit in deployment_trigger.metadata
+   * Deployments without git metadata (direct uploads) never match a branch or commit filter.
+   * @param {Array} deployments - Deployments to filter
+   * @param {object} options - Filter options
+   * @param {string|string[]} options.branch - Keep only branches matching these globs or /regex/
+   * @param {string|string[]} options.excludeBranch - Drop branches matching these patterns
+   * @param {string|string[]} options.commit - Keep only commits starting with these SHAs
+   * @param {string[]} options.activeBranches - Keep only branches missing from this list
+   */
+  filterByGitSource(deployments, options = {}) {
+    const { activeBranches = null } = options;
+    const branch = [].concat(options.branch || []);
+    const excludeBranch = [].concat(options.excludeBranch || []);
+    const commit = [].concat(options.commit || []).map(sha => String(sha).toLowerCase());
+    let filteredDeployments = deployments;
+
+    if (branch.length > 0) {
+      const isIncluded = createMatcher(branch);
+      filteredDeployments = filteredDeployments.filter(deployment => {
+        const { branch: deploymentBranch } = getTriggerMetadata(deployment);
+        return Boolean(deploymentBranch) && isIncluded(deploymentBranch);
+      });
+      logger.info(
+        `Branch filter: ${filteredDeployments.length} deployments from branches ${branch.join(', ')}`
+      );
+    }
+
+    if (excludeBranch.length > 0) {
+      const isExcluded = createMatcher(excludeBranch);
+      filteredDeployments = filteredDeployments.filter(
+        deployment => !isExcluded(getTriggerMetadata(deployment).branch)
+      );
+      logger.info(
+        `Branch exclusion: ${filteredDeployments.length} deployments not from ${excludeBranch.join(', ')}`
+      );
+    }
+
+    if (commit.length > 0) {
+      filteredDeployments = filteredDeployments.filter(deployment => {
+        const hash = String(getTriggerMetadata(deployment).commit_hash || '').toLowerCase();
+        return Boolean(hash) && commit.some(sha => hash.startsWith(sha));
+      });
+      logger.info(
+        `Commit filter: ${filteredDeployments.length} deployments from ${commit.join(', ')}`
+      );
+    }
+
+    if (activeBranches) {
+      const active = new Set(activeBranches);
+      filteredDeployments = filteredDeployments.filter(deployment => {
+        const { branch: deploymentBranch } = getTriggerMetadata(deployment);
+        return Boolean(deploymentBranch) && !active.has(deploymentBranch);
+      });
+      logger.info(
+        `Stale branch filter: ${filteredDeployments.length} deployments from branches that no longer exist`
+      );
+    }
+
+    return filteredDeployments;
+  }
+
   /**
    * Delete single deployment
    * @param {string} projectName - Name of the Pages project
@@ -225,49 +411,107 @@ export class PagesClient extends CloudflareClient {
         throw new Error(`Failed to delete deployment ${deploymentId}`);
       }
     } catch (error) {
-      logger.error(`Failed to delete deployment ${deploymentId}:`, error.message);
+      if (error instanceof CloudflareNotFoundError) {
+        logger.info(`Deployment ${deploymentId} is already absent`);
+      } else {
+        logger.error(`Failed to delete deployment ${deploymentId}:`, error.message);
+      }
       throw error;
     }
   }
 
   /**
-   * Bulk delete deployments for specific project
+   * Split deployments into those to delete and those kept by protection settings
    */
-  async bulkDeleteDeployments(projectName, deployments, options = {}) {
-    const { skipProduction = true, dryRun = false, keepLatest = 1, force = true } = options;
-
-    if (!Array.isArray(deployments) || deployments.length === 0) {
-      logger.warn('No deployments to delete');
-      return { success: 0, failed: 0, skipped: 0 };
-    }
+  applyProtection(deployments, options = {}) {
+    const {
+      skipProduction = true,
+      keepLatest = 1,
+      keepLatestPerBranch = 0,
+      keepLatestPerEnvironment = 0,
+      liveDeployments = new Map()
+    } = options;
 
     // Sort deployments by creation date (newest first) to protect latest deployments
     const sortedDeployments = [...deployments].sort(
       (a, b) => new Date(b.created_on) - new Date(a.created_on)
     );
+    const ranks = rankDeployments(sortedDeployments);
 
-    // Filter deployments based on protection settings
-    let skippedCount = 0;
+    // Filter deployments based on protection settings, remembering why each one was kept
+    const skippedDeployments = [];
 
     if (keepLatest > 0) {
       logger.info(`Latest deployment protection: Keeping latest ${keepLatest} deployments safe`);
     }
 
+    if (keepLatestPerBranch > 0) {
+      logger.info(
+        `Branch protection: Keeping latest ${keepLatestPerBranch} deployments per branch`
+      );
+    }
+
+    if (keepLatestPerEnvironment > 0) {
+      logger.info(
+        `Environment protection: Keeping latest ${keepLatestPerEnvironment} deployments per environment`
+      );
+    }
+
     if (skipProduction) {
       logger.info('Production protection: Skipping production deployments');
     }
 
     const deploymentsToDelete = sortedDeployments.filter((deployment, index) => {
+      if (liveDeployments.has(deployment.id)) {
+        skippedDeployments.push({
+          id: deployment.id,
+          decision: 'live-protected',
+          reason: `${liveDeployments.get(deployment.id)} (--allow-live to include)`
+        });
+        logger.debug(
+          `Skipping live deployment ${deployment.id}: ${liveDeployments.get(deployment.id)}`
+        );
+        return false;
+      }
+
       if (keepLatest > 0 && index < keepLatest) {
-        skippedCount++;
+        skippedDeployments.push({
+          id: deployment.id,
+          decision: 'skipped-latest',
+          reason: `Newest ${keepLatest} deployment${keepLatest === 1 ? '' : 's'} kept (--keep-latest)`
+        });
         logger.debug(
           `Skipping latest deployment #${index + 1}: ${deployment.id} (${deployment.environment}) - ${deployment.created_on}`
         );
         return false;
       }
 
+      const retention = groupRetention(deployment, ranks, {
+        keepLatestPerBranch,
+        keepLatestPerEnvironment
+      });
+
+      if (retention) {
+        const option =
+          retention.decision === 'skipped-latest-branch'
+            ? '--keep-latest-per-branch'
+            : '--keep-latest-per-environment';
+
+        skippedDeployments.push({
+          id: deployment.id,
+          ...retention,
+          reason: `${retention.reason} (${option})`
+        });
+        logger.debug(`Skipping deployment ${deployment.id}: ${retention.reason}`);
+        return false;
+      }
+
       if (skipProduction && deployment.environment === 'production') {
-        skippedCount++;
+        skippedDeployments.push({
+          id: deployment.id,
+          decision: 'skipped-production',
+          reason: 'Production deployment (--skip-production)'
+        });
         logger.debug(
           `Skipping production deployment: ${deployment.id} (environment: ${deployment.environment})`
         );
@@ -277,6 +521,8 @@ export class PagesClient extends CloudflareClient {
       return true;
     });
 
+    const skippedCount = skippedDeployments.length;
+
     if (skippedCount > 0) {
       logger.warn(`⚠️  Production protection: ${skippedCount} deployments will be skipped`);
       const tips = [];
@@ -289,11 +535,93 @@ export class PagesClient extends CloudflareClient {
         tips.push('use --keep-latest 0 to include latest deployments');
       }
 
+      if (keepLatestPerBranch > 0 || keepLatestPerEnvironment > 0) {
+        tips.push('lower --keep-latest-per-branch / --keep-latest-per-environment');
+      }
+
       if (tips.length > 0) {
         logger.info(`💡 To include protected deployments, ${tips.join('; ')}`);
       }
     }
 
+    return { deploymentsToDelete, skippedCount, skippedDeployments };
+  }
+
+  /**
+   * Bulk delete deployments for specific project
+   */
+  async bulkDeleteDeployments(projectName, deployments, options = {}) {
+    const {
+      skipProduction = true,
+      dryRun = false,
+      keepLatest = 1,
+      keepLatestPerBranch = 0,
+      keepLatestPerEnvironment = 0,
+      allowLive = false,
+      force = true,
+      batchSize = config.cli.batchSize,
+      maxDeletions = config.cli.maxDeletions,
+      maxDeletionPercent = config.cli.maxDeletionPercent,
+      journal = null
+    } = options;
+
+    if (!Array.isArray(deployments) || deployments.length === 0) {
+      logger.warn('No deployments to delete');
+      return { success: 0, failed: 0, skipped: 0, failures: [], skippedDeployments: [] };
+    }
+
+    let deploymentsToDelete;
+    let skippedCount;
+    let skippedDeployments;
+
+    // Hard guard independent of the other protection settings
+    const liveDeployments = allowLive
+      ? new Map()
+      : await this.getLiveDeployments(projectName, deployments);
+
+    if (allowLive) {
+      logger.warn('Live protection disabled: the live and aliased deployments may be deleted');
+    }
+
+    if (journal?.plan) {
+      // Protection rules were applied when the plan was recorded; only finish what is left
+      deploymentsToDelete = deployments.filter(
+        deployment => !journal.isCompleted(deployment.id) && !liveDeployments.has(deployment.id)
+      );
+      skippedDeployments = deployments
+        .filter(deployment => liveDeployments.has(deployment.id))
+        .map(deployment => ({
+          id: deployment.id,
+          decision: 'live-protected',
+          reason: liveDeployments.get(deployment.id)
+        }));
+      skippedCount = journal.plan.skipped + skippedDeployments.length;
+      logger.info(
+        `Resuming from journal ${journal.filePath}: ${deployments.length - deploymentsToDelete.length}/${deployments.length} deployments already deleted`
+      );
+    } else {
+      ({ deploymentsToDelete, skippedCount, skippedDeployments } = this.applyProtection(
+        deployments,
+        {
+          skipProduction,
+          keepLatest,
+          keepLatestPerBranch,
+          keepLatestPerEnvironment,
+          liveDeployments
+        }
+      ));
+
+      // A resumed plan was already checked when it was recorded
+      enforceDeletionLimits(
+        {
+          label: `${this.serviceType} "${projectName}"`,
+          toDelete: deploymentsToDelete.length,
+          total: deployments.length
+        },
+        { maxDeletions, maxDeletionPercent, dryRun }
+      );
+    }
+
     if (dryRun) {
       logger.info(
         `[DRY RUN] Will delete ${deploymentsToDelete.length} deployments (${skippedCount} skipped)`
@@ -303,41 +631,58 @@ export class PagesClient extends CloudflareClient {
           `[DRY RUN] ${index + 1}. ${deployment.id} (${deployment.environment || 'unknown'}) - ${deployment.created_on}`
         );
       });
-      return { success: 0, failed: 0, skipped: skippedCount, dryRun: true };
+      skippedDeployments
+        .filter(skipped => skipped.group || skipped.decision === 'live-protected')
+        .forEach(skipped => {
+          logger.info(`[DRY RUN] Keeping ${skipped.id} [${skipped.group || skipped.decision}]`);
+        });
+      return {
+        success: 0,
+        failed: 0,
+        skipped: skippedCount,
+        failures: [],
+        skippedDeployments,
+        dryRun: true
+      };
     }
 
     if (deploymentsToDelete.length === 0) {
       logger.info('No deployments to delete after applying filters');
-      return { success: 0, failed: 0, skipped: skippedCount };
+      return { success: 0, failed: 0, skipped: skippedCount, failures: [], skippedDeployments };
     }
 
     logger.info(
       `Starting bulk delete of ${deploymentsToDelete.length} deployments for project ${projectName}...`
     );
 
-    const progressLogger = new ProgressLogger(deploymentsToDelete.length, 'Bulk Delete');
-    let successCount = 0;
-    let failedCount = 0;
-
-    // Process deployments with rate limiting
-    for (const deployment of deploymentsToDelete) {
-      try {
-        await this.deleteDeployment(projectName, deployment.id, { force });
-        successCount++;
-        progressLogger.increment(deployment.id);
-      } catch (error) {
-        failedCount++;
-        progressLogger.increment(deployment.id, error);
-      }
+    if (journal && !journal.plan) {
+      journal.recordPlan({
+        resourceType: this.serviceType,
+        resourceName: projectName,
+        deployments: deploymentsToDelete,
+        skipped: skippedCount
+      });
     }
 
+    const progressLogger = new ProgressLogger(deploymentsToDelete.length, 'Bulk Delete', {
+      rateLimiter: this.rateLimiter
+    });
+
+    // Fan deletions out through the rate limiter
+    const results = await this.runDeletions(
+      deploymentsToDelete,
+      deployment => this.deleteDeployment(projectName, deployment.id, { force }),
+      { batchSize, progressLogger, journal }
+    );
+
     const stats = progressLogger.complete();
 
     return {
-      success: successCount,
-      failed: failedCount,
+      ...this.summarizeDeletions(results),
       skipped: skippedCount,
+      skippedDeployments,
       total: deployments.length,
+      results,
       duration: stats.duration,
       rate: stats.rate
     };
@@ -364,9 +709,18 @@ export class PagesClient extends CloudflareClient {
       const _project = await this.getProject(projectName);
       logger.info(`Found project "${projectName}" - proceeding with deletion`);
 
-      const response = await this.delete(
-        `/accounts/${this.accountId}/pages/projects/${projectName}`
-      );
+      let response;
+
+      try {
+        response = await this.delete(`/accounts/${this.accountId}/pages/projects/${projectName}`);
+      } catch (error) {
+        // Deleted by someone else after the existence check
+        if (error instanceof CloudflareNotFoundError) {
+          logger.info(`Pages project "${projectName}" is already absent`);
+          return { success: true, alreadyAbsent: true };
+        }
+        throw error;
+      }
 
       if (response.success) {
         logger.info(`✓ Pages project "${projectName}" successfully deleted`);
@@ -0,0 +1,237 @@
+import { promises as fs } from 'node:fs';
+import { extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import dayjs from 'dayjs';
+import { describeDeployment } from './deletion-report.js';
+import { ValidationError } from './errors.js';
+import { groupRetention, rankDeployments } from './retention.js';
+import { compilePattern, createMatcher } from '../utils/patterns.js';
+
+export const DEFAULT_POLICY_FILE = '.cf-bulk-delete.yml';
+
+const RULE_FIELDS = [
+  'name',
+  'type',
+  'match',
+  'exclude',
+  'enabled',
+  'keepLatest',
+  'keepLatestPerBranch',
+  'keepLatestPerEnvironment',
+  'maxAge',
+  'environments',
+  'skipProduction',
+  'branches',
+  'excludeBranches',
+  'protect'
+];
+
+function toList(value) {
+  return value === undefined || value === null ? [] : [].concat(value);
+}
+
+function validateRule(rule, label) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  if (!['pages', 'workers'].includes(rule.type)) {
+    throw new Error(`${label}.type must be "pages" or "workers"`);
+  }
+
+  if (toList(rule.match).length === 0) {
+    throw new Error(`${label}.match must list at least one resource name pattern`);
+  }
+
+  ['match', 'exclude', 'branches', 'excludeBranches'].forEach(field => {
+    toList(rule[field]).forEach(pattern => {
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        throw new Error(`${label}.${field}: ${error.message}`);
+      }
+    });
+  });
+
+  ['keepLatest', 'keepLatestPerBranch', 'keepLatestPerEnvironment', 'maxAge'].forEach(field => {
+    if (rule[field] !== undefined && (!Number.isInteger(rule[field]) || rule[field] < 0)) {
+      throw new Error(`${label}.${field} must be a non-negative integer`);
+    }
+  });
+
+  ['enabled', 'skipProduction'].forEach(field => {
+    if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+      throw new Error(`${label}.${field} must be true or false`);
+    }
+  });
+}
+
+/**
+ * Validate a parsed policy and fill in rule defaults
+ * Top-level `defaults` apply to every rule; fields set on a rule win.
+ */
+export function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.rules)) {
+    throw new Error('Policy must contain a "rules" list');
+  }
+
+  const defaults = policy.defaults || {};
+
+  const rules = policy.rules.map((rule, index) => {
+    const label = `rules[${index}]`;
+    const merged = { ...defaults, ...rule };
+
+    validateRule(merged, label);
+
+    return {
+      name: merged.name || label,
+      type: merged.type,
+      match: toList(merged.match),
+      exclude: toList(merged.exclude),
+      enabled: merged.enabled !== false,
+      keepLatest: merged.keepLatest ?? 1,
+      keepLatestPerBranch: merged.keepLatestPerBranch ?? 0,
+      keepLatestPerEnvironment: merged.keepLatestPerEnvironment ?? 0,
+      maxAge: merged.maxAge ?? null,
+      environments: toList(merged.environments),
+      skipProduction: merged.skipProduction ?? merged.type === 'pages',
+      branches: toList(merged.branches),
+      excludeBranches: toList(merged.excludeBranches),
+      protect: toList(merged.protect).map(String)
+    };
+  });
+
+  return { version: policy.version ?? 1, rules };
+}
+
+/**
+ * Parse policy file content; JSON files are parsed strictly, everything else as YAML
+ */
+export function parsePolicy(content, filePath = DEFAULT_POLICY_FILE) {
+  const document =
+    extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : parseYaml(content);
+
+  return normalizePolicy(document);
+}
+
+/**
+ * Read and validate a policy file
+ */
+export async function loadPolicy(filePath = DEFAULT_POLICY_FILE) {
+  let content;
+
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Cannot read policy file ${filePath}: ${error.message}`, {
+      cause: error
+    });
+  }
+
+  try {
+    return parsePolicy(content, filePath);
+  } catch (error) {
+    throw new ValidationError(`Invalid policy file ${filePath}: ${error.message}`, {
+      cause: error
+    });
+  }
+}
+
+/**
+ * First rule whose patterns select the resource, enabled or not
+ * Rules are checked in file order so specific rules should come before catch-alls.
+ * A disabled rule still claims its resources, which keeps later catch-alls away from them.
+ */
+export function findRule(policy, resourceType, resourceName) {
+  return (
+    policy.rules.find(
+      rule =>
+        rule.type === resourceType &&
+        createMatcher(rule.match)(resourceName) &&
+        !(rule.exclude.length > 0 && createMatcher(rule.exclude)(resourceName))
+    ) || null
+  );
+}
+
+/**
+ * Decide which deployments of one resource a rule deletes
+ * Deployments outside the rule's filters are left out; kept deployments are reported with a reason.
+ */
+export function planDeployments(deployments, rule) {
+  const sorted = [...deployments].sort((a, b) => new Date(b.created_on) - new Date(a.created_on));
+  const ranks = rankDeployments(sorted);
+  const inBranch = rule.branches.length > 0 ? createMatcher(rule.branches) : null;
+  const inExcludedBranch =
+    rule.excludeBranches.length > 0 ? createMatcher(rule.excludeBranches) : null;
+  const cutoff = rule.maxAge !== null ? dayjs().subtract(rule.maxAge, 'day') : null;
+
+  const deploymentsToDelete = [];
+  const skippedDeployments = [];
+
+  sorted.forEach((deployment, index) => {
+    if (index < rule.keepLatest) {
+      skippedDeployments.push({
+        id: deployment.id,
+        decision: 'skipped-latest',
+        reason: `Newest ${rule.keepLatest} kept by policy rule ${rule.name}`
+      });
+      return;
+    }
+
+    const retention = groupRetention(deployment, ranks, rule);
+
+    if (retention) {
+      skippedDeployments.push({
+        id: deployment.id,
+        ...retention,
+        reason: `${retention.reason} by policy rule ${rule.name}`
+      });
+      return;
+    }
+
+    if (rule.protect.includes(deployment.id)) {
+      skippedDeployments.push({
+        id: deployment.id,
+        decision: 'skipped-protected',
+        reason: `Protected by policy rule ${rule.name}`
+      });
+      return;
+    }
+
+    if (rule.skipProduction && deployment.environment === 'production') {
+      skippedDeployments.push({
+        id: deployment.id,
+        decision: 'skipped-production',
+        reason: `Production deployment kept by policy rule ${rule.name}`
+      });
+      return;
+    }
+
+    if (rule.environments.length > 0 && !rule.environments.includes(deployment.environment)) {
+      return;
+    }
+
+    if (cutoff && !dayjs(deployment.created_on).isBefore(cutoff)) {
+      return;
+    }
+
+    const { branch } = describeDeployment(deployment);
+
+    if (inBranch && !(branch && inBranch(branch))) {
+      return;
+    }
+
+    if (inExcludedBranch && inExcludedBranch(branch)) {
+      return;
+    }
+
+    deploymentsToDelete.push(deployment);
+  });
+
+  return { deploymentsToDelete, skippedDeployments };
+}
@@ -0,0 +1,140 @@
+import pLimit from 'p-limit';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Adaptive token-bucket rate limiter
+ * Caps concurrent requests and paces them at a request rate that halves
+ * after Cloudflare throttles us and recovers after a window of clean responses
+ */
+export class AdaptiveRateLimiter {
+  constructor(options = {}) {
+    const {
+      concurrent = 5,
+      requestsPerSecond = 4,
+      minRequestsPerSecond = 0.5,
+      maxRequestsPerSecond = 8,
+      recoveryWindow = 20,
+      burst = concurrent
+    } = options;
+
+    this.concurrent = concurrent;
+    this.rate = requestsPerSecond;
+    this.minRate = minRequestsPerSecond;
+    this.maxRate = Math.max(maxRequestsPerSecond, requestsPerSecond);
+    this.recoveryWindow = recoveryWindow;
+    this.burst = burst;
+
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.lastSlowdown = 0;
+    this.pausedUntil = 0;
+    this.cleanResponses = 0;
+    this.limit = pLimit(concurrent);
+  }
+
+  /**
+   * Current request rate in requests per second
+   */
+  get currentRate() {
+    return this.rate;
+  }
+
+  /**
+   * Run a request once a concurrency slot and a token are available
+   */
+  schedule(requestFn) {
+    return this.limit(async () => {
+      await this.acquire();
+      return requestFn();
+    });
+  }
+
+  /**
+   * Wait until the bucket holds a token, then take it
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill(now);
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+
+  refill(now) {
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Record a response that was not throttled; speeds up after a clean window
+   */
+  recordSuccess() {
+    this.cleanResponses++;
+
+    if (this.cleanResponses >= this.recoveryWindow && this.rate < this.maxRate) {
+      const previousRate = this.rate;
+      this.rate = Math.min(this.maxRate, this.rate * 1.25);
+      this.cleanResponses = 0;
+      logger.debug(
+        `Rate limiter speeding up: ${previousRate.toFixed(2)} -> ${this.rate.toFixed(2)} req/s`
+      );
+    }
+  }
+
+  /**
+   * Record a 429 response; halves the rate and pauses for Retry-After when given
+   */
+  recordThrottle(retryAfterMs = null) {
+    const now = Date.now();
+    this.cleanResponses = 0;
+    this.tokens = 0;
+
+    if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + retryAfterMs);
+    }
+
+    // Requests already in flight tend to be throttled together; count them as one signal
+    if (now - this.lastSlowdown < 1000) {
+      return;
+    }
+
+    const previousRate = this.rate;
+    this.rate = Math.max(this.minRate, this.rate / 2);
+    this.lastSlowdown = now;
+    logger.warn(
+      `Cloudflare throttling detected, slowing down: ${previousRate.toFixed(2)} -> ${this.rate.toFixed(2)} req/s`
+    );
+  }
+}
+
+const accountLimiters = new Map();
+
+/**
+ * Get the limiter shared by every client of the same Cloudflare account
+ */
+export function getAccountRateLimiter(accountId, options = config.cloudflare.rateLimit) {
+  if (!accountLimiters.has(accountId)) {
+    accountLimiters.set(accountId, new AdaptiveRateLimiter(options));
+  }
+
+  return accountLimiters.get(accountId);
+}
+
+// Default export
+export default AdaptiveRateLimiter;
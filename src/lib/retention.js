@@ -0,0 +1,75 @@
+/**
+ * Retention helpers for keeping the newest deployments of each group
+ * (for example each branch, so every open pull request keeps its latest preview).
+ */
+
+export const NO_BRANCH = '(no branch)';
+
+export function branchOf(deployment) {
+  return deployment.deployment_trigger?.metadata?.branch || NO_BRANCH;
+}
+
+export function environmentOf(deployment) {
+  return deployment.environment || 'unknown';
+}
+
+/**
+ * Position of every deployment within its group, newest first
+ * @param {Array} deployments - Deployments sorted newest first
+ * @param {Function} groupOf - Returns the group name of a deployment
+ * @returns {Map<string, {group: string, rank: number}>} Zero-based rank by deployment ID
+ */
+export function rankWithinGroups(deployments, groupOf) {
+  const seen = new Map();
+  const ranks = new Map();
+
+  deployments.forEach(deployment => {
+    const group = groupOf(deployment);
+    const rank = seen.get(group) || 0;
+
+    seen.set(group, rank + 1);
+    ranks.set(deployment.id, { group, rank });
+  });
+
+  return ranks;
+}
+
+/**
+ * Why a deployment is kept by per-branch or per-environment retention, or null
+ * @param {object} deployment - Deployment to check
+ * @param {object} ranks - Result of rankDeployments()
+ * @param {object} options - Retention counts (keepLatestPerBranch, keepLatestPerEnvironment)
+ */
+export function groupRetention(deployment, ranks, options = {}) {
+  const { keepLatestPerBranch = 0, keepLatestPerEnvironment = 0 } = options;
+  const byBranch = ranks.branch.get(deployment.id);
+  const byEnvironment = ranks.environment.get(deployment.id);
+
+  if (keepLatestPerBranch > 0 && byBranch.rank < keepLatestPerBranch) {
+    return {
+      decision: 'skipped-latest-branch',
+      group: `branch:${byBranch.group}`,
+      reason: `Newest ${keepLatestPerBranch} of branch ${byBranch.group} kept`
+    };
+  }
+
+  if (keepLatestPerEnvironment > 0 && byEnvironment.rank < keepLatestPerEnvironment) {
+    return {
+      decision: 'skipped-latest-environment',
+      group: `environment:${byEnvironment.group}`,
+      reason: `Newest ${keepLatestPerEnvironment} of environment ${byEnvironment.group} kept`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Rank sorted deployments by branch and by environment
+ */
+export function rankDeployments(sortedDeployments) {
+  return {
+    branch: rankWithinGroups(sortedDeployments, branchOf),
+    environment: rankWithinGroups(sortedDeployments, environmentOf)
+  };
+}
@@ -1,21 +1,68 @@
 import { PagesClient } from './pages-client.js';
 import { WorkersClient } from './workers-client.js';
+import { getAccountRateLimiter } from './rate-limiter.js';
+import { writeFailureReport } from './failure-report.js';
+import { BackupStore, buildSnapshot } from './backup-store.js';
+import { pickAuditedOptions } from './audit-log.js';
+import { CloudflareNotFoundError, PolicyViolationError, ValidationError } from './errors.js';
+import { enforceDeletionLimits, hasDeletionLimits } from './deletion-limits.js';
+import { findRule, planDeployments } from './policy.js';
+import { diagnoseToken } from './token-diagnostics.js';
 import { logger } from '../utils/logger.js';
+import { createMatcher } from '../utils/patterns.js';
 import { config, validateConfig } from '../config/config.js';
 
+/**
+ * Who ran an operation: the API token ID and the local user name
+ */
+function buildOperator(tokenId) {
+  return { tokenId, user: process.env.USER || process.env.USERNAME || null };
+}
+
+/**
+ * Audit outcome of a bulk delete result
+ */
+function describeOutcome(result) {
+  const succeeded = (result.success || 0) + (result.alreadyAbsent || 0);
+  let status = 'completed';
+
+  if (result.failed > 0) {
+    status = succeeded > 0 ? 'partial' : 'failed';
+  }
+
+  return {
+    status,
+    success: result.success || 0,
+    alreadyAbsent: result.alreadyAbsent || 0,
+    failed: result.failed || 0,
+    skipped: result.skipped || 0
+  };
+}
+
 /**
  * Service Manager for managing bulk delete operations
  * on Cloudflare Pages and Workers in a unified way
  */
 export class ServiceManager {
-  constructor(apiToken = config.cloudflare.apiToken, accountId = config.cloudflare.accountId) {
+  /**
+   * @param {object} options - auditLog (AuditLog) to record every delete and destroy in
+   */
+  constructor(
+    apiToken = config.cloudflare.apiToken,
+    accountId = config.cloudflare.accountId,
+    options = {}
+  ) {
     // Validate configuration
-    validateConfig();
+    validateConfig({ apiToken, accountId });
 
-    this.pagesClient = new PagesClient(apiToken, accountId);
-    this.workersClient = new WorkersClient(apiToken, accountId);
+    // Both clients draw from one account-wide request budget
+    this.rateLimiter = getAccountRateLimiter(accountId);
+    this.pagesClient = new PagesClient(apiToken, accountId, { rateLimiter: this.rateLimiter });
+    this.workersClient = new WorkersClient(apiToken, accountId, { rateLimiter: this.rateLimiter });
     this.apiToken = apiToken;
     this.accountId = accountId;
+    this.auditLog = options.auditLog || null;
+    this.operator = null;
   }
 
   /**
@@ -36,6 +83,10 @@ export class ServiceManager {
         overall: pagesValidation.valid && workersValidation.valid
       };
 
+      if (pagesValidation.tokenInfo?.id) {
+        this.operator = buildOperator(pagesValidation.tokenInfo.id);
+      }
+
       if (result.overall) {
         logger.info('All API connections successfully validated');
       } else {
@@ -49,6 +100,60 @@ export class ServiceManager {
     }
   }
 
+  /**
+   * Check that the token can run bulk deletes on this account, without deleting anything
+   * See diagnoseToken() in token-diagnostics.js for the checks
+   */
+  async diagnoseToken(options = {}) {
+    return diagnoseToken(
+      { pagesClient: this.pagesClient, workersClient: this.workersClient },
+      options
+    );
+  }
+
+  /**
+   * Operator recorded in the audit log, resolved once from token verification
+   */
+  async getOperator() {
+    if (!this.operator) {
+      const validation = await this.pagesClient.validateConnection().catch(error => {
+        logger.debug('Could not resolve the token ID for the audit log:', error.message);
+        return {};
+      });
+      this.operator = buildOperator(validation.tokenInfo?.id || null);
+    }
+
+    return this.operator;
+  }
+
+  /**
+   * Append a destructive operation to the audit log, if one is configured
+   * Dry runs delete nothing and are not recorded. A failed write is logged but never
+   * hides the result of a deletion that already happened.
+   */
+  async recordAudit(operation, resourceType, resourceName, event = {}) {
+    const { options = {}, deployments = [], outcome } = event;
+
+    if (!this.auditLog || options.dryRun) {
+      return;
+    }
+
+    try {
+      this.auditLog.append({
+        operation,
+        operator: await this.getOperator(),
+        accountId: this.accountId,
+        resourceType,
+        resourceName,
+        deployments,
+        options: pickAuditedOptions(options),
+        outcome
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit log entry to ${this.auditLog.filePath}:`, error.message);
+    }
+  }
+
   /**
    * List all resources (Pages projects and Workers scripts)
    */
@@ -95,6 +200,61 @@ export class ServiceManager {
     }
   }
 
+  /**
+   * Select resources of one type by glob or /regex/ name patterns
+   * Returns entries ready for bulkDeleteMultipleResources()
+   */
+  async selectResources(resourceType, options = {}) {
+    const { include = [], exclude = [], deploymentOptions = {} } = options;
+
+    if (!['pages', 'workers'].includes(resourceType)) {
+      throw new Error(`Unsupported resource type: ${resourceType}`);
+    }
+
+    if ([].concat(include).length === 0) {
+      throw new ValidationError('At least one resource name pattern is required');
+    }
+
+    // Compiled first, so an invalid pattern fails before any API call
+    const isIncluded = createMatcher(include);
+    const isExcluded = [].concat(exclude).length > 0 ? createMatcher(exclude) : () => false;
+
+    const resources = await this.listAllResources();
+    const selected = resources[resourceType]
+      .filter(resource => isIncluded(resource.name) && !isExcluded(resource.name))
+      .map(resource => ({ type: resourceType, name: resource.name, deploymentOptions }));
+
+    logger.info(
+      `Selected ${selected.length}/${resources[resourceType].length} ${resourceType} resources`
+    );
+    return selected;
+  }
+
+  getClient(resourceType) {
+    if (resourceType === 'pages') {
+      return this.pagesClient;
+    }
+
+    if (resourceType === 'workers') {
+      return this.workersClient;
+    }
+
+    throw new Error(`Unsupported resource type: ${resourceType}`);
+  }
+
+  /**
+   * Apply the client protection rules without deleting anything
+   * Used to show what a bulk delete would do before confirmation
+   */
+  async planBulkDelete(resourceType, resourceName, deployments, options = {}) {
+    const client = this.getClient(resourceType);
+    const liveDeployments = options.allowLive
+      ? new Map()
+      : await client.getLiveDeployments(resourceName, deployments);
+
+    return client.applyProtection(deployments, { ...options, liveDeployments });
+  }
+
   /**
    * List deployments for specific resource
    */
@@ -144,13 +304,104 @@ export class ServiceManager {
     }
   }
 
+  /**
+   * List Worker versions with the share of traffic each one currently serves
+   */
+  async listWorkerVersions(scriptName, options = {}) {
+    logger.info(`Fetching versions for workers "${scriptName}"...`);
+
+    const versions = await this.workersClient.listAllVersions(scriptName, options);
+
+    return versions.map(version => ({
+      ...version,
+      resourceType: 'workers',
+      resourceName: scriptName
+    }));
+  }
+
+  /**
+   * Snapshot a resource's configuration and deployment metadata before deleting from it
+   * @param {object} options - operation ('delete' or 'destroy'), deployments already fetched,
+   *   and the BackupStore to write to
+   * @returns {Promise<{id: string, filePath: string}|null>} null when the resource no longer exists
+   */
+  async backupResource(resourceType, resourceName, options = {}) {
+    const { operation = 'delete', store = new BackupStore() } = options;
+
+    try {
+      const deployments =
+        options.deployments || (await this.listDeployments(resourceType, resourceName));
+      let details;
+
+      if (resourceType === 'pages') {
+        const [project, domains] = await Promise.all([
+          this.pagesClient.getProject(resourceName),
+          this.pagesClient.listDomains(resourceName)
+        ]);
+        details = { project, domains };
+      } else if (resourceType === 'workers') {
+        details = { settings: await this.workersClient.getScriptSettings(resourceName) };
+      } else {
+        throw new Error(`Unsupported resource type: ${resourceType}`);
+      }
+
+      const backup = await store.save(
+        buildSnapshot({
+          operation,
+          accountId: this.accountId,
+          resourceType,
+          resourceName,
+          deployments,
+          ...details
+        })
+      );
+
+      logger.info(`Backed up ${resourceType} "${resourceName}" to ${backup.filePath}`);
+      return backup;
+    } catch (error) {
+      if (error instanceof CloudflareNotFoundError) {
+        logger.info(`Nothing to back up: ${resourceType} "${resourceName}" no longer exists`);
+        return null;
+      }
+
+      throw new Error(
+        `Backup of ${resourceType} "${resourceName}" failed, nothing was deleted: ${error.message}. Run without --backup to delete without a snapshot`,
+        { cause: error }
+      );
+    }
+  }
+
+  /**
+   * Snapshot before a delete when `options.backup` is true or a BackupStore
+   * Dry runs delete nothing, so they write no backup
+   */
+  async takeBackup(resourceType, resourceName, options, operation, deployments) {
+    if (!options.backup || options.dryRun) {
+      return null;
+    }
+
+    return this.backupResource(resourceType, resourceName, {
+      operation,
+      deployments,
+      ...(options.backup instanceof BackupStore && { store: options.backup })
+    });
+  }
+
   /**
    * Bulk delete deployments for specific resource
+   * Pass `options.backup` (true or a BackupStore) to snapshot the resource first
    */
   async bulkDeleteDeployments(resourceType, resourceName, deployments, options = {}) {
     logger.info(`Starting bulk delete for ${resourceType} "${resourceName}"...`);
 
     try {
+      const backup = await this.takeBackup(
+        resourceType,
+        resourceName,
+        options,
+        'delete',
+        deployments
+      );
       let result;
 
       if (resourceType === 'pages') {
@@ -165,16 +416,274 @@ export class ServiceManager {
       result.resourceType = resourceType;
       result.resourceName = resourceName;
 
+      if (backup) {
+        result.backup = backup;
+      }
+
+      await this.recordAudit('delete', resourceType, resourceName, {
+        options,
+        deployments: (result.results || []).map(({ id, status }) => ({ id, status })),
+        outcome: describeOutcome(result)
+      });
+
+      // The deletions already happened; a report that cannot be written must not hide them
+      if (options.failuresFile && !result.dryRun) {
+        try {
+          await writeFailureReport(options.failuresFile, result);
+          result.failuresFile = options.failuresFile;
+          logger.info(`${result.failed} failed deployment IDs written to ${options.failuresFile}`);
+        } catch (error) {
+          logger.error(
+            `Could not write the failure report ${options.failuresFile}:`,
+            error.message
+          );
+        }
+      }
+
       return result;
     } catch (error) {
       logger.error(`Failed bulk delete for ${resourceType} "${resourceName}":`, error.message);
+      await this.recordAudit('delete', resourceType, resourceName, {
+        options,
+        deployments: (deployments || []).map(({ id }) => ({ id, status: 'not-deleted' })),
+        outcome: { status: 'error', error: error.message }
+      });
       throw error;
     }
   }
 
+  /**
+   * Record a bulk delete that was interrupted before bulkDeleteDeployments returned
+   * The journal tells which planned deployments were deleted, failed or never attempted
+   */
+  async recordInterruptedDelete(journal, options = {}) {
+    if (!journal?.plan) {
+      return;
+    }
+
+    const { resourceType, resourceName, deployments } = journal.plan;
+    const summary = journal.getSummary();
+    const statusOf = id => {
+      if (journal.isCompleted(id)) return 'deleted';
+      return journal.failed.has(id) ? 'failed' : 'not-deleted';
+    };
+
+    await this.recordAudit('delete', resourceType, resourceName, {
+      options,
+      deployments: deployments.map(({ id }) => ({ id, status: statusOf(id) })),
+      outcome: {
+        status: 'interrupted',
+        success: summary.completed,
+        failed: summary.failed,
+        notAttempted: summary.planned - summary.completed - summary.failed
+      }
+    });
+  }
+
+  /**
+   * Resume an interrupted bulk delete from its checkpoint journal
+   * Only planned deployments not yet confirmed deleted are attempted again
+   */
+  async resumeBulkDelete(journal, options = {}) {
+    const { resourceType, resourceName, deployments } = journal.plan;
+
+    return this.bulkDeleteDeployments(resourceType, resourceName, deployments, {
+      ...options,
+      journal
+    });
+  }
+
+  /**
+   * Retry only the deployments listed in a previous run's failure report
+   * Protection rules were applied when those deployments were first selected. The deployments
+   * are listed again so the live check sees their current versions and aliases.
+   */
+  async retryFailures(report, options = {}) {
+    const { resourceType, resourceName, failures } = report;
+
+    logger.info(
+      `Retrying ${failures.length} failed deployments for ${resourceType} "${resourceName}"...`
+    );
+
+    const listed = options.allowLive ? [] : await this.listDeployments(resourceType, resourceName);
+    const byId = new Map(listed.map(deployment => [deployment.id, deployment]));
+    // Deployments no longer listed are already gone and end up as already absent
+    const deployments = failures.map(failure => byId.get(failure.id) || { id: failure.id });
+
+    // Only the failed deployments are known, so a share of the total cannot be computed
+    return this.bulkDeleteDeployments(resourceType, resourceName, deployments, {
+      ...options,
+      skipProduction: false,
+      skipLatest: false,
+      keepLatest: 0,
+      maxDeletionPercent: null
+    });
+  }
+
+  /**
+   * Plan a cleanup policy across every Pages project and Workers script
+   * Resources without a matching rule, or whose first matching rule is disabled, are left untouched.
+   * Live deployments are listed as live-protected skips unless `options.allowLive` is set,
+   * so the planned count is what a delete actually removes.
+   */
+  async planPolicy(policy, options = {}) {
+    const { allowLive = false } = options;
+    const resources = await this.listAllResources();
+    const plan = [];
+
+    for (const resource of [...resources.pages, ...resources.workers]) {
+      const rule = findRule(policy, resource.type, resource.name);
+
+      if (!rule || !rule.enabled) {
+        continue;
+      }
+
+      const deployments = await this.listDeployments(resource.type, resource.name);
+      const planned = planDeployments(deployments, rule);
+      const liveDeployments = allowLive
+        ? new Map()
+        : await this.getClient(resource.type).getLiveDeployments(resource.name, deployments);
+      const deploymentsToDelete = planned.deploymentsToDelete.filter(
+        deployment => !liveDeployments.has(deployment.id)
+      );
+      const skippedDeployments = [
+        ...planned.skippedDeployments,
+        ...planned.deploymentsToDelete
+          .filter(deployment => liveDeployments.has(deployment.id))
+          .map(deployment => ({
+            id: deployment.id,
+            decision: 'live-protected',
+            reason: liveDeployments.get(deployment.id)
+          }))
+      ];
+
+      plan.push({
+        resourceType: resource.type,
+        resourceName: resource.name,
+        rule: rule.name,
+        total: deployments.length,
+        deployments: deploymentsToDelete,
+        skippedDeployments
+      });
+    }
+
+    logger.info(
+      `Policy plan: ${plan.reduce((sum, entry) => sum + entry.deployments.length, 0)} deployments to delete across ${plan.length} resources`
+    );
+
+    return plan;
+  }
+
+  /**
+   * Plan and execute a cleanup policy
+   * Pass `options.plan` to execute a plan that was already reviewed instead of planning again
+   * maxDeletions and maxDeletionPercent apply to the combined plan of all resources.
+   * totalErrors counts deployments not deleted; failedResources the resources that errored
+   */
+  async applyPolicy(policy, options = {}) {
+    const {
+      dryRun = false,
+      plan = await this.planPolicy(policy, { allowLive: options.allowLive }),
+      maxDeletions = config.cli.maxDeletions,
+      maxDeletionPercent = config.cli.maxDeletionPercent,
+      ...deleteOptions
+    } = options;
+
+    enforceDeletionLimits(
+      {
+        label: `the policy plan (${plan.length} resources)`,
+        toDelete: plan.reduce((sum, entry) => sum + entry.deployments.length, 0),
+        total: plan.reduce((sum, entry) => sum + entry.total, 0)
+      },
+      { maxDeletions, maxDeletionPercent, dryRun }
+    );
+
+    const results = [];
+    let totalDeleted = 0;
+    let totalAlreadyAbsent = 0;
+    let totalErrors = 0;
+    let failedResources = 0;
+
+    for (const entry of plan) {
+      const { resourceType, resourceName, rule, deployments, skippedDeployments } = entry;
+
+      if (deployments.length === 0) {
+        results.push({
+          resourceType,
+          resourceName,
+          rule,
+          success: 0,
+          failed: 0,
+          skipped: skippedDeployments.length,
+          total: entry.total,
+          skippedDeployments,
+          message: 'Nothing to delete'
+        });
+        continue;
+      }
+
+      try {
+        // The policy already applied its own protection rules and the limits were checked above
+        const result = await this.bulkDeleteDeployments(resourceType, resourceName, deployments, {
+          ...deleteOptions,
+          dryRun,
+          skipProduction: false,
+          skipLatest: false,
+          keepLatest: 0,
+          maxDeletions: null,
+          maxDeletionPercent: null
+        });
+
+        // Live deployments can still be protected by the client at delete time
+        const allSkipped = [...skippedDeployments, ...(result.skippedDeployments || [])];
+
+        results.push({
+          ...result,
+          rule,
+          skipped: allSkipped.length,
+          total: entry.total,
+          skippedDeployments: allSkipped
+        });
+        totalDeleted += result.success;
+        totalAlreadyAbsent += result.alreadyAbsent || 0;
+        totalErrors += result.failed;
+      } catch (error) {
+        logger.error(`Error applying policy to ${resourceType} "${resourceName}":`, error.message);
+        results.push({
+          resourceType,
+          resourceName,
+          rule,
+          success: 0,
+          failed: deployments.length,
+          skipped: skippedDeployments.length,
+          total: entry.total,
+          error: error.message
+        });
+        // None of the planned deployments were deleted
+        totalErrors += deployments.length;
+        failedResources++;
+      }
+    }
+
+    logger.info(
+      `Policy applied: ${totalDeleted} deployments deleted, ${totalErrors} failed across ${plan.length} resources`
+    );
+
+    return {
+      totalResources: plan.length,
+      totalDeleted,
+      totalAlreadyAbsent,
+      totalErrors,
+      failedResources,
+      results,
+      dryRun
+    };
+  }
+
   /**
    * Delete entire project/script
    * WARNING: This will permanently delete the resource and all its deployments
+   * Pass `options.backup` (true or a BackupStore) to snapshot the resource first
    */
   async deleteResource(resourceType, resourceName, options = {}) {
     logger.info(
@@ -182,6 +691,7 @@ export class ServiceManager {
     );
 
     try {
+      const backup = await this.takeBackup(resourceType, resourceName, options, 'destroy');
       let result;
 
       if (resourceType === 'pages') {
@@ -196,18 +706,176 @@ export class ServiceManager {
       result.resourceType = resourceType;
       result.resourceName = resourceName;
 
+      if (backup) {
+        result.backup = backup;
+      }
+
+      await this.recordAudit('destroy', resourceType, resourceName, {
+        options,
+        outcome: { status: result.alreadyAbsent ? 'already-absent' : 'completed' }
+      });
+
       return result;
     } catch (error) {
       logger.error(`Failed to delete ${resourceType} "${resourceName}":`, error.message);
+      await this.recordAudit('destroy', resourceType, resourceName, {
+        options,
+        outcome: { status: 'error', error: error.message }
+      });
       throw error;
     }
   }
 
+  /**
+   * Recreate a destroyed Pages project from a backup snapshot and re-attach its custom domains
+   * Deployments are not restored, and env var values must be set again: backups keep only names
+   * @param {object} snapshot - Backup loaded with BackupStore.load()
+   * @param {object} options - name to restore under (default: the original name) and dryRun
+   */
+  async restorePagesProject(snapshot, options = {}) {
+    const { name = snapshot.resourceName, dryRun = false } = options;
+
+    if (snapshot.resourceType !== 'pages' || !snapshot.project) {
+      throw new ValidationError(
+        `Backup ${snapshot.id} holds no Pages project configuration; only Pages projects can be restored`
+      );
+    }
+
+    const existing = await this.pagesClient.getProject(name).catch(error => {
+      if (error instanceof CloudflareNotFoundError) {
+        return null;
+      }
+      throw error;
+    });
+
+    if (existing) {
+      throw new ValidationError(
+        `Pages project "${name}" already exists. Restore under another name with --name`
+      );
+    }
+
+    const domainNames = (snapshot.domains || []).map(domain => domain.name || domain);
+    const result = {
+      resourceType: 'pages',
+      resourceName: name,
+      backupId: snapshot.id,
+      created: false,
+      domains: [],
+      // Variables to set again by hand, by environment
+      envVars: Object.fromEntries(
+        Object.entries(snapshot.project.deployment_configs || {}).map(([environment, settings]) => [
+          environment,
+          Object.keys(settings?.env_vars || {})
+        ])
+      ),
+      dryRun
+    };
+
+    if (dryRun) {
+      logger.info(`[DRY RUN] Would recreate Pages project "${name}" from backup ${snapshot.id}`);
+      result.domains = domainNames.map(domain => ({ name: domain, status: 'would-add' }));
+      return result;
+    }
+
+    await this.pagesClient.createProject(snapshot.project, { name });
+    result.created = true;
+
+    // One domain that cannot be attached (e.g. still bound elsewhere) must not stop the others
+    for (const domain of domainNames) {
+      try {
+        await this.pagesClient.addDomain(name, domain);
+        result.domains.push({ name: domain, status: 'added' });
+      } catch (error) {
+        logger.warn(`Failed to re-attach domain ${domain} to "${name}":`, error.message);
+        result.domains.push({ name: domain, status: 'failed', error: error.message });
+      }
+    }
+
+    logger.info(
+      `Restored Pages project "${name}" from backup ${snapshot.id} (${result.domains.filter(domain => domain.status === 'added').length}/${domainNames.length} domains)`
+    );
+    return result;
+  }
+
+  /**
+   * Plan every resource of a multi-resource delete and check the plan against the deletion limits
+   * A resource that cannot be planned aborts the delete, since the limits cannot cover it
+   * @returns {Map} Deployments fetched per resource; exactly these are then deleted
+   * @throws {PolicyViolationError} When a resource cannot be planned or the plan is too large
+   */
+  async checkDeletionLimits(resources, limits, deleteOptionsFor) {
+    const fetched = new Map();
+    let toDelete = 0;
+    let total = 0;
+
+    for (const resource of resources) {
+      const { type, name, deploymentOptions = {} } = resource;
+
+      try {
+        const deployments =
+          resource.deployments || (await this.listDeployments(type, name, deploymentOptions));
+        const { deploymentsToDelete } = await this.planBulkDelete(
+          type,
+          name,
+          deployments,
+          deleteOptionsFor(type)
+        );
+
+        fetched.set(resource, deployments);
+        toDelete += deploymentsToDelete.length;
+        total += deployments.length;
+      } catch (error) {
+        throw new PolicyViolationError(
+          `Cannot check the deletion limits: planning ${type} "${name}" failed: ${error.message}. Nothing was deleted`,
+          { cause: error }
+        );
+      }
+    }
+
+    enforceDeletionLimits({ label: `${resources.length} resources`, toDelete, total }, limits);
+
+    return fetched;
+  }
+
+  /**
+   * Reject options of a multi-resource delete that only work for one resource
+   * A checkpoint journal and a failure report each hold a single resource's deployments
+   * @throws {ValidationError}
+   */
+  static checkMultiResourceOptions(options = {}) {
+    const unsupported = ['journal', 'failuresFile'].filter(option => options[option]);
+
+    if (unsupported.length > 0) {
+      throw new ValidationError(
+        `${unsupported.join(' and ')} cannot be used when deleting from several resources; delete one resource at a time with bulkDeleteDeployments instead`
+      );
+    }
+  }
+
   /**
    * Bulk delete deployments for multiple resources
+   * maxDeletions and maxDeletionPercent apply to the combined plan of all resources.
+   * totalErrors counts deployments that failed to delete; failedResources the resources
+   * that could not be processed at all
+   * @throws {ValidationError} When given journal or failuresFile
    */
   async bulkDeleteMultipleResources(resources, options = {}) {
-    const { dryRun = false, skipProduction = true, skipLatest = true } = options;
+    const {
+      dryRun = false,
+      skipProduction = true,
+      skipLatest = true,
+      keepLatest,
+      keepLatestPerBranch,
+      keepLatestPerEnvironment,
+      force,
+      allowLive,
+      batchSize,
+      backup,
+      maxDeletions = config.cli.maxDeletions,
+      maxDeletionPercent = config.cli.maxDeletionPercent
+    } = options;
+
+    ServiceManager.checkMultiResourceOptions(options);
 
     if (!Array.isArray(resources) || resources.length === 0) {
       throw new Error('No resources selected for bulk delete');
@@ -215,16 +883,46 @@ export class ServiceManager {
 
     logger.info(`Starting bulk delete for ${resources.length} resources...`);
 
+    const deleteOptionsFor = type => ({
+      dryRun,
+      skipProduction: type === 'pages' ? skipProduction : false,
+      skipLatest: type === 'workers' ? skipLatest : false,
+      keepLatest,
+      keepLatestPerBranch,
+      keepLatestPerEnvironment,
+      force,
+      allowLive,
+      batchSize,
+      backup,
+      // Checked once for the combined plan instead of per resource
+      maxDeletions: null,
+      maxDeletionPercent: null
+    });
+
+    // Abort before the first deletion when the combined plan is too large
+    const limitsChecked = hasDeletionLimits({ maxDeletions, maxDeletionPercent });
+    const fetched = limitsChecked
+      ? await this.checkDeletionLimits(
+          resources,
+          { maxDeletions, maxDeletionPercent, dryRun },
+          deleteOptionsFor
+        )
+      : new Map();
+
     const results = [];
     let totalDeleted = 0;
+    let totalAlreadyAbsent = 0;
     let totalErrors = 0;
+    let failedResources = 0;
 
     for (const resource of resources) {
       const { type, name, deploymentOptions = {} } = resource;
 
       try {
-        // Get deployments for this resource
-        const deployments = await this.listDeployments(type, name, deploymentOptions);
+        // Delete exactly the deployments checked against the limits; list the others now
+        const deployments = limitsChecked
+          ? fetched.get(resource)
+          : resource.deployments || (await this.listDeployments(type, name, deploymentOptions));
 
         if (deployments.length === 0) {
           logger.info(`No deployments for ${type} "${name}"`);
@@ -241,42 +939,45 @@ export class ServiceManager {
         }
 
         // Perform bulk delete
-        const deleteOptions = {
-          dryRun,
-          skipProduction: type === 'pages' ? skipProduction : false,
-          skipLatest: type === 'workers' ? skipLatest : false
-        };
-
-        const result = await this.bulkDeleteDeployments(type, name, deployments, deleteOptions);
+        const result = await this.bulkDeleteDeployments(
+          type,
+          name,
+          deployments,
+          deleteOptionsFor(type)
+        );
         results.push(result);
 
         totalDeleted += result.success;
+        totalAlreadyAbsent += result.alreadyAbsent || 0;
         totalErrors += result.failed;
       } catch (error) {
         logger.error(`Error processing ${type} "${name}":`, error.message);
+        // How many deployments it would have deleted is unknown; count the resource instead
         results.push({
           resourceType: type,
           resourceName: name,
           success: 0,
-          failed: 1,
+          failed: 0,
           skipped: 0,
           total: 0,
           error: error.message
         });
-        totalErrors++;
+        failedResources++;
       }
     }
 
     const summary = {
       totalResources: resources.length,
       totalDeleted,
+      totalAlreadyAbsent,
       totalErrors,
+      failedResources,
       results,
       dryRun
     };
 
     logger.info(
-      `Bulk delete completed: ${totalDeleted} deployments deleted, ${totalErrors} errors`
+      `Bulk delete completed: ${totalDeleted} deployments deleted, ${totalErrors} failed, ${failedResources} resources failed`
     );
     return summary;
   }
@@ -0,0 +1,275 @@
+import { randomBytes } from 'node:crypto';
+import {
+  buildCloudflareApiTokenTemplateUrl,
+  REQUIRED_TOKEN_PERMISSIONS
+} from '../config/cloudflare-token-template.js';
+import { CloudflareAuthError, CloudflareNotFoundError } from './errors.js';
+
+// Tokens expiring sooner than this are reported as a warning
+export const EXPIRY_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function check(name, status, message) {
+  return { name, status, message };
+}
+
+/**
+ * Check the verification result of a token: status, activation date and expiry
+ * @param {object} tokenInfo - Result of /tokens/verify: status, not_before, expires_on
+ */
+export function checkTokenValidity(tokenInfo = {}, now = new Date()) {
+  const checks = [];
+
+  checks.push(
+    tokenInfo.status === 'active'
+      ? check('status', 'ok', 'Token is active')
+      : check('status', 'fail', `Token status is ${tokenInfo.status || 'unknown'}, not active`)
+  );
+
+  if (tokenInfo.not_before && new Date(tokenInfo.not_before) > now) {
+    checks.push(check('not-before', 'fail', `Token is not valid before ${tokenInfo.not_before}`));
+  }
+
+  if (!tokenInfo.expires_on) {
+    checks.push(check('expiry', 'ok', 'Token does not expire'));
+  } else {
+    const remainingMs = new Date(tokenInfo.expires_on) - now;
+
+    if (remainingMs <= 0) {
+      checks.push(check('expiry', 'fail', `Token expired on ${tokenInfo.expires_on}`));
+    } else if (remainingMs < EXPIRY_WARNING_DAYS * DAY_MS) {
+      checks.push(
+        check(
+          'expiry',
+          'warn',
+          `Token expires on ${tokenInfo.expires_on}, in ${Math.ceil(remainingMs / DAY_MS)} days`
+        )
+      );
+    } else {
+      checks.push(check('expiry', 'ok', `Token expires on ${tokenInfo.expires_on}`));
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Whether a policy applies to the account
+ * Policies without resources, or scoped to every account, apply to all of them
+ */
+function coversAccount(policy, accountId) {
+  const resources = Object.keys(policy.resources || {});
+
+  return (
+    resources.length === 0 ||
+    resources.includes(`com.cloudflare.api.account.${accountId}`) ||
+    resources.includes('com.cloudflare.api.account.*')
+  );
+}
+
+/**
+ * Required permissions that no allow policy of the token grants on the account
+ * A deny policy for the account removes the permission again
+ * @param {Array} policies - Policies of the token: effect, resources and permission_groups
+ */
+export function findMissingPermissions(
+  policies = [],
+  accountId,
+  required = REQUIRED_TOKEN_PERMISSIONS
+) {
+  const groupsWith = effect =>
+    new Set(
+      policies
+        .filter(policy => policy.effect === effect && coversAccount(policy, accountId))
+        .flatMap(policy => (policy.permission_groups || []).map(group => group.name))
+    );
+  const allowed = groupsWith('allow');
+  const denied = groupsWith('deny');
+
+  return required.filter(
+    permission => !allowed.has(permission.permissionGroup) || denied.has(permission.permissionGroup)
+  );
+}
+
+/**
+ * Describe the client IP restrictions of a token
+ * @param {object} condition - Token condition: request_ip.in and request_ip.not_in CIDR lists
+ */
+export function checkIpRestrictions(condition = {}) {
+  const allowed = condition?.request_ip?.in || [];
+  const blocked = condition?.request_ip?.not_in || [];
+
+  if (allowed.length === 0 && blocked.length === 0) {
+    return check('ip-restrictions', 'ok', 'Token has no client IP restrictions');
+  }
+
+  const rules = [
+    allowed.length > 0 && `only from ${allowed.join(', ')}`,
+    blocked.length > 0 && `never from ${blocked.join(', ')}`
+  ].filter(Boolean);
+
+  return check(
+    'ip-restrictions',
+    'warn',
+    `Token works ${rules.join(' and ')}; runs from other addresses, such as CI runners, get 403`
+  );
+}
+
+/**
+ * Run a request and classify the answer as granted or denied
+ * A 404 means the token passed the permission check before the lookup failed
+ */
+async function probe(request) {
+  try {
+    await request();
+    return { status: 'granted' };
+  } catch (error) {
+    if (error instanceof CloudflareNotFoundError) {
+      return { status: 'granted' };
+    }
+
+    if (error instanceof CloudflareAuthError) {
+      return { status: 'denied', error: error.message };
+    }
+
+    return { status: 'unknown', error: error.message };
+  }
+}
+
+/**
+ * Probe read and write access of one service without changing anything
+ * Writing is tested by deleting a deployment of a resource that cannot exist: a token with
+ * write access gets 404, one without gets 403.
+ */
+async function probeService(client, readEndpoint, writeEndpoint) {
+  const read = await probe(() => client.get(readEndpoint));
+  const write = await probe(() => client.delete(writeEndpoint));
+
+  return { read, write };
+}
+
+function probeChecks(service, access) {
+  return ['read', 'write'].map(mode => {
+    const result = access[mode];
+    const name = `${service}-${mode}`;
+
+    if (result.status === 'granted') {
+      return check(name, 'ok', `Can ${mode} ${service}`);
+    }
+
+    if (result.status === 'denied') {
+      return check(name, 'fail', `Cannot ${mode} ${service}: ${result.error}`);
+    }
+
+    return check(name, 'warn', `Could not check ${mode} access to ${service}: ${result.error}`);
+  });
+}
+
+/**
+ * Diagnose whether a token can run bulk deletes on an account, without deleting anything
+ * Verifies the token, reads its policies and IP restrictions when the token may read its own
+ * details, and probes read and write access to Pages and Workers.
+ * @param {object} clients - pagesClient and workersClient of the account
+ * @returns {Promise<{healthy: boolean, accountId: string, tokenId: string|null, checks: Array,
+ *   missingPermissions: Array, fixUrl: string|null}>}
+ *   Every check has a name, a status (ok, warn, fail or skip) and a message
+ */
+export async function diagnoseToken({ pagesClient, workersClient }, options = {}) {
+  const { now = new Date() } = options;
+  const { accountId } = pagesClient;
+  const checks = [];
+  const missing = new Map();
+  const markMissing = permission => missing.set(permission.key, permission);
+
+  const verification = await pagesClient.validateConnection();
+
+  // An unusable token needs replacing; probing its permissions would only repeat that
+  if (!verification.valid) {
+    return {
+      healthy: false,
+      accountId,
+      tokenId: null,
+      checks: [check('token', 'fail', verification.error)],
+      missingPermissions: [],
+      fixUrl: buildCloudflareApiTokenTemplateUrl({ accountId })
+    };
+  }
+
+  const tokenInfo = verification.tokenInfo || {};
+  checks.push(check('token', 'ok', `Token ${tokenInfo.id} verified (${verification.method})`));
+  checks.push(...checkTokenValidity(tokenInfo, now));
+
+  // Reading its own policies needs the API Tokens Read permission, which most tokens lack
+  const detailsEndpoint =
+    verification.method === 'account-specific'
+      ? `/accounts/${accountId}/tokens/${tokenInfo.id}`
+      : `/user/tokens/${tokenInfo.id}`;
+
+  try {
+    const details = (await pagesClient.get(detailsEndpoint)).result || {};
+    const missingFromPolicies = findMissingPermissions(details.policies, accountId);
+
+    missingFromPolicies.forEach(markMissing);
+    checks.push(
+      missingFromPolicies.length === 0
+        ? check('policies', 'ok', 'Token policies grant every required permission')
+        : check(
+            'policies',
+            'fail',
+            `Token policies do not grant ${missingFromPolicies.map(permission => permission.label).join(', ')} on account ${accountId}`
+          )
+    );
+    checks.push(checkIpRestrictions(details.condition));
+  } catch (error) {
+    checks.push(
+      check(
+        'policies',
+        'skip',
+        `Token policies and IP restrictions are not readable (${error.message}); relying on the access probes`
+      )
+    );
+  }
+
+  // Names no real resource has, so the write probes can only ever hit 404 or 403
+  const probeId = `cf-bulk-delete-doctor-${randomBytes(8).toString('hex')}`;
+
+  const pagesAccess = await probeService(
+    pagesClient,
+    `/accounts/${accountId}/pages/projects`,
+    `/accounts/${accountId}/pages/projects/${probeId}/deployments/${probeId}`
+  );
+  const workersAccess = await probeService(
+    workersClient,
+    `/accounts/${accountId}/workers/scripts`,
+    `/accounts/${accountId}/workers/scripts/${probeId}/deployments/${probeId}`
+  );
+
+  checks.push(...probeChecks('pages', pagesAccess), ...probeChecks('workers', workersAccess));
+
+  if ([pagesAccess.read, pagesAccess.write].some(result => result.status === 'denied')) {
+    markMissing(REQUIRED_TOKEN_PERMISSIONS.find(permission => permission.key === 'page'));
+  }
+
+  if ([workersAccess.read, workersAccess.write].some(result => result.status === 'denied')) {
+    markMissing(
+      REQUIRED_TOKEN_PERMISSIONS.find(permission => permission.key === 'workers_scripts')
+    );
+  }
+
+  const missingPermissions = REQUIRED_TOKEN_PERMISSIONS.filter(permission =>
+    missing.has(permission.key)
+  );
+
+  const healthy = !checks.some(result => result.status === 'fail');
+
+  return {
+    healthy,
+    accountId,
+    tokenId: tokenInfo.id || null,
+    checks,
+    missingPermissions,
+    // A token template with every required permission, limited to this account
+    fixUrl: healthy ? null : buildCloudflareApiTokenTemplateUrl({ accountId })
+  };
+}
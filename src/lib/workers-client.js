@@ -1,14 +1,41 @@
 import { CloudflareClient } from './cloudflare-client.js';
+import { enforceDeletionLimits } from './deletion-limits.js';
+import { CloudflareNotFoundError, PolicyViolationError } from './errors.js';
 import { logger, ProgressLogger } from '../utils/logger.js';
+import { config } from '../config/config.js';
 import dayjs from 'dayjs';
 
+/**
+ * Summarize how a deployment splits traffic, e.g. `a1b2c3d4 90%, e5f6a7b8 10%`
+ */
+function describeTraffic(versions) {
+  return versions
+    .map(version => `${String(version.version_id).slice(0, 8)} ${version.percentage}%`)
+    .join(', ');
+}
+
+function normalizeDeployment(deployment) {
+  const versions = deployment.versions || [];
+
+  return {
+    ...deployment,
+    versions,
+    version: versions.map(version => String(version.version_id).slice(0, 8)).join(', '),
+    traffic: describeTraffic(versions)
+  };
+}
+
+function sortNewestFirst(items) {
+  return [...items].sort((a, b) => new Date(b.created_on) - new Date(a.created_on));
+}
+
 /**
  * Cloudflare Workers Client
  * Specialized for handling Cloudflare Workers deployments operations
  */
 export class WorkersClient extends CloudflareClient {
-  constructor(apiToken, accountId) {
-    super(apiToken, accountId);
+  constructor(apiToken, accountId, options = {}) {
+    super(apiToken, accountId, options);
     this.serviceType = 'workers';
   }
 
@@ -52,49 +79,59 @@ export class WorkersClient extends CloudflareClient {
   }
 
   /**
-   * List deployments for specific Worker script
-   * Note: Workers uses different concept - each deployment is a script version
+   * Get the settings of a script: bindings, compatibility date and flags, usage model
    */
-  async listDeployments(scriptName, options = {}) {
-    try {
-      const { page = 1, perPage = 25 } = options;
+  async getScriptSettings(scriptName) {
+    const response = await this.get(
+      `/accounts/${this.accountId}/workers/scripts/${scriptName}/settings`
+    );
 
-      logger.info(`Fetching deployment history for Worker ${scriptName} (page ${page})...`);
+    if (!response.success) {
+      throw new Error(`Failed to fetch settings of script ${scriptName}`);
+    }
 
-      const params = {
-        page,
-        per_page: perPage
-      };
+    return response.result;
+  }
+
+  /**
+   * List deployments for specific Worker script, newest first
+   * The first deployment is the active one; each deployment routes traffic to one
+   * or two versions (gradual rollouts) with a percentage per version
+   */
+  async listDeployments(scriptName) {
+    try {
+      logger.info(`Fetching deployment history for Worker ${scriptName}...`);
 
-      // Workers API uses a different endpoint for deployment history
       const response = await this.get(
-        `/accounts/${this.accountId}/workers/scripts/${scriptName}/deployments`,
-        params
+        `/accounts/${this.accountId}/workers/scripts/${scriptName}/deployments`
       );
 
       if (response.success) {
+        const deployments = Array.isArray(response.result)
+          ? response.result
+          : response.result?.deployments || [];
+
         return {
-          deployments: response.result,
+          deployments: sortNewestFirst(deployments.map(normalizeDeployment)),
           pagination: response.result_info || {}
         };
       } else {
         throw new Error(`Failed to fetch deployments for ${scriptName}`);
       }
     } catch (error) {
-      // If deployments endpoint is not available, try script versions
-      logger.debug(`Deployment endpoint not available, trying script versions: ${error.message}`);
-      return await this.listScriptVersions(scriptName, options);
+      logger.error(`Failed to fetch deployments for ${scriptName}:`, error.message);
+      throw error;
     }
   }
 
   /**
-   * List script versions as alternative to deployments
+   * List script versions with pagination
    */
   async listScriptVersions(scriptName, options = {}) {
     try {
       const { page = 1, perPage = 25 } = options;
 
-      logger.info(`Fetching versions for Worker ${scriptName}...`);
+      logger.info(`Fetching versions for Worker ${scriptName} (page ${page})...`);
 
       const params = {
         page,
@@ -111,19 +148,15 @@ export class WorkersClient extends CloudflareClient {
           ? response.result
           : response.result?.items || [];
 
-        // Transform versions to look like deployments for consistency
-        const transformedVersions = versions.map(version => ({
-          id: version.id,
-          created_on: version.created_on,
-          modified_on: version.modified_on,
-          version: version.number,
-          metadata: version.metadata,
-          environment: 'production', // Workers usually production
-          status: 'active' // Assume active if exists
-        }));
-
         return {
-          deployments: transformedVersions,
+          versions: versions.map(version => ({
+            id: version.id,
+            version: version.number,
+            created_on: version.metadata?.created_on || version.created_on,
+            modified_on: version.metadata?.modified_on || version.modified_on,
+            metadata: version.metadata,
+            annotations: version.annotations
+          })),
           pagination: response.result_info || {}
         };
       } else {
@@ -136,29 +169,86 @@ export class WorkersClient extends CloudflareClient {
   }
 
   /**
-   * List ALL deployments/versions for specific Worker script
+   * Get the deployment currently serving traffic for a Worker script
+   * @returns {object|null} The active deployment, or null when the script was never deployed
    */
-  async listAllDeployments(scriptName, options = {}) {
+  async getActiveDeployment(scriptName) {
+    const { deployments } = await this.listDeployments(scriptName);
+    return deployments[0] || null;
+  }
+
+  /**
+   * Deployments that currently serve traffic and must not be deleted
+   * The active deployment, plus any of `deployments` pointing at a version it routes
+   * traffic to, including versions that only take a share of a gradual rollout
+   * @returns {Map<string, string>} Reason by deployment ID
+   */
+  async getLiveDeployments(scriptName, deployments = []) {
+    let activeDeployment;
+
+    try {
+      activeDeployment = await this.getActiveDeployment(scriptName);
+    } catch (error) {
+      throw new PolicyViolationError(
+        `Cannot determine the active deployment of ${scriptName}: ${error.message}. Use --allow-live to skip this check`,
+        { cause: error }
+      );
+    }
+
+    const liveDeployments = new Map();
+
+    if (!activeDeployment) {
+      return liveDeployments;
+    }
+
+    liveDeployments.set(activeDeployment.id, `Active deployment (${activeDeployment.traffic})`);
+
+    // Version IDs never match deployment IDs, so compare them against each deployment's versions
+    const liveVersions = new Map(
+      activeDeployment.versions.map(version => [version.version_id, version.percentage])
+    );
+
+    deployments.forEach(deployment => {
+      const liveVersion = (deployment.versions || []).find(version =>
+        liveVersions.has(version.version_id)
+      );
+
+      if (liveVersion && !liveDeployments.has(deployment.id)) {
+        liveDeployments.set(
+          deployment.id,
+          `Points at version ${String(liveVersion.version_id).slice(0, 8)}, which serves ${liveVersions.get(liveVersion.version_id)}% of traffic`
+        );
+      }
+    });
+
+    return liveDeployments;
+  }
+
+  /**
+   * List ALL versions for specific Worker script, newest first
+   * Each version is annotated with the share of traffic the active deployment sends to it
+   */
+  async listAllVersions(scriptName, options = {}) {
     try {
       const { maxAge = null } = options;
 
-      logger.info(`Fetching all deployments for Worker ${scriptName}...`);
+      logger.info(`Fetching all versions for Worker ${scriptName}...`);
 
-      let allDeployments = [];
+      let allVersions = [];
       let page = 1;
       let hasMore = true;
       const perPage = 100;
 
       while (hasMore) {
-        const result = await this.listDeployments(scriptName, {
+        const result = await this.listScriptVersions(scriptName, {
           page,
           perPage
         });
 
-        const deployments = result.deployments;
-        allDeployments = allDeployments.concat(deployments);
+        const versions = result.versions;
+        allVersions = allVersions.concat(versions);
 
-        hasMore = deployments.length === perPage;
+        hasMore = versions.length === perPage;
         page++;
 
         if (page > 50) {
@@ -168,8 +258,51 @@ export class WorkersClient extends CloudflareClient {
         }
       }
 
-      // Apply age filter if needed
-      let filteredDeployments = allDeployments;
+      const activeDeployment = await this.getActiveDeployment(scriptName);
+      const traffic = new Map(
+        (activeDeployment?.versions || []).map(version => [version.version_id, version.percentage])
+      );
+
+      let filteredVersions = sortNewestFirst(allVersions).map(version => ({
+        ...version,
+        traffic: traffic.get(version.id) || 0,
+        status: traffic.has(version.id) ? 'serving' : 'idle'
+      }));
+
+      if (maxAge) {
+        const cutoffDate = dayjs().subtract(maxAge, 'day');
+        filteredVersions = filteredVersions.filter(version => {
+          return dayjs(version.created_on).isBefore(cutoffDate);
+        });
+        logger.info(
+          `Age-based filter: ${filteredVersions.length} versions older than ${maxAge} days`
+        );
+      }
+
+      logger.info(`Total versions for ${scriptName}: ${filteredVersions.length}`);
+      return filteredVersions;
+    } catch (error) {
+      logger.error(`Failed to fetch all versions for ${scriptName}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List ALL deployments for specific Worker script, newest first
+   * The active deployment is marked with status `active`, older ones with `inactive`
+   */
+  async listAllDeployments(scriptName, options = {}) {
+    try {
+      const { maxAge = null } = options;
+
+      logger.info(`Fetching all deployments for Worker ${scriptName}...`);
+
+      const { deployments } = await this.listDeployments(scriptName);
+
+      let filteredDeployments = deployments.map((deployment, index) => ({
+        ...deployment,
+        status: index === 0 ? 'active' : 'inactive'
+      }));
 
       if (maxAge) {
         const cutoffDate = dayjs().subtract(maxAge, 'day');
@@ -190,7 +323,9 @@ export class WorkersClient extends CloudflareClient {
   }
 
   /**
-   * Delete Worker script version or deployment
+   * Delete a Worker deployment record
+   * The Workers API has no endpoint to delete a single version: versions are only
+   * removed together with the script, so cleanup works on deployment history
    */
   async deleteDeployment(scriptName, deploymentId) {
     try {
@@ -207,7 +342,11 @@ export class WorkersClient extends CloudflareClient {
         throw new Error(`Failed to delete deployment ${deploymentId}`);
       }
     } catch (error) {
-      logger.error(`Failed to delete deployment ${deploymentId}:`, error.message);
+      if (error instanceof CloudflareNotFoundError) {
+        logger.info(`Deployment ${deploymentId} is already absent`);
+      } else {
+        logger.error(`Failed to delete deployment ${deploymentId}:`, error.message);
+      }
       throw error;
     }
   }
@@ -233,9 +372,18 @@ export class WorkersClient extends CloudflareClient {
       const _script = await this.getScript(scriptName);
       logger.info(`Found script "${scriptName}" - proceeding with deletion`);
 
-      const response = await this.delete(
-        `/accounts/${this.accountId}/workers/scripts/${scriptName}`
-      );
+      let response;
+
+      try {
+        response = await this.delete(`/accounts/${this.accountId}/workers/scripts/${scriptName}`);
+      } catch (error) {
+        // Deleted by someone else after the existence check
+        if (error instanceof CloudflareNotFoundError) {
+          logger.info(`Worker script "${scriptName}" is already absent`);
+          return { success: true, alreadyAbsent: true };
+        }
+        throw error;
+      }
 
       if (response.success) {
         logger.info(`✓ Worker script "${scriptName}" successfully deleted`);
@@ -249,26 +397,113 @@ export class WorkersClient extends CloudflareClient {
     }
   }
 
+  /**
+   * Split deployments into those to delete and those kept by protection settings
+   * Deployments or versions serving traffic are always kept; --skip-latest keeps the newest one
+   */
+  applyProtection(deployments, options = {}) {
+    const { skipLatest = true, liveDeployments = new Map() } = options;
+
+    // Sort by creation date so --skip-latest keeps the newest deployment, not the first one returned
+    const sortedDeployments = sortNewestFirst(deployments);
+    const skippedDeployments = [];
+
+    const deploymentsToDelete = sortedDeployments.filter((deployment, index) => {
+      if (liveDeployments.has(deployment.id)) {
+        skippedDeployments.push({
+          id: deployment.id,
+          decision: 'live-protected',
+          reason: liveDeployments.get(deployment.id)
+        });
+        logger.debug(
+          `Skipping live deployment ${deployment.id}: ${liveDeployments.get(deployment.id)}`
+        );
+        return false;
+      }
+
+      if (skipLatest && index === 0) {
+        skippedDeployments.push({
+          id: deployment.id,
+          decision: 'skipped-latest',
+          reason: 'Latest deployment kept (--skip-latest)'
+        });
+        logger.debug(`Skipping latest deployment: ${deployment.id}`);
+        return false;
+      }
+
+      return true;
+    });
+
+    return {
+      deploymentsToDelete,
+      skippedCount: skippedDeployments.length,
+      skippedDeployments
+    };
+  }
+
   /**
    * Bulk delete deployments for specific Worker script
    */
   async bulkDeleteDeployments(scriptName, deployments, options = {}) {
-    const { skipLatest = true, dryRun = false } = options;
+    const {
+      skipLatest = true,
+      dryRun = false,
+      allowLive = false,
+      batchSize = config.cli.batchSize,
+      maxDeletions = config.cli.maxDeletions,
+      maxDeletionPercent = config.cli.maxDeletionPercent,
+      journal = null
+    } = options;
 
     if (!Array.isArray(deployments) || deployments.length === 0) {
       logger.warn('No deployments to delete');
-      return { success: 0, failed: 0, skipped: 0 };
+      return { success: 0, failed: 0, skipped: 0, failures: [], skippedDeployments: [] };
     }
 
-    // Filter latest deployment if needed
-    let deploymentsToDelete = deployments;
-    let skippedCount = 0;
+    let deploymentsToDelete;
+    let skippedCount;
+    let skippedDeployments;
 
-    if (skipLatest && deployments.length > 0) {
-      deploymentsToDelete = deployments.slice(1);
-      skippedCount = 1;
+    // Hard guard independent of --skip-latest: never touch what serves traffic
+    const liveDeployments = allowLive
+      ? new Map()
+      : await this.getLiveDeployments(scriptName, deployments);
 
-      logger.debug(`Skipping latest deployment: ${deployments[0].id}`);
+    if (allowLive) {
+      logger.warn('Live protection disabled: the active deployment will not be checked');
+    }
+
+    if (journal?.plan) {
+      // The latest deployment was already excluded when the plan was recorded
+      deploymentsToDelete = deployments.filter(
+        deployment => !journal.isCompleted(deployment.id) && !liveDeployments.has(deployment.id)
+      );
+      skippedDeployments = deployments
+        .filter(deployment => liveDeployments.has(deployment.id))
+        .map(deployment => ({
+          id: deployment.id,
+          decision: 'live-protected',
+          reason: liveDeployments.get(deployment.id)
+        }));
+      skippedCount = journal.plan.skipped + skippedDeployments.length;
+      logger.info(
+        `Resuming from journal ${journal.filePath}: ${deployments.length - deploymentsToDelete.length}/${deployments.length} deployments already deleted`
+      );
+    } else {
+      ({ deploymentsToDelete, skippedCount, skippedDeployments } = this.applyProtection(
+        deployments,
+        { skipLatest, liveDeployments }
+      ));
+
+      // A resumed plan was already checked when it was recorded
+      enforceDeletionLimits(
+        {
+          label: `${this.serviceType} "${scriptName}"`,
+          toDelete: deploymentsToDelete.length,
+          total: deployments.length
+        },
+        { maxDeletions, maxDeletionPercent, dryRun }
+      );
     }
 
     if (dryRun) {
@@ -277,38 +512,55 @@ export class WorkersClient extends CloudflareClient {
       );
       deploymentsToDelete.forEach(deployment => {
         logger.info(
-          `[DRY RUN] - ${deployment.id} (v${deployment.version || 'unknown'}) - ${deployment.created_on}`
+          `[DRY RUN] - ${deployment.id} (${deployment.version || 'unknown'}) - ${deployment.created_on}`
         );
       });
-      return { success: 0, failed: 0, skipped: skippedCount, dryRun: true };
+      skippedDeployments
+        .filter(skipped => skipped.decision === 'live-protected')
+        .forEach(skipped => {
+          logger.info(`[DRY RUN] Keeping ${skipped.id} [${skipped.decision}]`);
+        });
+      return {
+        success: 0,
+        failed: 0,
+        skipped: skippedCount,
+        failures: [],
+        skippedDeployments,
+        dryRun: true
+      };
     }
 
     logger.info(
       `Starting bulk delete of ${deploymentsToDelete.length} deployments for Worker ${scriptName}...`
     );
 
-    const progressLogger = new ProgressLogger(deploymentsToDelete.length, 'Bulk Delete Workers');
-    let successCount = 0;
-    let failedCount = 0;
-
-    for (const deployment of deploymentsToDelete) {
-      try {
-        await this.deleteDeployment(scriptName, deployment.id);
-        successCount++;
-        progressLogger.increment(deployment.id);
-      } catch (error) {
-        failedCount++;
-        progressLogger.increment(deployment.id, error);
-      }
+    if (journal && !journal.plan) {
+      journal.recordPlan({
+        resourceType: this.serviceType,
+        resourceName: scriptName,
+        deployments: deploymentsToDelete,
+        skipped: skippedCount
+      });
     }
 
+    const progressLogger = new ProgressLogger(deploymentsToDelete.length, 'Bulk Delete Workers', {
+      rateLimiter: this.rateLimiter
+    });
+
+    const results = await this.runDeletions(
+      deploymentsToDelete,
+      deployment => this.deleteDeployment(scriptName, deployment.id),
+      { batchSize, progressLogger, journal }
+    );
+
     const stats = progressLogger.complete();
 
     return {
-      success: successCount,
-      failed: failedCount,
+      ...this.summarizeDeletions(results),
       skipped: skippedCount,
+      skippedDeployments,
       total: deployments.length,
+      results,
       duration: stats.duration,
       rate: stats.rate
     };
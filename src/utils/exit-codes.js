@@ -0,0 +1,65 @@
+import { CloudflareAuthError, PolicyViolationError, ValidationError } from '../lib/errors.js';
+
+/**
+ * Process exit codes of the CLI
+ * Documented in the README so automation can tell what a run actually did
+ */
+export const EXIT_CODES = Object.freeze({
+  SUCCESS: 0,
+  // Unexpected error, or every attempted deletion failed
+  FAILURE: 1,
+  // Some deletions failed; only used with --fail-on-partial
+  PARTIAL_FAILURE: 2,
+  // Invalid arguments, configuration or credentials
+  VALIDATION_ERROR: 3,
+  // Nothing matched, so nothing was deleted
+  NOTHING_TO_DO: 4,
+  // The confirmation prompt was declined
+  CANCELLED: 5,
+  // A safety guard refused the run
+  POLICY_VIOLATION: 6,
+  // Interrupted with Ctrl+C; resumable from the checkpoint journal
+  INTERRUPTED: 130
+});
+
+/**
+ * Exit code for a finished delete run
+ * @param {object} summary - Counts of the run: success, alreadyAbsent and failed
+ * @param {object} options - Exit code options
+ * @param {boolean} options.failOnPartial - Exit non-zero when only some deletions failed
+ * @param {boolean} options.dryRun - Dry runs never delete, so an empty result is not "nothing to do"
+ */
+export function exitCodeForResult(summary = {}, options = {}) {
+  const { failOnPartial = false, dryRun = false } = options;
+  const success = summary.success || 0;
+  const alreadyAbsent = summary.alreadyAbsent || 0;
+  const failed = summary.failed || 0;
+
+  if (failed > 0) {
+    if (success + alreadyAbsent === 0) {
+      return EXIT_CODES.FAILURE;
+    }
+    return failOnPartial ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
+  }
+
+  if (!dryRun && success + alreadyAbsent === 0) {
+    return EXIT_CODES.NOTHING_TO_DO;
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Exit code for an error that stopped a command
+ */
+export function exitCodeForError(error) {
+  if (error instanceof PolicyViolationError) {
+    return EXIT_CODES.POLICY_VIOLATION;
+  }
+
+  if (error instanceof ValidationError || error instanceof CloudflareAuthError) {
+    return EXIT_CODES.VALIDATION_ERROR;
+  }
+
+  return EXIT_CODES.FAILURE;
+}
@@ -63,6 +63,19 @@ const createLogger = () => {
 // Create logger instance
 export const logger = createLogger();
 
+/**
+ * Route console log output to stderr so stdout stays free for machine-readable output
+ */
+export function sendLogsToStderr() {
+  const allLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => {
+      transport.stderrLevels = allLevels;
+    });
+}
+
 /**
  * Wrapper functions for consistent logging API
  */
@@ -78,10 +91,11 @@ export const log = {
  * Progress logger for bulk operations
  */
 export class ProgressLogger {
-  constructor(total, operation = 'Processing') {
+  constructor(total, operation = 'Processing', options = {}) {
     this.total = total;
     this.current = 0;
     this.operation = operation;
+    this.rateLimiter = options.rateLimiter || null;
     this.startTime = Date.now();
     this.errors = [];
   }
@@ -104,9 +118,12 @@ export class ProgressLogger {
       const elapsed = Date.now() - this.startTime;
       const rate = this.current / (elapsed / 1000);
       const eta = this.current < this.total ? (this.total - this.current) / rate : 0;
+      const limitStr = this.rateLimiter
+        ? ` - API limit: ${this.rateLimiter.currentRate.toFixed(1)} req/s`
+        : '';
 
       logger.info(
-        `${this.operation} progress: ${this.current}/${this.total} (${percentage}%) - ${rate.toFixed(1)}/s - ETA: ${Math.round(eta)}s`
+        `${this.operation} progress: ${this.current}/${this.total} (${percentage}%) - ${rate.toFixed(1)}/s - ETA: ${Math.round(eta)}s${limitStr}`
       );
     }
   }
@@ -0,0 +1,95 @@
+/**
+ * Output formats supported by the CLI
+ * `table` is human-readable; `json` and `ndjson` are meant for scripts and CI pipelines
+ */
+export const OUTPUT_FORMATS = Object.freeze(['table', 'json', 'ndjson']);
+
+export function isMachineReadable(format) {
+  return format === 'json' || format === 'ndjson';
+}
+
+/**
+ * Split a command document into NDJSON records
+ * Every array item becomes one record tagged with its collection name;
+ * the remaining fields are emitted last as a single summary record
+ */
+export function toNdjsonRecords(document) {
+  const records = [];
+  const summary = {};
+
+  Object.entries(document).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        records.push(
+          item && typeof item === 'object' ? { record: key, ...item } : { record: key, value: item }
+        );
+      });
+    } else {
+      summary[key] = value;
+    }
+  });
+
+  records.push({ record: 'summary', ...summary });
+  return records;
+}
+
+/**
+ * Serialize a command document in the requested machine-readable format
+ */
+export function formatDocument(document, format = 'json') {
+  if (format === 'ndjson') {
+    return toNdjsonRecords(document)
+      .map(record => JSON.stringify(record))
+      .join('\n');
+  }
+
+  return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Tabular formats for listings and deletion reports
+ */
+export const TABLE_FORMATS = Object.freeze(['table', 'csv', 'markdown']);
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render rows as RFC 4180 CSV with a header line
+ * @param {Array<object>} rows - Rows to render
+ * @param {Array<{key: string, label: string}>} columns - Columns in output order
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(col => csvCell(col.label)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(col => csvCell(row[col.key])).join(','));
+  });
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Render rows as a GitHub-flavored Markdown table
+ * @param {Array<object>} rows - Rows to render
+ * @param {Array<{key: string, label: string}>} columns - Columns in output order
+ */
+export function toMarkdownTable(rows, columns) {
+  const lines = [
+    `| ${columns.map(col => markdownCell(col.label)).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`
+  ];
+
+  rows.forEach(row => {
+    lines.push(`| ${columns.map(col => markdownCell(row[col.key])).join(' | ')} |`);
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,63 @@
+/**
+ * Name patterns for selecting resources and branches
+ * A pattern is either a glob (`preview-*`, `customer-??`) or a regular expression
+ * written between slashes (`/^feature-/i`).
+ */
+
+import { ValidationError } from '../lib/errors.js';
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+export function isRegexPattern(pattern) {
+  return REGEX_PATTERN.test(pattern);
+}
+
+/**
+ * Compile a glob or /regex/ pattern into a RegExp
+ * The g and y flags are dropped: they make test() resume from lastIndex, so one matcher
+ * would answer differently for the same name depending on what it matched before.
+ */
+export function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new ValidationError(`Invalid pattern: ${JSON.stringify(pattern)}`);
+  }
+
+  const regexMatch = pattern.match(REGEX_PATTERN);
+
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new ValidationError(`Invalid regular expression ${pattern}: ${error.message}`, {
+        cause: error
+      });
+    }
+  }
+
+  return globToRegExp(pattern);
+}
+
+/**
+ * Build a predicate that is true when a value matches any of the patterns
+ */
+export function createMatcher(patterns) {
+  const compiled = [].concat(patterns).map(compilePattern);
+  return value => compiled.some(regex => regex.test(String(value ?? '')));
+}
+
+export function matchesAny(value, patterns) {
+  return createMatcher(patterns)(value);
+}